@@ -0,0 +1,160 @@
+/**
+ * Flaky static file server
+ *
+ * Serves a directory over HTTP and breaks off some responses midway, so the
+ * resume logic of StreamLoader (Range requests, or re-reading and skipping
+ * without them) can be exercised locally. Needs no packages besides Node.
+ *
+ *   node scripts/flaky-static-server.js [directory] [options]
+ *
+ *   --port <n>         Port to listen on (default 8091)
+ *   --fail <p>         Probability that a response is cut off at a random byte (default 0.3)
+ *   --rate <kB/s>      Throttle every response to this rate (default unthrottled)
+ *   --no-range         Ignore Range headers and do not send Accept-Ranges
+ */
+
+import { createReadStream, statSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    port: { type: 'string', default: '8091' },
+    fail: { type: 'string', default: '0.3' },
+    rate: { type: 'string' },
+    'no-range': { type: 'boolean', default: false },
+  },
+});
+
+const root = resolve(positionals[0] || '.');
+const port = Number(args.port);
+const failRate = Math.min(1, Math.max(0, Number(args.fail)));
+const bytesPerTick = args.rate ? Math.max(1, Number(args.rate) * 1024 / 10) : Infinity; // 10 ticks per second
+const ranges = !args['no-range'];
+
+const contentTypes = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+};
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Range, If-Range, If-None-Match, If-Modified-Since, Authorization',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, ETag, Last-Modified',
+};
+
+let requestCount = 0;
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, corsHeaders);
+    response.end();
+    return;
+  }
+
+  const path = normalize(join(root, decodeURIComponent(new URL(request.url, 'http://localhost').pathname)));
+  let stat = null;
+  try {
+    stat = path.startsWith(root + sep) ? statSync(path) : null;
+  } catch {
+    // Reported as 404 below
+  }
+  if (!stat || !stat.isFile()) {
+    response.writeHead(404, { ...corsHeaders, 'Content-Type': 'text/plain' });
+    response.end('Not found\n');
+    return;
+  }
+
+  const size = stat.size;
+  const etag = `"${size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const headers = {
+    ...corsHeaders,
+    'Content-Type': contentTypes[extname(path)] || 'application/octet-stream',
+    'ETag': etag,
+    'Last-Modified': stat.mtime.toUTCString(),
+  };
+  if (ranges) {
+    headers['Accept-Ranges'] = 'bytes';
+  }
+
+  let start = 0;
+  let end = size - 1;
+  let status = 200;
+  const match = ranges && /^bytes=(\d+)-(\d*)$/.exec(request.headers.range || '');
+  const ifRange = request.headers['if-range'];
+  if (match && (!ifRange || ifRange === etag)) {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (start > end) {
+      response.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+      response.end();
+      return;
+    }
+    status = 206;
+    headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  }
+  headers['Content-Length'] = end - start + 1;
+
+  const id = ++requestCount;
+  const length = end - start + 1;
+  const cutAt = Math.random() < failRate ? Math.floor(Math.random() * length) : Infinity;
+  console.log(`#${id} ${request.url} ${status === 206 ? headers['Content-Range'] : `${size} bytes`}` +
+    (cutAt < Infinity ? `, cut after ${cutAt} bytes` : ''));
+
+  response.writeHead(status, headers);
+  if (request.method === 'HEAD') {
+    response.end();
+    return;
+  }
+
+  const stream = createReadStream(path, { start, end, highWaterMark: 64 * 1024 });
+  let sent = 0;
+  let tickBytes = 0;
+  const ticker = bytesPerTick < Infinity ? setInterval(() => {
+    tickBytes = 0;
+    stream.resume();
+  }, 100) : null;
+
+  const finish = () => {
+    clearInterval(ticker);
+    stream.destroy();
+  };
+  response.on('close', finish);
+
+  stream.on('data', (data) => {
+    if (sent + data.length > cutAt) {
+      response.write(data.subarray(0, cutAt - sent));
+      finish();
+      response.socket.destroy();
+      return;
+    }
+    sent += data.length;
+    tickBytes += data.length;
+    if (!response.write(data)) {
+      stream.pause();
+      response.once('drain', () => {
+        if (tickBytes < bytesPerTick) stream.resume();
+      });
+    }
+    if (tickBytes >= bytesPerTick) {
+      stream.pause();
+    }
+  });
+  stream.on('end', () => {
+    clearInterval(ticker);
+    response.end();
+  });
+  stream.on('error', () => {
+    finish();
+    response.socket.destroy();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Serving ${root} on http://localhost:${port} (cut rate ${failRate}, ${ranges ? 'with' : 'without'} Range support)`);
+});
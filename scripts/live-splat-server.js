@@ -0,0 +1,335 @@
+/**
+ * Live splat stand-in server
+ *
+ * Replays a PLY file as a growing scene over WebSocket, speaking the protocol of
+ * src/GSplatStream/Loader/LiveSplatProtocol.js, so LiveSplatFeed can be tested
+ * without a reconstruction running. Needs no packages besides Node (>= 20.6).
+ *
+ *   node scripts/live-splat-server.js <file.ply> [options]
+ *
+ *   --port <n>         Port to listen on (default 8090)
+ *   --batch <n>        Splats per APPEND (default 5000)
+ *   --interval <ms>    Delay between messages (default 100)
+ *   --origin <lon,lat,height>  Send an east-north-up transform at that location with INIT
+ *   --churn            Send every batch inflated first and refine it with an UPDATE, and
+ *                      DELETE a few splats now and then
+ *   --drop <s>         Drop all connections every s seconds to exercise reconnecting
+ *   --loop             Start a new scene a few seconds after the END
+ */
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { createHash, randomInt } from 'node:crypto';
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+
+// The sources use extensionless imports (resolved by Vite); resolve them to .js here
+register(
+  'data:text/javascript,' +
+    encodeURIComponent(`
+      export async function resolve(specifier, context, next) {
+        try {
+          return await next(specifier, context);
+        } catch (error) {
+          if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.') && !specifier.endsWith('.js')) {
+            return next(specifier + '.js', context);
+          }
+          throw error;
+        }
+      }
+    `)
+);
+
+const { PlyStreamParser } = await import('../src/GSplatStream/Loader/PlyStreamParser.js');
+const { SPLAT_ROW_LENGTH } = await import('../src/GSplatStream/Loader/StreamingSplatParser.js');
+const Live = await import('../src/GSplatStream/Loader/LiveSplatProtocol.js');
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    port: { type: 'string', default: '8090' },
+    batch: { type: 'string', default: '5000' },
+    interval: { type: 'string', default: '100' },
+    origin: { type: 'string' },
+    churn: { type: 'boolean', default: false },
+    drop: { type: 'string' },
+    loop: { type: 'boolean', default: false },
+  },
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/live-splat-server.js <file.ply> [--port 8090] [--batch 5000] [--interval 100]');
+  console.error('       [--origin lon,lat,height] [--churn] [--drop seconds] [--loop]');
+  process.exit(1);
+}
+
+const port = Number(args.port);
+const batchSize = Math.max(1, Number(args.batch));
+const interval = Math.max(0, Number(args.interval));
+
+/**
+ * Parse the PLY into consecutive .splat rows.
+ */
+async function loadRows(path) {
+  const bytes = readFileSync(path);
+  let rows = null;
+  let view = null;
+  const parser = new PlyStreamParser(
+    (header) => {
+      rows = new Uint8Array(header.vertexCount * SPLAT_ROW_LENGTH);
+      view = new DataView(rows.buffer);
+    },
+    (data, index) => Live.encodeSplatRow(view, index * SPLAT_ROW_LENGTH, data),
+    50000
+  );
+  const chunkSize = 1 << 20;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    await parser.processChunk(new Uint8Array(bytes.buffer, bytes.byteOffset + offset, Math.min(chunkSize, bytes.length - offset)));
+  }
+  parser.finalize();
+  while (parser.isParsing()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  if (!rows) {
+    throw new Error(`${path} has no PLY header`);
+  }
+  return rows;
+}
+
+/**
+ * Column-major east-north-up to Earth-fixed transform on WGS84.
+ */
+function eastNorthUp(longitude, latitude, height) {
+  const a = 6378137.0;
+  const e2 = 6.69437999014e-3;
+  const lon = (longitude * Math.PI) / 180;
+  const lat = (latitude * Math.PI) / 180;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+  const n = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+  return [
+    -sinLon, cosLon, 0, 0,
+    -sinLat * cosLon, -sinLat * sinLon, cosLat, 0,
+    cosLat * cosLon, cosLat * sinLon, sinLat, 0,
+    (n + height) * cosLat * cosLon, (n + height) * cosLat * sinLon, (n * (1 - e2) + height) * sinLat, 1,
+  ];
+}
+
+// Minimal RFC 6455 server side: unfragmented binary frames, close and ping
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  const header = Buffer.alloc(length < 126 ? 2 : length < 65536 ? 4 : 10);
+  header[0] = 0x80 | opcode;
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+class Client {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.ready = false; // Receives broadcasts once its RESUME was answered
+    this._buffer = Buffer.alloc(0);
+    this._onMessage = onMessage;
+    socket.on('data', (data) => this._receive(data));
+    socket.on('close', () => onClose(this));
+    socket.on('error', () => socket.destroy());
+  }
+
+  send(message) {
+    if (!this.socket.destroyed) {
+      this.socket.write(encodeFrame(0x2, Buffer.from(message)));
+    }
+  }
+
+  close() {
+    if (!this.socket.destroyed) {
+      this.socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xe8])));
+    }
+  }
+
+  _receive(data) {
+    this._buffer = Buffer.concat([this._buffer, data]);
+    while (this._buffer.length >= 2) {
+      const opcode = this._buffer[0] & 0x0f;
+      const masked = (this._buffer[1] & 0x80) !== 0;
+      let length = this._buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this._buffer.length < 4) return;
+        length = this._buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._buffer.length < 10) return;
+        length = Number(this._buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this._buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this._buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < length; i++) {
+          payload[i] ^= this._buffer[maskOffset + (i & 3)];
+        }
+      }
+      this._buffer = this._buffer.subarray(offset + length);
+
+      if (opcode === 0x2) {
+        this._onMessage(this, payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.length));
+      } else if (opcode === 0x8) {
+        this.close();
+      } else if (opcode === 0x9 && !this.socket.destroyed) {
+        this.socket.write(encodeFrame(0xa, payload));
+      }
+    }
+  }
+}
+
+// Scene replay
+
+const rows = await loadRows(positionals[0]);
+const totalCount = rows.length / SPLAT_ROW_LENGTH;
+const transform = args.origin ? eastNorthUp(...args.origin.split(',').map(Number)) : undefined;
+console.log(`Loaded ${totalCount} splats from ${positionals[0]}`);
+
+const clients = new Set();
+let scene = null;
+
+function broadcast(message) {
+  scene.history.push(message);
+  for (const client of clients) {
+    if (client.ready) client.send(message);
+  }
+}
+
+/**
+ * A copy of some rows with the scales inflated and the opacity lowered, as a
+ * first coarse estimate that an UPDATE refines later.
+ */
+function coarseRows(start, end) {
+  const coarse = rows.slice(start * SPLAT_ROW_LENGTH, end * SPLAT_ROW_LENGTH);
+  const view = new DataView(coarse.buffer);
+  for (let offset = 0; offset < coarse.length; offset += SPLAT_ROW_LENGTH) {
+    for (let i = 0; i < 3; i++) {
+      view.setFloat32(offset + 12 + i * 4, view.getFloat32(offset + 12 + i * 4, true) * 2, true);
+    }
+    coarse[offset + 27] >>= 1;
+  }
+  return coarse;
+}
+
+function startScene() {
+  scene = { id: randomInt(1, 0xffffffff), history: [], sent: 0, refine: null, deleteDue: false, ended: false };
+  broadcast(Live.encodeInit(0, scene.id, totalCount, transform));
+  console.log(`Scene ${scene.id} started`);
+  setTimeout(tick, interval);
+}
+
+function tick() {
+  const seq = scene.history.length;
+  if (scene.refine) {
+    const [start, end] = scene.refine;
+    const indices = Array.from({ length: end - start }, (_, i) => start + i);
+    broadcast(Live.encodeUpdate(seq, indices, rows.subarray(start * SPLAT_ROW_LENGTH, end * SPLAT_ROW_LENGTH)));
+    scene.refine = null;
+  } else if (scene.deleteDue) {
+    const count = Math.min(100, scene.sent);
+    const start = randomInt(0, scene.sent - count + 1);
+    broadcast(Live.encodeDelete(seq, [[start, start + count]]));
+    scene.deleteDue = false;
+  } else if (scene.sent < totalCount) {
+    const start = scene.sent;
+    const end = Math.min(start + batchSize, totalCount);
+    const batch = args.churn ? coarseRows(start, end) : rows.subarray(start * SPLAT_ROW_LENGTH, end * SPLAT_ROW_LENGTH);
+    broadcast(Live.encodeAppend(seq, start, batch));
+    scene.sent = end;
+    if (args.churn) {
+      scene.refine = [start, end];
+      scene.deleteDue = Math.ceil(end / batchSize) % 4 === 0;
+    }
+  } else {
+    broadcast(Live.encodeEnd(seq));
+    scene.ended = true;
+    console.log(`Scene ${scene.id} complete (${seq + 1} messages)`);
+    for (const client of clients) client.close();
+    if (args.loop) {
+      setTimeout(startScene, 5000);
+    }
+    return;
+  }
+  setTimeout(tick, interval);
+}
+
+function onClientMessage(client, data) {
+  let message;
+  try {
+    message = Live.decodeMessage(data);
+  } catch (error) {
+    console.warn(error.message);
+    return;
+  }
+  if (message.type !== Live.LiveMessageType.Resume || client.ready) return;
+
+  // Resume after lastSeq when the client has this scene, otherwise replay it from the INIT
+  const history = scene.history;
+  const resume = message.sceneId === scene.id && message.lastSeq < history.length;
+  const from = resume ? message.lastSeq + 1 : 0;
+  console.log(`Client ${resume ? `resumes after #${message.lastSeq}` : 'starts from the INIT'}, sending ${history.length - from} messages`);
+  for (let seq = from; seq < history.length; seq++) {
+    client.send(history[seq]);
+  }
+  client.ready = true;
+  if (scene.ended) {
+    client.close();
+  }
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('WebSocket only\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+  clients.add(new Client(socket, onClientMessage, (client) => clients.delete(client)));
+});
+
+if (args.drop) {
+  setInterval(() => {
+    if (clients.size > 0) {
+      console.log(`Dropping ${clients.size} connection(s)`);
+      for (const client of clients) client.socket.destroy();
+    }
+  }, Number(args.drop) * 1000);
+}
+
+startScene();
+server.listen(port, () => {
+  console.log(`Live splat feed on ws://localhost:${port}`);
+});
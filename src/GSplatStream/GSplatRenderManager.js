@@ -0,0 +1,767 @@
+import * as Cesium from 'cesium';
+import { evalTextureSize, evalSHTextureCount } from './GSplatStreamUtils';
+import GSplatStreamGeometry from './GSplatStreamGeometry';
+import { createSortWorker } from './GSplatSortWorker';
+import GSplatStreamVS from './Shaders/GSplatStreamVS';
+import GSplatStreamFS from './Shaders/GSplatStreamFS';
+
+// Order entries hold (model << MODEL_SHIFT) | splat index
+const MODEL_SHIFT = 28;
+const MAX_MODELS = 16;
+const MAX_SPLATS_PER_MODEL = 2 ** MODEL_SHIFT;
+
+/**
+ * Renders several GSplatStreamPrimitives as one: their splats are depth-sorted
+ * together in a single worker and drawn in one back-to-front pass, so splats of
+ * overlapping primitives blend correctly. Each primitive keeps its own
+ * modelMatrix, show flag, SH degree, visibility boost and pixel culling.
+ *
+ * Add the manager to the scene; registered primitives stop drawing themselves
+ * (whether or not they are in the scene too) and keep all their editing APIs.
+ *
+ * @constructor
+ * @param {object} [options] An object with the following properties:
+ * @param {Cesium.Scene} [options.scene] Scene to request renders from (requestRenderMode)
+ * @param {number} [options.batchSize=128] Number of splats per batch
+ * @param {boolean} [options.show=true] Whether to draw the registered primitives
+ * @param {boolean} [options.debugShowBoundingVolume=false] Whether to show the combined bounding volume
+ */
+class GSplatRenderManager {
+  constructor(options) {
+    options = options ?? Cesium.Frozen.EMPTY_OBJECT;
+
+    this._isDestroyed = false;
+
+    /**
+     * Whether to draw the registered primitives.
+     * @type {boolean}
+     */
+    this.show = options.show ?? true;
+
+    /**
+     * Whether to show the combined bounding volume for debugging.
+     * @type {boolean}
+     */
+    this.debugShowBoundingVolume = options.debugShowBoundingVolume ?? false;
+
+    this._scene = options.scene || undefined;
+    this._batchSize = options.batchSize ?? 128;
+
+    // One entry per registered primitive; its index is the model index in the order
+    this._entries = [];
+    this._layoutDirty = true;
+    this._centersDirty = true;
+    this._orderEpoch = 0; // Bumped when splats leave the draw order; older sort results are dropped
+
+    this._textureWidth = 0;
+    this._textureHeight = 0;
+    this._shDegree = 0;
+    this._splatColor = undefined;
+    this._transformA = undefined;
+    this._transformB = undefined;
+    this._shTextures = [];
+
+    this._orderData = undefined; // Sorted order entries, size.x * size.y
+    this._orderSize = { x: 0, y: 0 };
+    this._splatOrder = undefined;
+    this._count = 0; // Entries of the order that are drawn
+
+    this._sortWorker = undefined;
+    this._sortCapacity = 0; // Length of the order buffer handed to the worker
+    this._lastSentTime = 0;
+    this._minIntervalMs = 16;
+    this._origin = new Cesium.Cartesian3(); // Sort centers are relative to this point
+
+    this._geometry = new GSplatStreamGeometry(this._batchSize);
+    this._vertexArray = undefined;
+    this._shaderProgram = undefined;
+    this._commandKey = '';
+    this._drawCommand = undefined;
+    this._boundingSphere = new Cesium.BoundingSphere();
+    this._context = undefined;
+
+    this._modelViews = [];
+    this._modelParams = [];
+    this._modelCull = [];
+    this._modelCameras = [];
+  }
+
+  /**
+   * Number of registered primitives.
+   * @type {number}
+   */
+  get length() {
+    return this._entries.length;
+  }
+
+  /**
+   * Register a primitive. From now on the manager uploads, sorts and draws it.
+   * @param {GSplatStreamPrimitive} primitive The primitive
+   * @returns {GSplatStreamPrimitive} The primitive
+   */
+  add(primitive) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatRenderManager is destroyed.");
+    }
+    if (primitive.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+    if (Cesium.defined(primitive._manager)) {
+      throw new Cesium.DeveloperError("The primitive is already registered with a GSplatRenderManager");
+    }
+    if (this._entries.length >= MAX_MODELS) {
+      throw new Cesium.DeveloperError(`A GSplatRenderManager draws at most ${MAX_MODELS} primitives`);
+    }
+
+    primitive._setManager(this);
+    this._entries.push({
+      primitive,
+      rowOffset: 0,
+      width: 0,
+      height: 0,
+      shTextureCount: 0,
+      show: primitive.show,
+      orderEpoch: primitive._orderEpoch,
+      modelMatrix: Cesium.Matrix4.clone(primitive.modelMatrix),
+    });
+    this._layoutDirty = true;
+    this._centersDirty = true;
+    this._requestRender();
+    return primitive;
+  }
+
+  /**
+   * Unregister a primitive; it draws itself again (if it is in the scene).
+   * @param {GSplatStreamPrimitive} primitive The primitive
+   * @returns {boolean} Whether the primitive was registered
+   */
+  remove(primitive) {
+    const index = this._entries.findIndex((entry) => entry.primitive === primitive);
+    if (index < 0) return false;
+
+    this._entries.splice(index, 1);
+    if (!primitive.isDestroyed()) {
+      primitive._setManager(undefined);
+    }
+
+    // Later primitives move down one model index
+    this._orderEpoch++;
+    this._filterOrder((model) => (model < index ? model : model === index ? -1 : model - 1));
+    this._layoutDirty = true;
+    this._centersDirty = true;
+    this._requestRender();
+    return true;
+  }
+
+  /**
+   * Whether a primitive is registered with this manager.
+   * @param {GSplatStreamPrimitive} primitive The primitive
+   * @returns {boolean}
+   */
+  contains(primitive) {
+    return this._entries.some((entry) => entry.primitive === primitive);
+  }
+
+  /**
+   * Set sort throttle interval (milliseconds).
+   * @param {number} ms Throttle interval in milliseconds
+   */
+  setSortThrottle(ms) {
+    this._minIntervalMs = Math.max(0, (ms | 0));
+  }
+
+  /**
+   * Copy rows [startRow, startRow + rowCount) of a primitive's CPU buffers into its band
+   * of the shared textures. Called from GSplatStreamPrimitive.flushUpdates.
+   * @private
+   */
+  _uploadRows(primitive, startRow, rowCount) {
+    const entry = this._entries.find((e) => e.primitive === primitive);
+    if (!entry) return;
+    this._centersDirty = true;
+    this._requestRender();
+
+    // Before the textures exist, or when the primitive was resized, the next layout uploads everything
+    if (!Cesium.defined(this._splatColor) || entry.width !== primitive.size.x ||
+        entry.height !== primitive.size.y || entry.shTextureCount !== primitive._shData.length) {
+      this._layoutDirty = true;
+      return;
+    }
+
+    const width = entry.width;
+    const upload = (texture, data) => {
+      texture.copyFrom({
+        source: {
+          width: width,
+          height: rowCount,
+          arrayBufferView: data.subarray(startRow * width * 4, (startRow + rowCount) * width * 4),
+        },
+        xOffset: 0,
+        yOffset: entry.rowOffset + startRow,
+        skipColorSpaceConversion: true,
+      });
+    };
+    upload(this._splatColor, primitive._colorData);
+    upload(this._transformA, primitive._transformAData);
+    upload(this._transformB, primitive._transformBData);
+    for (let i = 0; i < primitive._shData.length; i++) {
+      upload(this._shTextures[i], primitive._shData[i]);
+    }
+  }
+
+  /**
+   * Stack the primitives' textures vertically into shared textures and upload all data.
+   * @private
+   */
+  _layout(context) {
+    let width = 1;
+    let height = 0;
+    let shDegree = 0;
+    for (const entry of this._entries) {
+      const primitive = entry.primitive;
+      const allocated = Cesium.defined(primitive._colorData);
+      if (allocated && primitive._capacity > MAX_SPLATS_PER_MODEL) {
+        throw new Cesium.DeveloperError(
+          `A managed primitive holds at most ${MAX_SPLATS_PER_MODEL} splats`
+        );
+      }
+      entry.rowOffset = height;
+      entry.width = allocated ? primitive.size.x : 0;
+      entry.height = allocated ? primitive.size.y : 0;
+      entry.shTextureCount = allocated ? primitive._shData.length : 0;
+      width = Math.max(width, entry.width);
+      height += entry.height;
+      shDegree = Math.max(shDegree, allocated ? primitive._shDegree : 0);
+    }
+    height = Math.max(height, 1);
+    if (width > Cesium.ContextLimits.maximumTextureSize || height > Cesium.ContextLimits.maximumTextureSize) {
+      throw new Cesium.DeveloperError(
+        `Combined splat textures (${width}x${height}) exceed the maximum texture size`
+      );
+    }
+
+    this._destroyDataTextures();
+    this._textureWidth = width;
+    this._textureHeight = height;
+    this._shDegree = shDegree;
+
+    const createTexture = (pixelFormat, pixelDatatype) => new Cesium.Texture({
+      context: context,
+      width: width,
+      height: height,
+      pixelFormat: pixelFormat,
+      pixelDatatype: pixelDatatype,
+      flipY: false,
+      skipColorSpaceConversion: true,
+      sampler: Cesium.Sampler.NEAREST,
+    });
+    this._splatColor = createTexture(Cesium.PixelFormat.RGBA, Cesium.PixelDatatype.UNSIGNED_BYTE);
+    this._transformA = createTexture(Cesium.PixelFormat.RGBA_INTEGER, Cesium.PixelDatatype.UNSIGNED_INT);
+    this._transformB = createTexture(Cesium.PixelFormat.RGBA, Cesium.PixelDatatype.HALF_FLOAT);
+    for (let i = 0; i < evalSHTextureCount(shDegree); i++) {
+      this._shTextures.push(createTexture(Cesium.PixelFormat.RGBA_INTEGER, Cesium.PixelDatatype.UNSIGNED_INT));
+    }
+
+    this._layoutDirty = false;
+    for (const entry of this._entries) {
+      entry.primitive._dirtyRanges.length = 0;
+      if (entry.height > 0) {
+        this._uploadRows(entry.primitive, 0, entry.height);
+      }
+    }
+    this._centersDirty = true;
+  }
+
+  /**
+   * Keep only order entries whose splat is still drawn.
+   * @param {Function} [remapModel] Old to new model index, -1 for dropped models
+   * @private
+   */
+  _filterOrder(remapModel) {
+    const order = this._orderData;
+    if (!Cesium.defined(order)) return;
+
+    let kept = 0;
+    for (let i = 0; i < this._count; i++) {
+      const value = order[i];
+      const model = remapModel ? remapModel(value >>> MODEL_SHIFT) : value >>> MODEL_SHIFT;
+      const index = value & (MAX_SPLATS_PER_MODEL - 1);
+      const entry = this._entries[model];
+      if (entry && entry.primitive.show && entry.primitive.isSplatVisible(index)) {
+        order[kept++] = ((model << MODEL_SHIFT) | index) >>> 0;
+      }
+    }
+    this._setCount(kept);
+    this._uploadOrder();
+  }
+
+  /**
+   * Centers of all drawn splats relative to the origin, and their order entries.
+   * @private
+   */
+  _buildCenters() {
+    const first = this._entries.find((entry) => entry.primitive.show);
+    if (first) {
+      Cesium.Matrix4.getTranslation(first.primitive.modelMatrix, this._origin);
+    }
+    const ox = this._origin.x;
+    const oy = this._origin.y;
+    const oz = this._origin.z;
+
+    let count = 0;
+    for (const entry of this._entries) {
+      const primitive = entry.primitive;
+      if (primitive.show && entry.height > 0) {
+        count += primitive._visibleCount();
+      }
+    }
+
+    const centers = new Float32Array(count * 3);
+    const ids = new Uint32Array(count);
+    let n = 0;
+    this._entries.forEach((entry, model) => {
+      const primitive = entry.primitive;
+      if (!primitive.show || entry.height === 0) return;
+
+      // Transform in double precision and subtract the origin before rounding to float
+      const m = primitive.modelMatrix;
+      const positions = primitive._positions;
+      for (let i = 0; i < primitive.totalCount && n < count; i++) {
+        if (!primitive.isSplatVisible(i)) continue;
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        centers[n * 3] = m[0] * x + m[4] * y + m[8] * z + m[12] - ox;
+        centers[n * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13] - oy;
+        centers[n * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14] - oz;
+        ids[n] = ((model << MODEL_SHIFT) | i) >>> 0;
+        n++;
+      }
+    });
+    return { centers, ids };
+  }
+
+  /**
+   * Send changed centers and the camera to the sort worker.
+   * @private
+   */
+  _scheduleSort(frameState) {
+    const now = performance.now();
+    if (!this._centersDirty && now - this._lastSentTime < this._minIntervalMs) {
+      return;
+    }
+    this._lastSentTime = now;
+
+    if (!this._sortWorker) {
+      this._sortWorker = createSortWorker();
+      this._sortWorker.onmessage = (ev) => this._onSorted(ev.data);
+    }
+
+    if (this._centersDirty) {
+      this._centersDirty = false;
+      const { centers, ids } = this._buildCenters();
+      const message = {
+        centers: centers.buffer,
+        ids: ids.buffer,
+        epoch: this._orderEpoch,
+      };
+      const transfer = [centers.buffer, ids.buffer];
+      if (ids.length > this._sortCapacity || !Cesium.defined(this._orderData)) {
+        this._sortCapacity = Math.max(ids.length, this._sortCapacity * 2, 1024);
+        message.order = new Uint32Array(this._sortCapacity).buffer;
+        transfer.push(message.order);
+      }
+      this._sortWorker.postMessage(message, transfer);
+      this._allocateOrder();
+    }
+
+    const camera = frameState.camera;
+    this._sortWorker.postMessage({
+      cameraPosition: {
+        x: camera.positionWC.x - this._origin.x,
+        y: camera.positionWC.y - this._origin.y,
+        z: camera.positionWC.z - this._origin.z,
+      },
+      cameraDirection: {
+        x: camera.directionWC.x,
+        y: camera.directionWC.y,
+        z: camera.directionWC.z,
+      },
+    });
+  }
+
+  /**
+   * Take over a sort result and hand the worker a buffer for the next one.
+   * @private
+   */
+  _onSorted(data) {
+    if (this.isDestroyed()) return;
+
+    const sorted = new Uint32Array(data.order);
+    if (data.epoch === this._orderEpoch) {
+      const count = Math.max(0, Math.min(data.count | 0, sorted.length, this._orderData.length));
+      this._orderData.set(sorted.subarray(0, count));
+      this._setCount(count);
+      this._uploadOrder();
+      this._requestRender();
+    }
+
+    const next = sorted.length >= this._sortCapacity ? data.order : new Uint32Array(this._sortCapacity).buffer;
+    this._sortWorker.postMessage({ order: next }, [next]);
+  }
+
+  /**
+   * Size the CPU order and its texture for the sort capacity.
+   * @private
+   */
+  _allocateOrder() {
+    const size = evalTextureSize(Math.max(this._sortCapacity, 1));
+    if (Cesium.defined(this._orderData) && size.x === this._orderSize.x && size.y === this._orderSize.y) {
+      return;
+    }
+
+    const orderData = new Uint32Array(size.x * size.y);
+    if (Cesium.defined(this._orderData)) {
+      orderData.set(this._orderData.subarray(0, this._count));
+    }
+    this._orderData = orderData;
+    this._orderSize = size;
+    if (Cesium.defined(this._splatOrder)) {
+      this._splatOrder.destroy();
+      this._splatOrder = undefined;
+    }
+    this._uploadOrder();
+  }
+
+  /**
+   * @private
+   */
+  _uploadOrder() {
+    if (!Cesium.defined(this._orderData) || !Cesium.defined(this._context)) return;
+
+    const source = {
+      width: this._orderSize.x,
+      height: this._orderSize.y,
+      arrayBufferView: this._orderData,
+    };
+    if (!Cesium.defined(this._splatOrder)) {
+      this._splatOrder = new Cesium.Texture({
+        context: this._context,
+        source: source,
+        pixelFormat: Cesium.PixelFormat.RED_INTEGER,
+        pixelDatatype: Cesium.PixelDatatype.UNSIGNED_INT,
+        flipY: false,
+        skipColorSpaceConversion: true,
+        sampler: Cesium.Sampler.NEAREST,
+      });
+    } else {
+      this._splatOrder.copyFrom({ source: source, skipColorSpaceConversion: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setCount(count) {
+    this._count = count;
+    if (Cesium.defined(this._drawCommand)) {
+      this._drawCommand.instanceCount = Math.ceil(count / this._batchSize);
+    }
+  }
+
+  /**
+   * Per-model uniforms for the current view. view * model is formed in double
+   * precision, like czm_modelView, so primitives far from the origin stay stable.
+   * @private
+   */
+  _updateModelUniforms(view) {
+    const count = this._entries.length;
+    this._modelViews.length = Math.min(this._modelViews.length, count);
+    this._modelParams.length = count;
+    this._modelCull.length = count;
+    this._modelCameras.length = count;
+    this._entries.forEach((entry, model) => {
+      const primitive = entry.primitive;
+      const modelView = this._modelViews[model] ?? (this._modelViews[model] = new Cesium.Matrix4());
+      Cesium.Matrix4.multiply(view, primitive.modelMatrix, modelView);
+
+      const inverse = Cesium.Matrix4.inverse(modelView, new Cesium.Matrix4());
+      this._modelCameras[model] = Cesium.Cartesian4.fromElements(inverse[12], inverse[13], inverse[14], 1.0);
+      this._modelParams[model] = new Cesium.Cartesian4(
+        entry.width,
+        entry.rowOffset,
+        primitive._shDegree,
+        Cesium.defined(primitive.texParams) ? primitive.texParams[3] : 1.0
+      );
+      this._modelCull[model] = new Cesium.Cartesian4(
+        primitive._minPixelCoverage,
+        primitive._maxPixelCoverage,
+        primitive._maxPixelCullDistance,
+        0.0
+      );
+    });
+  }
+
+  /**
+   * Build the shared DrawCommand.
+   * @private
+   */
+  _buildDrawCommand(context) {
+    const modelCount = this._entries.length;
+    const shaderBuilder = new Cesium.ShaderBuilder();
+
+    shaderBuilder.addAttribute("vec2", "a_screenQuadPosition");
+    shaderBuilder.addAttribute("float", "a_localSplatIndex");
+
+    shaderBuilder.addVarying("vec4", "v_splatColor");
+    shaderBuilder.addVarying("vec2", "v_vertPos");
+
+    shaderBuilder.addUniform("sampler2D", "u_splatColor", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("highp usampler2D", "u_transformA", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("sampler2D", "u_transformB", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("highp usampler2D", "u_splatOrder", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addDefine("SH_DEGREE", this._shDegree, Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addDefine("SPLAT_MODEL_COUNT", modelCount, Cesium.ShaderDestination.VERTEX);
+    for (let i = 0; i < this._shTextures.length; i++) {
+      shaderBuilder.addUniform("highp usampler2D", `u_shTexture${i}`, Cesium.ShaderDestination.VERTEX);
+    }
+    shaderBuilder.addUniform("vec4", "u_texParams", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("vec4", "u_pixelCull", Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("mat4", `u_modelViews[${modelCount}]`, Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("vec4", `u_modelParams[${modelCount}]`, Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("vec4", `u_modelCull[${modelCount}]`, Cesium.ShaderDestination.VERTEX);
+    shaderBuilder.addUniform("vec4", `u_modelCameras[${modelCount}]`, Cesium.ShaderDestination.VERTEX);
+
+    shaderBuilder.addVertexLines(GSplatStreamVS);
+    shaderBuilder.addFragmentLines(GSplatStreamFS);
+
+    if (Cesium.defined(this._shaderProgram)) {
+      this._shaderProgram.destroy();
+    }
+    this._shaderProgram = shaderBuilder.buildShaderProgram(context);
+
+    const uniformMap = {
+      u_splatColor: () => this._splatColor,
+      u_transformA: () => this._transformA,
+      u_transformB: () => this._transformB,
+      u_splatOrder: () => this._splatOrder,
+      u_texParams: () => new Cesium.Cartesian4(this._count, this._orderSize.x, 0, 1.0),
+      u_pixelCull: () => new Cesium.Cartesian4(0, 0, 0, this._batchSize),
+      u_modelViews: () => this._modelViews,
+      u_modelParams: () => this._modelParams,
+      u_modelCull: () => this._modelCull,
+      u_modelCameras: () => this._modelCameras,
+    };
+    for (let i = 0; i < this._shTextures.length; i++) {
+      uniformMap[`u_shTexture${i}`] = () => this._shTextures[i];
+    }
+
+    if (!Cesium.defined(this._vertexArray)) {
+      const attributeLocations = shaderBuilder.attributeLocations;
+      this._vertexArray = Cesium.VertexArray.fromGeometry({
+        context: context,
+        geometry: this._geometry.getGeometry(),
+        attributeLocations: {
+          screenQuadPosition: attributeLocations['a_screenQuadPosition'] ?? 1,
+          localSplatIndex: attributeLocations['a_localSplatIndex'] ?? 2,
+        },
+        bufferUsage: Cesium.BufferUsage.STATIC_DRAW,
+        interleave: false,
+      });
+    }
+
+    const renderState = Cesium.RenderState.fromCache({
+      depthTest: {
+        enabled: true,
+        func: Cesium.DepthFunction.LESS_OR_EQUAL,
+      },
+      depthMask: false,
+      cull: {
+        enabled: false,
+      },
+      blending: Cesium.BlendingState.PRE_MULTIPLIED_ALPHA_BLEND,
+    });
+
+    this._drawCommand = new Cesium.DrawCommand({
+      boundingVolume: this._boundingSphere,
+      modelMatrix: Cesium.Matrix4.IDENTITY,
+      uniformMap: uniformMap,
+      renderState: renderState,
+      vertexArray: this._vertexArray,
+      shaderProgram: this._shaderProgram,
+      cull: false,
+      pass: Cesium.Pass.GAUSSIAN_SPLATS,
+      count: this._geometry.getIndexCount(),
+      owner: this,
+      instanceCount: Math.ceil(this._count / this._batchSize),
+      primitiveType: Cesium.PrimitiveType.TRIANGLES,
+      castShadows: false,
+      receiveShadows: false,
+    });
+  }
+
+  /**
+   * World bounding sphere around all shown primitives.
+   * @private
+   */
+  _updateBoundingSphere() {
+    const spheres = [];
+    for (const entry of this._entries) {
+      const primitive = entry.primitive;
+      if (primitive.show && Cesium.defined(primitive.boundingSphere)) {
+        spheres.push(Cesium.BoundingSphere.transform(primitive.boundingSphere, primitive.modelMatrix));
+      }
+    }
+    if (spheres.length > 0) {
+      Cesium.BoundingSphere.fromBoundingSpheres(spheres, this._boundingSphere);
+    }
+  }
+
+  /**
+   * Update the manager for the current frame.
+   * @param {FrameState} frameState The frame state
+   */
+  update(frameState) {
+    if (this.isDestroyed()) {
+      return;
+    }
+
+    for (const entry of this._entries.slice()) {
+      if (entry.primitive.isDestroyed()) {
+        this.remove(entry.primitive);
+      }
+    }
+    if (!this.show || this._entries.length === 0) {
+      return;
+    }
+
+    const context = frameState.context;
+    this._context = context;
+
+    // Pick up changes made to the primitives since the last frame
+    let visibilityChanged = false;
+    for (const entry of this._entries) {
+      const primitive = entry.primitive;
+      if (Cesium.defined(primitive._colorData) !== entry.height > 0 ||
+          (entry.height > 0 && (primitive.size.x !== entry.width || primitive.size.y !== entry.height)) ||
+          primitive._shData.length !== entry.shTextureCount) {
+        this._layoutDirty = true;
+      }
+      if (primitive.show !== entry.show || primitive._orderEpoch !== entry.orderEpoch) {
+        entry.show = primitive.show;
+        entry.orderEpoch = primitive._orderEpoch;
+        visibilityChanged = true;
+      }
+      if (!Cesium.Matrix4.equals(primitive.modelMatrix, entry.modelMatrix)) {
+        Cesium.Matrix4.clone(primitive.modelMatrix, entry.modelMatrix);
+        this._centersDirty = true;
+      }
+    }
+    if (visibilityChanged) {
+      this._orderEpoch++;
+      this._filterOrder();
+      this._centersDirty = true;
+    }
+
+    if (this._layoutDirty) {
+      this._layout(context);
+    } else {
+      for (const entry of this._entries) {
+        if (entry.primitive._dirtyRanges.length > 0) {
+          entry.primitive.flushUpdates();
+        }
+      }
+    }
+
+    const commandKey = `${this._entries.length},${this._shDegree}`;
+    if (commandKey !== this._commandKey || !Cesium.defined(this._drawCommand)) {
+      this._commandKey = commandKey;
+      this._buildDrawCommand(context);
+    }
+
+    if (!frameState.passes.pick && Cesium.defined(frameState.camera)) {
+      this._scheduleSort(frameState);
+    }
+
+    if (Cesium.defined(frameState.camera)) {
+      this._updateModelUniforms(frameState.camera.viewMatrix);
+    }
+    this._updateBoundingSphere();
+    this._drawCommand.debugShowBoundingVolume = this.debugShowBoundingVolume;
+    if (this._count > 0 && Cesium.defined(this._splatOrder)) {
+      frameState.commandList.push(this._drawCommand);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _requestRender() {
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _destroyDataTextures() {
+    for (const texture of [this._splatColor, this._transformA, this._transformB, ...this._shTextures]) {
+      if (Cesium.defined(texture)) {
+        texture.destroy();
+      }
+    }
+    this._splatColor = undefined;
+    this._transformA = undefined;
+    this._transformB = undefined;
+    this._shTextures = [];
+  }
+
+  /**
+   * Returns true if this object was destroyed; otherwise, false.
+   * @returns {boolean} True if destroyed
+   */
+  isDestroyed() {
+    return this._isDestroyed;
+  }
+
+  /**
+   * Destroys the manager. Registered primitives are unregistered and draw themselves again.
+   * @returns {undefined}
+   */
+  destroy() {
+    if (this.isDestroyed()) {
+      return undefined;
+    }
+
+    for (const entry of this._entries) {
+      if (!entry.primitive.isDestroyed()) {
+        entry.primitive._setManager(undefined);
+      }
+    }
+    this._entries = [];
+
+    if (Cesium.defined(this._sortWorker)) {
+      this._sortWorker.terminate();
+      this._sortWorker = undefined;
+    }
+    this._destroyDataTextures();
+    if (Cesium.defined(this._splatOrder)) {
+      this._splatOrder.destroy();
+      this._splatOrder = undefined;
+    }
+    if (Cesium.defined(this._vertexArray)) {
+      this._vertexArray.destroy();
+      this._vertexArray = undefined;
+    }
+    if (Cesium.defined(this._shaderProgram)) {
+      this._shaderProgram.destroy();
+      this._shaderProgram = undefined;
+    }
+    this._orderData = undefined;
+
+    return Cesium.destroyObject(this);
+  }
+}
+
+export default GSplatRenderManager;
@@ -0,0 +1,244 @@
+/**
+ * Depth sort worker
+ *
+ * Sorts splat centers back to front with a 16-bit counting sort on the distance
+ * along the view direction and posts the order back, translated through the
+ * optional ids table. Shared by GSplatStreamPrimitive and GSplatRenderManager.
+ *
+ * Messages in: { order } (buffer to write into, handed back with every result),
+ * { centers, ids, epoch } (new center set), { cameraPosition, cameraDirection }.
+ * Messages out: { order, count, epoch }, where count is the number of splats in
+ * front of the camera.
+ */
+
+/**
+ * Create a sort worker from an inline Blob, so it works without a separate bundle entry.
+ * @returns {Worker} The sort worker
+ */
+export function createSortWorker() {
+  const workerCode = `
+    const compareBits = 16;
+    const bucketCount = (2 ** compareBits) + 1;
+
+    let order;
+    let centers;
+    let ids; // Splat index of each center
+    let epoch = 0;
+    let cameraPosition;
+    let cameraDirection;
+
+    let forceUpdate = false;
+
+    const lastCameraPosition = { x: 0, y: 0, z: 0 };
+    const lastCameraDirection = { x: 0, y: 0, z: 0 };
+
+    const boundMin = { x: 0, y: 0, z: 0 };
+    const boundMax = { x: 0, y: 0, z: 0 };
+
+    let distances;
+    let countBuffer;
+
+    const binarySearch = (m, n, compare_fn) => {
+      while (m <= n) {
+        const k = (n + m) >> 1;
+        const cmp = compare_fn(k);
+        if (cmp > 0) {
+          m = k + 1;
+        } else if (cmp < 0) {
+          n = k - 1;
+        } else {
+          return k;
+        }
+      }
+      return ~m;
+    };
+
+    const update = () => {
+      if (!order || !centers || !cameraPosition || !cameraDirection) return;
+
+      const px = cameraPosition.x;
+      const py = cameraPosition.y;
+      const pz = cameraPosition.z;
+      const dx = cameraDirection.x;
+      const dy = cameraDirection.y;
+      const dz = cameraDirection.z;
+
+      const epsilon = 0.001;
+
+      if (!forceUpdate &&
+          Math.abs(px - lastCameraPosition.x) < epsilon &&
+          Math.abs(py - lastCameraPosition.y) < epsilon &&
+          Math.abs(pz - lastCameraPosition.z) < epsilon &&
+          Math.abs(dx - lastCameraDirection.x) < epsilon &&
+          Math.abs(dy - lastCameraDirection.y) < epsilon &&
+          Math.abs(dz - lastCameraDirection.z) < epsilon) {
+        return;
+      }
+
+      forceUpdate = false;
+
+      lastCameraPosition.x = px;
+      lastCameraPosition.y = py;
+      lastCameraPosition.z = pz;
+      lastCameraDirection.x = dx;
+      lastCameraDirection.y = dy;
+      lastCameraDirection.z = dz;
+
+      const numVertices = centers.length / 3;
+      if (numVertices === 0) {
+        self.postMessage({ order: order.buffer, count: 0, epoch }, [order.buffer]);
+        order = null;
+        return;
+      }
+      if (distances?.length !== numVertices) {
+        distances = new Uint32Array(numVertices);
+      }
+
+      let minDist;
+      let maxDist;
+      for (let i = 0; i < 8; ++i) {
+        const x = (i & 1 ? boundMin.x : boundMax.x) - px;
+        const y = (i & 2 ? boundMin.y : boundMax.y) - py;
+        const z = (i & 4 ? boundMin.z : boundMax.z) - pz;
+        const d = x * dx + y * dy + z * dz;
+        if (i === 0) {
+          minDist = maxDist = d;
+        } else {
+          minDist = Math.min(minDist, d);
+          maxDist = Math.max(maxDist, d);
+        }
+      }
+
+      if (!countBuffer) {
+        countBuffer = new Uint32Array(bucketCount);
+      } else {
+        countBuffer.fill(0);
+      }
+
+      const range = maxDist - minDist;
+      const divider = (range < 1e-6) ? 0 : 1 / range * (2 ** compareBits);
+      for (let i = 0; i < numVertices; ++i) {
+        const istride = i * 3;
+        const x = centers[istride + 0] - px;
+        const y = centers[istride + 1] - py;
+        const z = centers[istride + 2] - pz;
+        const d = x * dx + y * dy + z * dz;
+        // Invert sortKey so larger distances (farther) get smaller sortKey values
+        // This makes the radix sort produce far-to-near order directly
+        const sortKey = bucketCount - 1 - Math.floor((d - minDist) * divider);
+
+        distances[i] = sortKey;
+        countBuffer[sortKey]++;
+      }
+
+      // Cumulative count: countBuffer[i] = count of elements with sortKey <= i
+      for (let i = 1; i < bucketCount; i++) {
+        countBuffer[i] += countBuffer[i - 1];
+      }
+
+      // Standard radix sort: produces near-to-far order, but since we inverted sortKey,
+      // this actually gives us far-to-near order (back-to-front for alpha blending)
+      for (let i = 0; i < numVertices; i++) {
+        const distance = distances[i];
+        const destIndex = --countBuffer[distance];
+        order[destIndex] = i;
+      }
+
+      // Calculate actual distance from camera (handle divider = 0 case)
+      const dist = i => {
+        if (divider === 0) {
+          // All splats are at same distance, use original distance calculation
+          const istride = order[i] * 3;
+          const x = centers[istride + 0] - px;
+          const y = centers[istride + 1] - py;
+          const z = centers[istride + 2] - pz;
+          return x * dx + y * dy + z * dz;
+        }
+        // Recover original sortKey from inverted sortKey, then calculate distance
+        const invertedSortKey = distances[order[i]];
+        const originalSortKey = bucketCount - 1 - invertedSortKey;
+        return originalSortKey / divider + minDist;
+      };
+      const findZero = () => {
+        // Binary search for first index where dist(i) >= 0
+        // compare_fn returns: > 0 if dist(i) < 0 (behind camera), < 0 if dist(i) > 0 (in front), = 0 if dist(i) == 0
+        const result = binarySearch(0, numVertices - 1, i => -dist(i));
+        if (result < 0) {
+          // Not found: all splats are in front of camera (result = ~0 = -1) or all behind (result = ~numVertices)
+          // Check first splat to determine which case
+          if (dist(0) >= 0) {
+            // All splats in front, return numVertices
+            return numVertices;
+          } else {
+            // All splats behind, return 0
+            return 0;
+          }
+        }
+        return result;
+      };
+      const count = dist(numVertices - 1) >= 0 ? findZero() : numVertices;
+
+      // Translate center positions to splat indices
+      if (ids) {
+        for (let i = 0; i < numVertices; i++) {
+          order[i] = ids[order[i]];
+        }
+      }
+
+      // Debug: log count calculation if suspicious
+      // if (count === 1 && numVertices > 1) {
+      //   const lastDist = dist(numVertices - 1);
+      //   const firstDist = dist(0);
+      //   console.log('[Worker] count=' + count + ', numVertices=' + numVertices + ', divider=' + divider + ', minDist=' + minDist + ', maxDist=' + maxDist + ', firstDist=' + firstDist + ', lastDist=' + lastDist);
+      // }
+
+      // Send results
+      self.postMessage({
+        order: order.buffer,
+        count,
+        epoch
+      }, [order.buffer]);
+
+      order = null;
+    };
+
+    self.onmessage = (message) => {
+      if (message.data.order) {
+        order = new Uint32Array(message.data.order);
+      }
+      if (message.data.centers) {
+        centers = new Float32Array(message.data.centers);
+        ids = message.data.ids ? new Uint32Array(message.data.ids) : null;
+        epoch = message.data.epoch ?? 0;
+
+        boundMin.x = boundMax.x = centers[0];
+        boundMin.y = boundMax.y = centers[1];
+        boundMin.z = boundMax.z = centers[2];
+
+        const numVertices = centers.length / 3;
+        for (let i = 1; i < numVertices; ++i) {
+          const x = centers[i * 3 + 0];
+          const y = centers[i * 3 + 1];
+          const z = centers[i * 3 + 2];
+
+          boundMin.x = Math.min(boundMin.x, x);
+          boundMin.y = Math.min(boundMin.y, y);
+          boundMin.z = Math.min(boundMin.z, z);
+
+          boundMax.x = Math.max(boundMax.x, x);
+          boundMax.y = Math.max(boundMax.y, y);
+          boundMax.z = Math.max(boundMax.z, z);
+        }
+        forceUpdate = true;
+      }
+      if (message.data.cameraPosition) cameraPosition = message.data.cameraPosition;
+      if (message.data.cameraDirection) cameraDirection = message.data.cameraDirection;
+
+      update();
+    };
+  `;
+
+  const blob = new Blob([workerCode], { type: "application/javascript" });
+  const url = URL.createObjectURL(blob);
+  return new Worker(url);
+}
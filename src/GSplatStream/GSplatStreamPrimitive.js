@@ -1,9 +1,42 @@
 import * as Cesium from 'cesium';
-import { evalTextureSize, toHalfFloat } from './GSplatStreamUtils';
+import {
+  evalTextureSize,
+  evalSHTextureCount,
+  packSplatColor,
+  packColorValues,
+  packSplatTransform,
+  packTransformValues,
+  packSplatSH,
+} from './GSplatStreamUtils';
 import GSplatStreamGeometry from './GSplatStreamGeometry';
+import { createSortWorker } from './GSplatSortWorker';
 import GSplatStreamVS from './Shaders/GSplatStreamVS';
 import GSplatStreamFS from './Shaders/GSplatStreamFS';
 
+// _splatSetFlags bits
+const SPLAT_SET = 1;
+const SPLAT_HIDDEN = 2;
+
+/**
+ * Call fn for every index of a selection: a single index, an array / typed array
+ * of indices, or an array of [start, end) ranges (indices and ranges may be mixed).
+ */
+function forEachSelected(selection, fn) {
+  if (typeof selection === 'number') {
+    fn(selection);
+    return;
+  }
+  for (const item of selection) {
+    if (Array.isArray(item)) {
+      for (let i = item[0]; i < item[1]; i++) {
+        fn(i);
+      }
+    } else {
+      fn(item);
+    }
+  }
+}
+
 /**
  * A primitive that renders Gaussian splats with streaming support.
  * 
@@ -13,6 +46,9 @@ import GSplatStreamFS from './Shaders/GSplatStreamFS';
  * @param {number} [options.batchSize=128] Number of splats per batch
  * @param {boolean} [options.debugShowBoundingVolume=false] Whether to show the bounding volume
  * @param {boolean} [options.show=true] Whether to show the primitive
+ * @param {number} [options.shDegree=0] Spherical harmonics degree of the data when totalCount is given
+ * @param {number} [options.maxSHDegree=3] Maximum spherical harmonics degree kept on the GPU (0-3)
+ * @param {boolean} [options.growable=false] Grow the primitive when writing past totalCount instead of throwing
  */
 class GSplatStreamPrimitive {
   constructor(options) {
@@ -38,6 +74,16 @@ class GSplatStreamPrimitive {
     this.debugShowBoundingVolume = options.debugShowBoundingVolume ?? false;
 
     this.totalCount = 0;
+    this._capacity = 0; // Allocated splat slots (size.x * size.y), >= totalCount
+
+    /**
+     * Whether writes past totalCount grow the primitive instead of throwing.
+     * Lets sources without a known splat count (headerless formats, live feeds)
+     * stream into a primitive that was never initialized with initCount.
+     * @type {boolean}
+     */
+    this.growable = options.growable ?? false;
+
     this.size = { x: 0, y: 0 };
     this.localBoundBox = { min: { x: Infinity, y: Infinity, z: Infinity }, max: { x: -Infinity, y: -Infinity, z: -Infinity } };
 
@@ -47,6 +93,16 @@ class GSplatStreamPrimitive {
     this.texParams = undefined; // [numSplats, texWidth, validCount, visBoost]
     this._texParamDirty = true;
     this.splatOrder = undefined;
+    this.shTextures = [];
+
+    /**
+     * Maximum spherical harmonics degree kept on the GPU.
+     * Lower values save texture memory and vertex shader work.
+     * @type {number}
+     */
+    this.maxSHDegree = Math.max(0, Math.min(3, options.maxSHDegree ?? 3));
+    this._shDegree = 0;
+    this._initialSHDegree = options.shDegree ?? 0; // Used when a growable primitive allocates on first write
 
     this._geometry = undefined;
 
@@ -54,10 +110,13 @@ class GSplatStreamPrimitive {
     this._transformAData = undefined; // RGBA32U: count * 4
     this._transformBData = undefined; // RGBA16F: count * 4 (Float16 format)
     this._orderData = undefined; // R32U: size.x * size.y
+    this._shData = []; // RGBA32U per texture: [scale, coeff0, coeff1, ...] packed 11/10/11
     this._positions = undefined; // xyz per splat (local space)
 
-    this._splatSetFlags = undefined; // Track which indices have data
+    this._splatSetFlags = undefined; // Per index: SPLAT_SET when it has data, plus SPLAT_HIDDEN when hidden
     this._validCount = 0; // Number of splats with valid data
+    this._hiddenCount = 0; // Number of those that are hidden
+    this._orderEpoch = 0; // Bumped when splats disappear; sort results from older epochs are dropped
 
     this._sortWorker = undefined;
     this._lastSentTime = 0;
@@ -75,10 +134,10 @@ class GSplatStreamPrimitive {
     this._lastPixelCullParams = '';
     this._texturesInitialized = false;
 
-    this._batchSize = 128;
+    this._batchSize = options.batchSize ?? 128;
     this.instanceCount = 0;
 
-    this._pendingUpdates = new Set(); // Indices pending GPU update
+    this._dirtyRanges = []; // Merged [start, end) index ranges pending GPU update
     this._autoFlushThreshold = 10000; // Auto-flush when this many updates pending
     this._frameCount = 0;
     this.flushFrameLimit = 10;
@@ -96,9 +155,10 @@ class GSplatStreamPrimitive {
     this._dirty = true;
     this._prevViewMatrix = new Cesium.Matrix4();
     this._scene = options.scene || undefined;
+    this._manager = undefined; // GSplatRenderManager that draws this primitive, if any
 
     if (options.totalCount !== undefined && options.totalCount > 0) {
-      this.initCount(options.totalCount, options.batchSize ?? 128);
+      this.initCount(options.totalCount, this._batchSize, options.shDegree ?? 0);
     }
   }
 
@@ -107,9 +167,10 @@ class GSplatStreamPrimitive {
    * Pre-allocates all GPU resources with zero-initialized data.
    * 
    * @param {number} totalCount Total number of splats that will be streamed
-   * @param {number} [batchSize=128] Splats per draw call
+   * @param {number} [batchSize] Splats per draw call (defaults to options.batchSize)
+   * @param {number} [shDegree=0] Spherical harmonics degree of the source data (capped by maxSHDegree)
    */
-  initCount(totalCount, batchSize = 128) {
+  initCount(totalCount, batchSize = this._batchSize, shDegree = 0) {
     if (this.isDestroyed()) {
       throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
     }
@@ -135,17 +196,26 @@ class GSplatStreamPrimitive {
     this._transformBData = new Uint16Array(total * 4);
     this._transformBData.fill(0);
 
+    this._shDegree = Math.max(0, Math.min(this.maxSHDegree, shDegree | 0));
+    this._shData = [];
+    for (let i = 0; i < evalSHTextureCount(this._shDegree); i++) {
+      this._shData.push(new Uint32Array(total * 4));
+    }
+
     this._orderData = new Uint32Array(total);
     for (let i = 0; i < total; i++) {
       this._orderData[i] = i < totalCount ? i : (totalCount > 0 ? totalCount - 1 : 0);
     }
 
-    this._positions = new Float32Array(totalCount * 3);
+    // Per-splat arrays cover the whole texture so growing within it needs no reallocation
+    this._capacity = total;
+    this._positions = new Float32Array(total * 3);
     this._positions.fill(0);
     this.localBoundBox = { min: { x: Infinity, y: Infinity, z: Infinity }, max: { x: -Infinity, y: -Infinity, z: -Infinity } };
 
-    this._splatSetFlags = new Array(totalCount).fill(false);
+    this._splatSetFlags = new Uint8Array(total);
     this._validCount = 0;
+    this._hiddenCount = 0;
 
     this.texParams = new Float32Array([this._validCount, this.size.x, 0, 1.0]);
 
@@ -157,6 +227,109 @@ class GSplatStreamPrimitive {
     this._dirty = true;
   }
 
+  /**
+   * Grow the primitive to hold totalCount splats, keeping the splats already written.
+   * Textures are only reallocated when the current texture size is exceeded; the old
+   * textures are replaced in one step so existing splats stay visible.
+   * Initializes the primitive (see initCount) if it has not been initialized yet.
+   *
+   * @param {number} totalCount New total splat count (must not be smaller than the current one)
+   */
+  resize(totalCount) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    if (totalCount < this.totalCount) {
+      throw new Cesium.DeveloperError(
+        `Cannot shrink from ${this.totalCount} to ${totalCount} splats`
+      );
+    }
+    if (totalCount === this.totalCount) return;
+
+    if (!Cesium.defined(this._colorData)) {
+      this.initCount(totalCount, this._batchSize, this._initialSHDegree);
+      return;
+    }
+
+    if (totalCount > this._capacity) {
+      this._reallocate(totalCount);
+    }
+    this.totalCount = totalCount;
+  }
+
+  /**
+   * Make room for splat indices below end, growing geometrically so that
+   * one-by-one appends only reallocate a logarithmic number of times.
+   * @private
+   */
+  _ensureCount(start, end) {
+    if (start < 0 || end < start) {
+      throw new Cesium.DeveloperError(
+        `Range [${start}, ${end}) out of range [0, ${this.totalCount})`
+      );
+    }
+    if (end <= this.totalCount || !this.growable) return;
+
+    if (end > this._capacity && this._capacity > 0) {
+      this._reallocate(Math.max(end, this._capacity * 2));
+    }
+    this.resize(end);
+  }
+
+  /**
+   * Move all CPU buffers to a texture size that fits capacity splats and recreate the textures.
+   * Splat indices map to the same linear texel index, so data is copied as-is
+   * (truncated when shrinking after compact).
+   * @private
+   */
+  _reallocate(capacity) {
+    const size = evalTextureSize(capacity);
+    const total = size.x * size.y;
+
+    const copy = (data, components) => {
+      const resized = new data.constructor(total * components);
+      resized.set(data.subarray(0, Math.min(data.length, resized.length)));
+      return resized;
+    };
+
+    this._colorData = copy(this._colorData, 4);
+    this._transformAData = copy(this._transformAData, 4);
+    this._transformBData = copy(this._transformBData, 4);
+    this._shData = this._shData.map((data) => copy(data, 4));
+    this._positions = copy(this._positions, 3);
+    this._splatSetFlags = copy(this._splatSetFlags, 1);
+
+    const oldTotal = this._orderData.length;
+    this._orderData = copy(this._orderData, 1);
+    this._orderData.fill(this._validCount > 0 ? this._validCount - 1 : 0, oldTotal);
+
+    this.size = size;
+    this._capacity = total;
+    if (Cesium.defined(this.texParams)) {
+      this.texParams[1] = size.x;
+    }
+    this._texParamDirty = true;
+
+    // Swap in textures of the new size right away; the draw command reads them through its uniform map
+    this._destroyTextures();
+    if (Cesium.defined(this._context) && !Cesium.defined(this._manager)) {
+      this._updateTextures(size.x, size.y, this._context);
+    }
+
+    // The sort worker writes into its order buffer by index, hand it one that fits
+    if (this._sortWorker) {
+      const orderBuffer = this._orderData.slice(0).buffer;
+      this._sortWorker.postMessage({ order: orderBuffer }, [orderBuffer]);
+    }
+    this._centersSent = false;
+    this._dirty = true;
+
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
   /**
    * Set data for a single splat at the given index.
    * Updates CPU buffers and marks for GPU update.
@@ -167,6 +340,7 @@ class GSplatStreamPrimitive {
    * @param {number[]} [data.rotation] Rotation quaternion [x, y, z, w] (optional)
    * @param {number[]} [data.scale] Scale [x, y, z] (optional, anisotropic)
    * @param {number} [data.opacity] Opacity value (optional)
+   * @param {number[]} [data.color] Color [r, g, b] in 0-1 (optional, takes precedence over the SH DC term)
    * @param {object} [data.sh] Spherical harmonics data (optional)
    * @param {number} data.sh.order SH order
    * @param {Float32Array} data.sh.coeffs SH coefficients
@@ -176,6 +350,9 @@ class GSplatStreamPrimitive {
       throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
     }
 
+    if (this.growable) {
+      this._ensureCount(index, index + 1);
+    }
     if (index < 0 || index >= this.totalCount) {
       throw new Cesium.DeveloperError(
         `Index ${index} out of range [0, ${this.totalCount})`
@@ -190,39 +367,559 @@ class GSplatStreamPrimitive {
     
     this._updateLocalBoundBox(data.position[0], data.position[1], data.position[2]);
 
-    const SH_C0 = 0.28209479177387814;
-    let r = 0.5, g = 0.5, b = 0.5;
-    if (data.sh && data.sh.coeffs && data.sh.coeffs.length >= 3) {
-      r = 0.5 + data.sh.coeffs[0] * SH_C0;
-      g = 0.5 + data.sh.coeffs[1] * SH_C0;
-      b = 0.5 + data.sh.coeffs[2] * SH_C0;
-    }
-    const a = data.opacity !== undefined ? 1 / (1 + Math.exp(-data.opacity)) : 1.0;
-
-    const colorIdx = index * 4;
-    this._colorData[colorIdx + 0] = Math.max(0, Math.min(255, Math.floor(r * 255)));
-    this._colorData[colorIdx + 1] = Math.max(0, Math.min(255, Math.floor(g * 255)));
-    this._colorData[colorIdx + 2] = Math.max(0, Math.min(255, Math.floor(b * 255)));
-    this._colorData[colorIdx + 3] = Math.max(0, Math.min(255, Math.floor(a * 255)));
+    packSplatColor(this._colorData, index, data);
 
     this.updateTransformData(index, data);
 
+    if (this._shDegree > 0) {
+      this._updateSHData(index, data.sh);
+    }
+
     if (!wasSet) {
-      this._splatSetFlags[index] = true;
+      this._splatSetFlags[index] = SPLAT_SET;
       this._validCount++;
       this._texParamDirty = true;
     }
 
-    this._pendingUpdates.add(index);
+    this._markDirty(index, index + 1);
 
     if (Cesium.defined(this._scene)) {
       this._scene.requestRender();
     }
-    // if (this._pendingUpdates.size >= this._autoFlushThreshold && Cesium.defined(this._context)) {
+    // if (this._pendingCount() >= this._autoFlushThreshold && Cesium.defined(this._context)) {
     //   this.flushUpdates();
     // }
   }
 
+  /**
+   * Copy pre-packed texture data for splats [start, start + count) into the CPU buffers.
+   * The data is laid out exactly like the textures (see packSplatColor, packSplatTransform
+   * and packSplatSH in GSplatStreamUtils), e.g. as produced by a decode worker.
+   *
+   * @param {number} start First splat index
+   * @param {object} packed Packed data for `count` consecutive splats
+   * @param {number} packed.count Number of splats
+   * @param {Float32Array} packed.positions Centers, 3 floats per splat
+   * @param {Uint8Array} packed.color RGBA8 colors, 4 per splat
+   * @param {Uint32Array} packed.transformA Center bits and packed covariance, 4 per splat
+   * @param {Uint16Array} packed.transformB Half-float covariance, 4 per splat
+   * @param {Uint32Array[]} [packed.sh] SH texture data, required when the primitive stores SH
+   * @param {{min: number[], max: number[]}} [packed.bounds] Bounds of the positions (computed if omitted)
+   */
+  setPackedSplats(start, packed) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    const count = packed.count;
+    if (this.growable) {
+      this._ensureCount(start, start + count);
+    }
+    if (start < 0 || start + count > this.totalCount) {
+      throw new Cesium.DeveloperError(
+        `Range [${start}, ${start + count}) out of range [0, ${this.totalCount})`
+      );
+    }
+    if (this._shData.length > 0 && (!packed.sh || packed.sh.length !== this._shData.length)) {
+      throw new Cesium.DeveloperError(
+        `Packed SH data must have ${this._shData.length} textures for SH degree ${this._shDegree}`
+      );
+    }
+    if (count <= 0) return;
+
+    this._positions.set(packed.positions.subarray(0, count * 3), start * 3);
+    this._colorData.set(packed.color.subarray(0, count * 4), start * 4);
+    this._transformAData.set(packed.transformA.subarray(0, count * 4), start * 4);
+    this._transformBData.set(packed.transformB.subarray(0, count * 4), start * 4);
+    for (let i = 0; i < this._shData.length; i++) {
+      this._shData[i].set(packed.sh[i].subarray(0, count * 4), start * 4);
+    }
+
+    let bounds = packed.bounds;
+    if (!bounds) {
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      const positions = packed.positions;
+      for (let i = 0; i < count * 3; i += 3) {
+        for (let k = 0; k < 3; k++) {
+          const v = positions[i + k];
+          if (v < min[k]) min[k] = v;
+          if (v > max[k]) max[k] = v;
+        }
+      }
+      bounds = { min, max };
+    }
+
+    this._commitRange(start, start + count, bounds);
+  }
+
+  /**
+   * Write splats [start, end) from columnar typed arrays in one pass.
+   * Each column holds (end - start) splats, using the same conventions as setSplatData.
+   * Pre-packed texture data can be passed as `columns.packed` (see setPackedSplats).
+   *
+   * @param {number} start First splat index
+   * @param {number} end One past the last splat index
+   * @param {object} columns Splat columns
+   * @param {Float32Array} columns.positions Centers, 3 per splat (required unless packed)
+   * @param {Float32Array} [columns.scales] Log scales, 3 per splat (default 0, unit scale)
+   * @param {Float32Array} [columns.rotations] Quaternions [x, y, z, w], 4 per splat (default identity)
+   * @param {Float32Array} [columns.opacities] Opacities before sigmoid, 1 per splat (default opaque)
+   * @param {Uint8Array|Float32Array} [columns.colors] RGB or RGBA colors, 0-255 for Uint8Array, 0-1 otherwise;
+   *   alpha, when present, takes precedence over opacities
+   * @param {Float32Array} [columns.sh] SH coefficients per splat, channel-major with DC first
+   *   ([R0..Rn, G0..Gn, B0..Bn]); the DC term gives the color when colors is omitted
+   * @param {object} [columns.packed] Pre-packed texture data, forwarded to setPackedSplats
+   */
+  setSplatRange(start, end, columns) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    const count = end - start;
+    if (columns.packed) {
+      this.setPackedSplats(start, { ...columns.packed, count });
+      return;
+    }
+
+    if (this.growable) {
+      this._ensureCount(start, end);
+    }
+    if (start < 0 || end > this.totalCount || count < 0) {
+      throw new Cesium.DeveloperError(
+        `Range [${start}, ${end}) out of range [0, ${this.totalCount})`
+      );
+    }
+    if (count === 0) return;
+
+    const { positions, scales, rotations, opacities, colors, sh } = columns;
+    const colorComponents = colors ? colors.length / count : 0;
+    const colorScale = colors instanceof Uint8Array || colors instanceof Uint8ClampedArray ? 1 / 255 : 1;
+    const shStride = sh ? sh.length / count : 0;
+    const coeffsPerColor = shStride / 3;
+    const shView = { coeffs: null };
+    const SH_C0 = 0.28209479177387814;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < count; i++) {
+      const index = start + i;
+      const p = i * 3;
+      const x = positions[p];
+      const y = positions[p + 1];
+      const z = positions[p + 2];
+
+      this._positions[index * 3 + 0] = x;
+      this._positions[index * 3 + 1] = y;
+      this._positions[index * 3 + 2] = z;
+      if (x < min[0]) min[0] = x;
+      if (x > max[0]) max[0] = x;
+      if (y < min[1]) min[1] = y;
+      if (y > max[1]) max[1] = y;
+      if (z < min[2]) min[2] = z;
+      if (z > max[2]) max[2] = z;
+
+      const q = i * 4;
+      packTransformValues(
+        this._transformAData, this._transformBData, index,
+        x, y, z,
+        rotations ? rotations[q] : 0,
+        rotations ? rotations[q + 1] : 0,
+        rotations ? rotations[q + 2] : 0,
+        rotations ? rotations[q + 3] : 1,
+        scales ? Math.exp(scales[p]) : 1,
+        scales ? Math.exp(scales[p + 1]) : 1,
+        scales ? Math.exp(scales[p + 2]) : 1
+      );
+
+      let r = 0.5, g = 0.5, b = 0.5;
+      let a = opacities ? 1 / (1 + Math.exp(-opacities[i])) : 1.0;
+      if (colors) {
+        const c = i * colorComponents;
+        r = colors[c] * colorScale;
+        g = colors[c + 1] * colorScale;
+        b = colors[c + 2] * colorScale;
+        if (colorComponents === 4) {
+          a = colors[c + 3] * colorScale;
+        }
+      } else if (sh) {
+        const s = i * shStride;
+        r = 0.5 + sh[s] * SH_C0;
+        g = 0.5 + sh[s + coeffsPerColor] * SH_C0;
+        b = 0.5 + sh[s + 2 * coeffsPerColor] * SH_C0;
+      }
+      packColorValues(this._colorData, index, r, g, b, a);
+
+      if (this._shDegree > 0) {
+        shView.coeffs = sh ? sh.subarray(i * shStride, (i + 1) * shStride) : null;
+        packSplatSH(this._shData, index, shView, this._shDegree);
+      }
+    }
+
+    this._commitRange(start, end, { min, max });
+  }
+
+  /**
+   * Remove splats. Their slots become empty (they can be written again) and are
+   * dropped from the draw order right away; call compact() to reclaim the space.
+   *
+   * @param {number|number[]|Uint32Array|Array<number[]>} selection Indices and/or [start, end) ranges
+   * @returns {number} Number of splats removed
+   */
+  removeSplats(selection) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    const flags = this._splatSetFlags;
+    let removed = 0;
+    forEachSelected(selection, (index) => {
+      this._checkIndex(index);
+      if (!flags[index]) return;
+      if (flags[index] & SPLAT_HIDDEN) {
+        this._hiddenCount--;
+      }
+      flags[index] = 0;
+      this._validCount--;
+      removed++;
+    });
+
+    if (removed > 0) {
+      this._recomputeBounds();
+      this._onVisibilityChanged();
+    }
+    return removed;
+  }
+
+  /**
+   * Hide splats without removing their data. Empty slots are ignored.
+   *
+   * @param {number|number[]|Uint32Array|Array<number[]>} selection Indices and/or [start, end) ranges
+   * @returns {number} Number of splats that were visible and are now hidden
+   */
+  hideSplats(selection) {
+    return this._setHidden(selection, true);
+  }
+
+  /**
+   * Show splats hidden with hideSplats.
+   *
+   * @param {number|number[]|Uint32Array|Array<number[]>} selection Indices and/or [start, end) ranges
+   * @returns {number} Number of splats that were hidden and are now visible
+   */
+  showSplats(selection) {
+    return this._setHidden(selection, false);
+  }
+
+  /**
+   * Whether the splat at index has data and is not hidden.
+   * @param {number} index Splat index
+   * @returns {boolean}
+   */
+  isSplatVisible(index) {
+    return this._splatSetFlags !== undefined && this._splatSetFlags[index] === SPLAT_SET;
+  }
+
+  /**
+   * Indices of the splats with data (hidden ones included) whose center lies in an
+   * axis-aligned box in the primitive's local coordinates.
+   * @param {number[]} min Box minimum [x, y, z]
+   * @param {number[]} max Box maximum [x, y, z]
+   * @returns {Uint32Array} Ascending splat indices, usable as a selection for removeSplats
+   */
+  findSplatsInBox(min, max) {
+    const flags = this._splatSetFlags;
+    const positions = this._positions;
+    const found = [];
+    for (let i = 0; i < this.totalCount; i++) {
+      if (!flags[i]) continue;
+      const x = positions[i * 3];
+      const y = positions[i * 3 + 1];
+      const z = positions[i * 3 + 2];
+      if (x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] && z >= min[2] && z <= max[2]) {
+        found.push(i);
+      }
+    }
+    return new Uint32Array(found);
+  }
+
+  /**
+   * Move all splats with data to the front, in their current relative order, drop the
+   * empty slots left by removeSplats (and never-written ones) and shrink the textures
+   * when they become oversized. totalCount becomes the number of remaining splats.
+   * Indices change, so do not compact while a loader is still writing to this primitive.
+   *
+   * @returns {Int32Array} New index of every old index, -1 for empty slots
+   */
+  compact() {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    const oldCount = this.totalCount;
+    const remap = new Int32Array(oldCount).fill(-1);
+    if (!Cesium.defined(this._splatSetFlags)) return remap;
+
+    const flags = this._splatSetFlags;
+    const move = (data, components, from, to, count) => {
+      data.copyWithin(to * components, from * components, (from + count) * components);
+    };
+
+    // Copy each run of set splats down in one go
+    let next = 0;
+    let index = 0;
+    while (index < oldCount) {
+      if (!flags[index]) {
+        index++;
+        continue;
+      }
+      const runStart = index;
+      while (index < oldCount && flags[index]) {
+        remap[index] = next + index - runStart;
+        index++;
+      }
+      const runLength = index - runStart;
+      if (runStart !== next) {
+        move(this._colorData, 4, runStart, next, runLength);
+        move(this._transformAData, 4, runStart, next, runLength);
+        move(this._transformBData, 4, runStart, next, runLength);
+        for (const data of this._shData) {
+          move(data, 4, runStart, next, runLength);
+        }
+        move(this._positions, 3, runStart, next, runLength);
+        move(flags, 1, runStart, next, runLength);
+      }
+      next += runLength;
+    }
+    flags.fill(0, next);
+
+    this.totalCount = next;
+    this._filterOrder(remap);
+
+    // Keep at least one texel so an emptied primitive still has valid textures
+    const capacity = Math.max(next, 1);
+    const size = evalTextureSize(capacity);
+    if (size.x * size.y < this._capacity) {
+      this._reallocate(capacity);
+    }
+
+    this._dirtyRanges.length = 0;
+    if (next > 0) {
+      this._markDirty(0, next);
+    }
+    this._onVisibilityChanged();
+    return remap;
+  }
+
+  /**
+   * @private
+   */
+  _setHidden(selection, hidden) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
+    }
+
+    const flags = this._splatSetFlags;
+    let changed = 0;
+    forEachSelected(selection, (index) => {
+      this._checkIndex(index);
+      if (!flags[index] || !!(flags[index] & SPLAT_HIDDEN) === hidden) return;
+      flags[index] ^= SPLAT_HIDDEN;
+      changed++;
+    });
+
+    if (changed > 0) {
+      this._hiddenCount += hidden ? changed : -changed;
+      this._onVisibilityChanged();
+    }
+    return changed;
+  }
+
+  /**
+   * @private
+   */
+  _checkIndex(index) {
+    if (index < 0 || index >= this.totalCount) {
+      throw new Cesium.DeveloperError(
+        `Index ${index} out of range [0, ${this.totalCount})`
+      );
+    }
+  }
+
+  /**
+   * Number of splats that have data and are not hidden.
+   * @private
+   */
+  _visibleCount() {
+    return this._validCount - this._hiddenCount;
+  }
+
+  /**
+   * Drop splats that are gone from the current draw order and resend the sort worker's centers.
+   * @private
+   */
+  _onVisibilityChanged() {
+    this._orderEpoch++;
+    this._filterOrder();
+    this._centersSent = false;
+    this._texParamDirty = true;
+    this._dirty = true;
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
+  /**
+   * Keep only visible splats in the draw order, preserving the last sort.
+   * Before the first sort result the order is rebuilt from the visible indices.
+   * @param {Int32Array} [remap] Old to new index table from compact
+   * @private
+   */
+  _filterOrder(remap) {
+    const order = this._orderData;
+    const flags = this._splatSetFlags;
+    if (!Cesium.defined(order)) return;
+
+    let kept = 0;
+    if (this._workerHasReturned) {
+      const count = Math.min(this.texParams[0], order.length);
+      for (let i = 0; i < count; i++) {
+        let index = order[i];
+        if (remap) {
+          index = index < remap.length ? remap[index] : -1;
+        }
+        if (index >= 0 && flags[index] === SPLAT_SET) {
+          order[kept++] = index;
+        }
+      }
+      this.setCount(kept);
+    } else {
+      for (let i = 0; i < this.totalCount; i++) {
+        if (flags[i] === SPLAT_SET) {
+          order[kept++] = i;
+        }
+      }
+    }
+    order.fill(kept > 0 ? order[kept - 1] : 0, kept);
+    this.instanceCount = Math.ceil(kept / this._batchSize);
+
+    if (Cesium.defined(this.splatOrder) && Cesium.defined(this._context)) {
+      this.splatOrder.copyFrom({
+        source: {
+          width: this.size.x,
+          height: this.size.y,
+          arrayBufferView: order,
+        },
+        skipColorSpaceConversion: true,
+      });
+    }
+  }
+
+  /**
+   * Recompute the local bounds and bounding sphere from the splats that have data.
+   * @private
+   */
+  _recomputeBounds() {
+    this.localBoundBox = { min: { x: Infinity, y: Infinity, z: Infinity }, max: { x: -Infinity, y: -Infinity, z: -Infinity } };
+    this.boundingSphere = undefined;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const flags = this._splatSetFlags;
+    const positions = this._positions;
+    for (let i = 0; i < this.totalCount; i++) {
+      if (!flags[i]) continue;
+      for (let k = 0; k < 3; k++) {
+        const v = positions[i * 3 + k];
+        if (v < min[k]) min[k] = v;
+        if (v > max[k]) max[k] = v;
+      }
+    }
+
+    if (min[0] <= max[0]) {
+      for (let corner = 0; corner < 8; corner++) {
+        this._updateLocalBoundBox(
+          corner & 1 ? max[0] : min[0],
+          corner & 2 ? max[1] : min[1],
+          corner & 4 ? max[2] : min[2]
+        );
+      }
+    }
+  }
+
+  /**
+   * Bookkeeping shared by the range writers: set flags, dirty range, bounds and render request.
+   * @private
+   */
+  _commitRange(start, end, bounds) {
+    // The sphere around all eight corners contains every point of the box
+    for (let corner = 0; corner < 8; corner++) {
+      this._updateLocalBoundBox(
+        corner & 1 ? bounds.max[0] : bounds.min[0],
+        corner & 2 ? bounds.max[1] : bounds.min[1],
+        corner & 4 ? bounds.max[2] : bounds.min[2]
+      );
+    }
+
+    const flags = this._splatSetFlags;
+    const validCount = this._validCount;
+    for (let index = start; index < end; index++) {
+      if (!flags[index]) {
+        flags[index] = SPLAT_SET;
+        this._validCount++;
+      }
+    }
+    if (this._validCount !== validCount) {
+      this._texParamDirty = true;
+    }
+
+    this._markDirty(start, end);
+
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
+  /**
+   * Mark splats [start, end) as pending GPU upload.
+   * Adjacent or overlapping ranges are merged; too many scattered ranges collapse into one.
+   * @private
+   */
+  _markDirty(start, end) {
+    const ranges = this._dirtyRanges;
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1] && end >= last[0]) {
+      last[0] = Math.min(last[0], start);
+      last[1] = Math.max(last[1], end);
+      return;
+    }
+
+    ranges.push([start, end]);
+    if (ranges.length > 256) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const range of ranges) {
+        min = Math.min(min, range[0]);
+        max = Math.max(max, range[1]);
+      }
+      ranges.length = 0;
+      ranges.push([min, max]);
+    }
+  }
+
+  /**
+   * Number of splats pending GPU upload.
+   * @private
+   */
+  _pendingCount() {
+    let count = 0;
+    for (const range of this._dirtyRanges) {
+      count += range[1] - range[0];
+    }
+    return count;
+  }
+
   /**
    * Update local bounding box.
    * @private
@@ -248,84 +945,16 @@ class GSplatStreamPrimitive {
    * @private
    */
   updateTransformData(index, data) {
-    const idx = index * 4;
-
-    const fb = new ArrayBuffer(4);
-    const f32 = new Float32Array(fb);
-    const u32 = new Uint32Array(fb);
-    const setFloatBits = (v) => {
-      f32[0] = v;
-      return u32[0];
-    };
+    packSplatTransform(this._transformAData, this._transformBData, index, data);
+  }
 
-    const x = data.position[0];
-    const y = data.position[1];
-    const z = data.position[2];
-    this._transformAData[idx + 0] = setFloatBits(x);
-    this._transformAData[idx + 1] = setFloatBits(y);
-    this._transformAData[idx + 2] = setFloatBits(z);
-
-    let qx = 0, qy = 0, qz = 0, qw = 1;
-    if (data.rotation) {
-      qx = data.rotation[0];
-      qy = data.rotation[1];
-      qz = data.rotation[2];
-      qw = data.rotation[3];
-      const inv = 1.0 / Math.hypot(qx, qy, qz, qw);
-      qx *= inv; qy *= inv; qz *= inv; qw *= inv;
-    }
-
-    let sx = 1, sy = 1, sz = 1;
-    if (data.scale) {
-      sx = Math.exp(data.scale[0]);
-      sy = Math.exp(data.scale[1]);
-      sz = Math.exp(data.scale[2]);
-    }
-
-    const x2 = qx + qx;
-    const y2 = qy + qy;
-    const z2 = qz + qz;
-    const xx = qx * x2;
-    const xy = qx * y2;
-    const xz = qx * z2;
-    const yy = qy * y2;
-    const yz = qy * z2;
-    const zz = qz * z2;
-    const wx = qw * x2;
-    const wy = qw * y2;
-    const wz = qw * z2;
-
-    const data0 = 1 - (yy + zz);
-    const data1 = xy + wz;
-    const data2 = xz - wy;
-    const data3 = xy - wz;
-    const data4 = 1 - (xx + zz);
-    const data5 = yz + wx;
-    const data6 = xz + wy;
-    const data7 = yz - wx;
-    const data8 = 1 - (xx + yy);
-
-    const r00 = data0 * sx; const r01 = data1 * sx; const r02 = data2 * sx;
-    const r10 = data3 * sy; const r11 = data4 * sy; const r12 = data5 * sy;
-    const r20 = data6 * sz; const r21 = data7 * sz; const r22 = data8 * sz;
-
-    const cAx = r00 * r00 + r10 * r10 + r20 * r20;
-    const cAy = r00 * r01 + r10 * r11 + r20 * r21;
-    const cAz = r00 * r02 + r10 * r12 + r20 * r22;
-
-    const cBx = r01 * r01 + r11 * r11 + r21 * r21;
-    const cBy = r01 * r02 + r11 * r12 + r21 * r22;
-    const cBz = r02 * r02 + r12 * r12 + r22 * r22;
-
-    const bidx = idx;
-    this._transformBData[bidx + 0] = toHalfFloat(cAx) & 0xffff;
-    this._transformBData[bidx + 1] = toHalfFloat(cAy) & 0xffff;
-    this._transformBData[bidx + 2] = toHalfFloat(cAz) & 0xffff;
-    this._transformBData[bidx + 3] = toHalfFloat(cBz) & 0xffff;
-
-    const hx = toHalfFloat(cBx) & 0xffff;
-    const hy = toHalfFloat(cBy) & 0xffff;
-    this._transformAData[idx + 3] = hx | (hy << 16);
+  /**
+   * Quantize higher-order SH coefficients for a single splat.
+   * Slot 0 holds the per-splat scale as float bits, slot k + 1 holds coefficient k.
+   * @private
+   */
+  _updateSHData(index, sh) {
+    packSplatSH(this._shData, index, sh, this._shDegree);
   }
 
   /**
@@ -338,34 +967,39 @@ class GSplatStreamPrimitive {
       throw new Cesium.DeveloperError("GSplatStreamPrimitive is destroyed.");
     }
 
-    if (this._pendingUpdates.size === 0) return;
+    if (this._dirtyRanges.length === 0) return;
 
     const w = this.size.x | 0;
     const h = this.size.y | 0;
 
-    const pendingIndices = Array.from(this._pendingUpdates);
-    if (pendingIndices.length === 0) return;
-
     let minRow = h;
     let maxRow = 0;
     let minCol = w;
     let maxCol = 0;
-    for (const index of pendingIndices) {
-      const row = Math.floor(index / w);
-      const col = index % w;
-      if (row < minRow) minRow = row;
-      if (row > maxRow) maxRow = row;
-      if (col < minCol) minCol = col;
-      if (col > maxCol) maxCol = col;
+    for (const [start, end] of this._dirtyRanges) {
+      const firstRow = Math.floor(start / w);
+      const lastRow = Math.floor((end - 1) / w);
+      if (firstRow < minRow) minRow = firstRow;
+      if (lastRow > maxRow) maxRow = lastRow;
+      if (firstRow === lastRow) {
+        if (start % w < minCol) minCol = start % w;
+        if ((end - 1) % w > maxCol) maxCol = (end - 1) % w;
+      } else {
+        minCol = 0;
+        maxCol = w - 1;
+      }
     }
 
     const rowCount = maxRow - minRow + 1;
     const colCount = maxCol - minCol + 1;
     const updateRatio = (rowCount * colCount) / (h * w);
 
-    this._pendingUpdates.clear();
+    this._dirtyRanges.length = 0;
 
-    if (Cesium.defined(this._context) && w > 0 && h > 0) {
+    if (Cesium.defined(this._manager)) {
+      // The manager's shared textures hold the GPU copy of this primitive
+      this._manager._uploadRows(this, minRow, rowCount);
+    } else if (Cesium.defined(this._context) && w > 0 && h > 0) {
       if (updateRatio < 0.5 && (rowCount < h || colCount < w)) {
         this._updateTexturesPartial(w, h, minRow, rowCount, minCol, colCount, this._context);
       } else {
@@ -478,6 +1112,33 @@ class GSplatStreamPrimitive {
       });
     }
 
+    for (let i = 0; i < this._shData.length; i++) {
+      if (!Cesium.defined(this.shTextures[i])) {
+        this.shTextures[i] = new Cesium.Texture({
+          context: context,
+          source: {
+            width: width,
+            height: height,
+            arrayBufferView: this._shData[i],
+          },
+          pixelFormat: Cesium.PixelFormat.RGBA_INTEGER,
+          pixelDatatype: Cesium.PixelDatatype.UNSIGNED_INT,
+          flipY: false,
+          skipColorSpaceConversion: true,
+          sampler: Cesium.Sampler.NEAREST,
+        });
+      } else {
+        this.shTextures[i].copyFrom({
+          source: {
+            width: width,
+            height: height,
+            arrayBufferView: this._shData[i],
+          },
+          skipColorSpaceConversion: true,
+        });
+      }
+    }
+
     if (!Cesium.defined(this.splatOrder)) {
     this.splatOrder = new Cesium.Texture({
       context: context,
@@ -526,7 +1187,8 @@ class GSplatStreamPrimitive {
     this._context = context;
 
     if (!Cesium.defined(this.splatColor) || !Cesium.defined(this.transformA) || 
-        !Cesium.defined(this.transformB) || !Cesium.defined(this.splatOrder)) {
+        !Cesium.defined(this.transformB) || !Cesium.defined(this.splatOrder) ||
+        this.shTextures.length !== this._shData.length) {
       this._updateTextures(width, height, context);
       return;
     }
@@ -641,6 +1303,28 @@ class GSplatStreamPrimitive {
       yOffset: startRow,
       skipColorSpaceConversion: true,
     });
+
+    // SH textures share the RGBA32U layout of transformA
+    for (let i = 0; i < this._shData.length; i++) {
+      const partialSHData = new Uint32Array(partialSizeTransformA / 4);
+      for (let row = 0; row < rowCount; row++) {
+        const srcStart = ((startRow + row) * width + startCol) * 4;
+        partialSHData.set(
+          this._shData[i].subarray(srcStart, srcStart + colCount * 4),
+          row * colCount * 4
+        );
+      }
+      this.shTextures[i].copyFrom({
+        source: {
+          width: colCount,
+          height: rowCount,
+          arrayBufferView: partialSHData,
+        },
+        xOffset: startCol,
+        yOffset: startRow,
+        skipColorSpaceConversion: true,
+      });
+    }
   }
 
   /**
@@ -658,7 +1342,8 @@ class GSplatStreamPrimitive {
     return {
       totalCount: this.totalCount,
       validCount: this._validCount,
-      pendingUpdates: this._pendingUpdates.size,
+      hiddenCount: this._hiddenCount,
+      pendingUpdates: this._pendingCount(),
       progress: this.totalCount > 0 ? (this._validCount / this.totalCount * 100) : 0
     };
   }
@@ -717,10 +1402,17 @@ class GSplatStreamPrimitive {
       this._sortWorker = this._createSortWorker();
       this._sortWorker.onmessage = (ev) => {
         const newOrderBuffer = ev.data.order;
+
+        // Sorted before splats were removed or hidden: hand the buffer back and wait for the next result
+        if (ev.data.epoch !== this._orderEpoch) {
+          this._sortWorker.postMessage({ order: newOrderBuffer }, [newOrderBuffer]);
+          return;
+        }
+
         const total = this.size.x * this.size.y;
         
         const indices = new Uint32Array(newOrderBuffer);
-        const validCount = Math.min(this._validCount, indices.length);
+        const validCount = Math.min(this._visibleCount(), indices.length);
         
         let needsUpdate = false;
         if (!this._orderData || this._orderData.length !== total) {
@@ -793,7 +1485,7 @@ class GSplatStreamPrimitive {
           order: bufferToTransfer
         }, [bufferToTransfer]);
 
-        const valid = Math.max(0, Math.min(this._validCount, ev.data.count | 0));
+        const valid = Math.max(0, Math.min(this._visibleCount(), ev.data.count | 0));
         const oldCount = this.texParams ? this.texParams[0] : 0;
         const countChanged = valid !== oldCount;
         
@@ -810,59 +1502,32 @@ class GSplatStreamPrimitive {
         this._updateTexParams();
       };
 
-      const centers = new Float32Array(this._validCount * 3);
-      let centerIdx = 0;
-      const m = this.modelMatrix;
-      const localPos = this._positions;
-      for (let i = 0; i < this._validCount; i++) {
-        if (this._splatSetFlags[i]) {
-          const srcIdx = i * 3;
-          const x = localPos[srcIdx + 0];
-          const y = localPos[srcIdx + 1];
-          const z = localPos[srcIdx + 2];
-          centers[centerIdx * 3 + 0] = m[0] * x + m[4] * y + m[8] * z + m[12];
-          centers[centerIdx * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
-          centers[centerIdx * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
-          centerIdx++;
-        }
-      }
-
-      const actualCenters = centerIdx < this._validCount ? centers.subarray(0, centerIdx * 3) : centers;
+      const { centers, ids } = this._buildCenters();
 
-      const orderBuffer = new Uint32Array(this.totalCount);
-      for (let i = 0; i < this.totalCount; i++) {
+      // Sized to the allocation so growing within it keeps the buffer large enough
+      const orderBuffer = new Uint32Array(this._capacity);
+      for (let i = 0; i < this._capacity; i++) {
         orderBuffer[i] = i < this._validCount ? i : (this._validCount > 0 ? this._validCount - 1 : 0);
       }
 
       this._sortWorker.postMessage({
           order: orderBuffer.buffer,
-        centers: actualCenters.buffer
-      }, [orderBuffer.buffer, actualCenters.buffer]);
+        centers: centers.buffer,
+        ids: ids.buffer,
+        epoch: this._orderEpoch
+      }, [orderBuffer.buffer, centers.buffer, ids.buffer]);
 
       this._centersSent = true;
     }
 
     if (!this._centersSent && this._sortWorker) {
-      const centers = new Float32Array(this._validCount * 3);
-      let centerIdx = 0;
-      const m = this.modelMatrix;
-      const localPos = this._positions;
-      for (let i = 0; i < this._validCount; i++) {
-        if (this._splatSetFlags[i]) {
-          const srcIdx = i * 3;
-          const x = localPos[srcIdx + 0];
-          const y = localPos[srcIdx + 1];
-          const z = localPos[srcIdx + 2];
-          centers[centerIdx * 3 + 0] = m[0] * x + m[4] * y + m[8] * z + m[12];
-          centers[centerIdx * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
-          centers[centerIdx * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
-          centerIdx++;
-        }
-      }
+      const { centers, ids } = this._buildCenters();
       this._sortWorker.postMessage({
         type: 'centers',
-        centers: centers.buffer
-      }, [centers.buffer]);
+        centers: centers.buffer,
+        ids: ids.buffer,
+        epoch: this._orderEpoch
+      }, [centers.buffer, ids.buffer]);
       this._centersSent = true;
     }
 
@@ -874,220 +1539,41 @@ class GSplatStreamPrimitive {
     }
   }
 
+  /**
+   * World-space centers of the visible splats and the splat index of each center.
+   * @private
+   */
+  _buildCenters() {
+    const count = this._visibleCount();
+    const centers = new Float32Array(count * 3);
+    const ids = new Uint32Array(count);
+    const flags = this._splatSetFlags;
+    const m = this.modelMatrix;
+    const localPos = this._positions;
+    let centerIdx = 0;
+    for (let i = 0; i < this.totalCount && centerIdx < count; i++) {
+      if (flags[i] === SPLAT_SET) {
+        const srcIdx = i * 3;
+        const x = localPos[srcIdx + 0];
+        const y = localPos[srcIdx + 1];
+        const z = localPos[srcIdx + 2];
+        centers[centerIdx * 3 + 0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+        centers[centerIdx * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+        centers[centerIdx * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+        ids[centerIdx] = i;
+        centerIdx++;
+      }
+    }
+    return { centers, ids };
+  }
+
   /**
    * Create Web Worker for sorting.
    * @returns {Worker} The sort worker
    * @private
    */
   _createSortWorker() {
-    const workerCode = `
-      const compareBits = 16;
-      const bucketCount = (2 ** compareBits) + 1;
-
-      let order;
-      let centers;
-      let cameraPosition;
-      let cameraDirection;
-
-      let forceUpdate = false;
-
-      const lastCameraPosition = { x: 0, y: 0, z: 0 };
-      const lastCameraDirection = { x: 0, y: 0, z: 0 };
-
-      const boundMin = { x: 0, y: 0, z: 0 };
-      const boundMax = { x: 0, y: 0, z: 0 };
-
-      let distances;
-      let countBuffer;
-
-      const binarySearch = (m, n, compare_fn) => {
-        while (m <= n) {
-          const k = (n + m) >> 1;
-          const cmp = compare_fn(k);
-          if (cmp > 0) {
-            m = k + 1;
-          } else if (cmp < 0) {
-            n = k - 1;
-          } else {
-            return k;
-          }
-        }
-        return ~m;
-      };
-
-      const update = () => {
-        if (!order || !centers || !cameraPosition || !cameraDirection) return;
-
-        const px = cameraPosition.x;
-        const py = cameraPosition.y;
-        const pz = cameraPosition.z;
-        const dx = cameraDirection.x;
-        const dy = cameraDirection.y;
-        const dz = cameraDirection.z;
-
-        const epsilon = 0.001;
-
-        if (!forceUpdate &&
-            Math.abs(px - lastCameraPosition.x) < epsilon &&
-            Math.abs(py - lastCameraPosition.y) < epsilon &&
-            Math.abs(pz - lastCameraPosition.z) < epsilon &&
-            Math.abs(dx - lastCameraDirection.x) < epsilon &&
-            Math.abs(dy - lastCameraDirection.y) < epsilon &&
-            Math.abs(dz - lastCameraDirection.z) < epsilon) {
-          return;
-        }
-
-        forceUpdate = false;
-
-        lastCameraPosition.x = px;
-        lastCameraPosition.y = py;
-        lastCameraPosition.z = pz;
-        lastCameraDirection.x = dx;
-        lastCameraDirection.y = dy;
-        lastCameraDirection.z = dz;
-
-        const numVertices = centers.length / 3;
-        if (distances?.length !== numVertices) {
-          distances = new Uint32Array(numVertices);
-        }
-
-        let minDist;
-        let maxDist;
-        for (let i = 0; i < 8; ++i) {
-          const x = (i & 1 ? boundMin.x : boundMax.x) - px;
-          const y = (i & 2 ? boundMin.y : boundMax.y) - py;
-          const z = (i & 4 ? boundMin.z : boundMax.z) - pz;
-          const d = x * dx + y * dy + z * dz;
-          if (i === 0) {
-            minDist = maxDist = d;
-          } else {
-            minDist = Math.min(minDist, d);
-            maxDist = Math.max(maxDist, d);
-          }
-        }
-
-        if (!countBuffer) {
-          countBuffer = new Uint32Array(bucketCount);
-        } else {
-          countBuffer.fill(0);
-        }
-
-        const range = maxDist - minDist;
-        const divider = (range < 1e-6) ? 0 : 1 / range * (2 ** compareBits);
-        for (let i = 0; i < numVertices; ++i) {
-          const istride = i * 3;
-          const x = centers[istride + 0] - px;
-          const y = centers[istride + 1] - py;
-          const z = centers[istride + 2] - pz;
-          const d = x * dx + y * dy + z * dz;
-          // Invert sortKey so larger distances (farther) get smaller sortKey values
-          // This makes the radix sort produce far-to-near order directly
-          const sortKey = bucketCount - 1 - Math.floor((d - minDist) * divider);
-
-          distances[i] = sortKey;
-          countBuffer[sortKey]++;
-        }
-
-        // Cumulative count: countBuffer[i] = count of elements with sortKey <= i
-        for (let i = 1; i < bucketCount; i++) {
-          countBuffer[i] += countBuffer[i - 1];
-        }
-
-        // Standard radix sort: produces near-to-far order, but since we inverted sortKey,
-        // this actually gives us far-to-near order (back-to-front for alpha blending)
-        for (let i = 0; i < numVertices; i++) {
-          const distance = distances[i];
-          const destIndex = --countBuffer[distance];
-          order[destIndex] = i;
-        }
-
-        // Calculate actual distance from camera (handle divider = 0 case)
-        const dist = i => {
-          if (divider === 0) {
-            // All splats are at same distance, use original distance calculation
-            const istride = order[i] * 3;
-            const x = centers[istride + 0] - px;
-            const y = centers[istride + 1] - py;
-            const z = centers[istride + 2] - pz;
-            return x * dx + y * dy + z * dz;
-          }
-          // Recover original sortKey from inverted sortKey, then calculate distance
-          const invertedSortKey = distances[order[i]];
-          const originalSortKey = bucketCount - 1 - invertedSortKey;
-          return originalSortKey / divider + minDist;
-        };
-        const findZero = () => {
-          // Binary search for first index where dist(i) >= 0
-          // compare_fn returns: > 0 if dist(i) < 0 (behind camera), < 0 if dist(i) > 0 (in front), = 0 if dist(i) == 0
-          const result = binarySearch(0, numVertices - 1, i => -dist(i));
-          if (result < 0) {
-            // Not found: all splats are in front of camera (result = ~0 = -1) or all behind (result = ~numVertices)
-            // Check first splat to determine which case
-            if (dist(0) >= 0) {
-              // All splats in front, return numVertices
-              return numVertices;
-            } else {
-              // All splats behind, return 0
-              return 0;
-            }
-          }
-          return result;
-        };
-        const count = dist(numVertices - 1) >= 0 ? findZero() : numVertices;
-
-        // Debug: log count calculation if suspicious
-        // if (count === 1 && numVertices > 1) {
-        //   const lastDist = dist(numVertices - 1);
-        //   const firstDist = dist(0);
-        //   console.log('[Worker] count=' + count + ', numVertices=' + numVertices + ', divider=' + divider + ', minDist=' + minDist + ', maxDist=' + maxDist + ', firstDist=' + firstDist + ', lastDist=' + lastDist);
-        // }
-
-        // Send results
-        self.postMessage({
-          order: order.buffer,
-          count
-        }, [order.buffer]);
-
-        order = null;
-      };
-
-      self.onmessage = (message) => {
-        if (message.data.order) {
-          order = new Uint32Array(message.data.order);
-        }
-        if (message.data.centers) {
-          centers = new Float32Array(message.data.centers);
-
-          boundMin.x = boundMax.x = centers[0];
-          boundMin.y = boundMax.y = centers[1];
-          boundMin.z = boundMax.z = centers[2];
-
-          const numVertices = centers.length / 3;
-          for (let i = 1; i < numVertices; ++i) {
-            const x = centers[i * 3 + 0];
-            const y = centers[i * 3 + 1];
-            const z = centers[i * 3 + 2];
-
-            boundMin.x = Math.min(boundMin.x, x);
-            boundMin.y = Math.min(boundMin.y, y);
-            boundMin.z = Math.min(boundMin.z, z);
-
-            boundMax.x = Math.max(boundMax.x, x);
-            boundMax.y = Math.max(boundMax.y, y);
-            boundMax.z = Math.max(boundMax.z, z);
-          }
-          forceUpdate = true;
-        }
-        if (message.data.cameraPosition) cameraPosition = message.data.cameraPosition;
-        if (message.data.cameraDirection) cameraDirection = message.data.cameraDirection;
-
-        update();
-      };
-    `;
-
-    const blob = new Blob([workerCode], { type: "application/javascript" });
-    const url = URL.createObjectURL(blob);
-    return new Worker(url);
+    return createSortWorker();
   }
 
   /**
@@ -1127,7 +1613,7 @@ class GSplatStreamPrimitive {
       // After worker returns, setCount(valid) will update it (valid may be <= _validCount due to back-face culling)
       const oldNumSplats = this.texParams[0];
       if (!this._workerHasReturned) {
-        this.texParams[0] = this._validCount;
+        this.texParams[0] = this._visibleCount();
       }
       // If worker has returned, texParams[0] is managed by setCount() and should not be changed here
       
@@ -1256,6 +1742,14 @@ class GSplatStreamPrimitive {
       "u_splatOrder",
       Cesium.ShaderDestination.VERTEX
     );
+    shaderBuilder.addDefine("SH_DEGREE", this._shDegree, Cesium.ShaderDestination.VERTEX);
+    for (let i = 0; i < this.shTextures.length; i++) {
+      shaderBuilder.addUniform(
+        "highp usampler2D",
+        `u_shTexture${i}`,
+        Cesium.ShaderDestination.VERTEX
+      );
+    }
     shaderBuilder.addUniform("vec4", "u_texParams", Cesium.ShaderDestination.VERTEX);
     shaderBuilder.addUniform("mat4", "u_modelMatrix", Cesium.ShaderDestination.VERTEX);
     shaderBuilder.addUniform("vec4", "u_pixelCull", Cesium.ShaderDestination.VERTEX);
@@ -1296,8 +1790,8 @@ class GSplatStreamPrimitive {
         if (!Cesium.defined(this.texParams) || this.texParams.length !== 4) {
           return new Cesium.Cartesian4(0, 0, 0, 1.0);
         }
-        if (!this._workerHasReturned && this.texParams[0] !== this._validCount) {
-          this.texParams[0] = this._validCount;
+        if (!this._workerHasReturned && this.texParams[0] !== this._visibleCount()) {
+          this.texParams[0] = this._visibleCount();
         }
         return new Cesium.Cartesian4(
           this.texParams[0],
@@ -1316,6 +1810,9 @@ class GSplatStreamPrimitive {
         );
       },
     };
+    for (let i = 0; i < this.shTextures.length; i++) {
+      uniformMap[`u_shTexture${i}`] = () => this.shTextures[i];
+    }
     this._uniformMap = uniformMap;
 
     const renderStateOptions = Cesium.RenderState.getState(
@@ -1364,7 +1861,8 @@ class GSplatStreamPrimitive {
       });
     }
 
-    this.instanceCount = this._validCount > 0 ? Math.ceil(this._validCount / this._batchSize) : 0;
+    const visibleCount = this._workerHasReturned ? this.texParams[0] : this._visibleCount();
+    this.instanceCount = visibleCount > 0 ? Math.ceil(visibleCount / this._batchSize) : 0;
 
     const command = new Cesium.DrawCommand({
       boundingVolume: this.boundingSphere,
@@ -1396,7 +1894,8 @@ class GSplatStreamPrimitive {
     const timeDiff = currentTimeStamp - this.lastTimeStamp;
     this.lastTimeStamp = currentTimeStamp;
 
-    if (this.isDestroyed()) {
+    // Registered primitives are uploaded, sorted and drawn by their GSplatRenderManager
+    if (this.isDestroyed() || Cesium.defined(this._manager)) {
       return;
     }
 
@@ -1420,10 +1919,10 @@ class GSplatStreamPrimitive {
       }
     }
 
-    if (this._pendingUpdates.size > 0 && (this._frameCount >= this.flushFrameLimit || timeDiff >= this.flushInterval)) {
+    if (this._dirtyRanges.length > 0 && (this._frameCount >= this.flushFrameLimit || timeDiff >= this.flushInterval)) {
       this.flushUpdates();
     }
-    if (this._frameCount >= this.flushFrameLimit && this._pendingUpdates.size === 0) {
+    if (this._frameCount >= this.flushFrameLimit && this._dirtyRanges.length === 0) {
       this._frameCount = 0;
     }
     this._frameCount++;
@@ -1464,27 +1963,39 @@ class GSplatStreamPrimitive {
   }
 
   /**
-   * Returns true if this object was destroyed; otherwise, false.
-   * @returns {boolean} True if destroyed
-   */
-  isDestroyed() {
-    return this._isDestroyed;
-  }
-
-  /**
-   * Destroys the primitive and releases its resources.
-   * @returns {undefined}
+   * Hand rendering over to a GSplatRenderManager, or take it back with undefined.
+   * While managed only the CPU data is kept here; the GPU copy, sort and draw are the manager's.
+   * @param {GSplatRenderManager|undefined} manager The manager
+   * @private
    */
-  destroy() {
-    if (this.isDestroyed()) {
-      return undefined;
-    }
+  _setManager(manager) {
+    this._manager = manager;
 
     if (Cesium.defined(this._sortWorker)) {
       this._sortWorker.terminate();
       this._sortWorker = undefined;
     }
+    this._workerHasReturned = false;
+    this._destroyTextures();
+    this._drawCommand = undefined;
 
+    if (!Cesium.defined(manager)) {
+      // Start over from the visible indices until the new sort worker returns
+      this._filterOrder();
+      if (this.totalCount > 0) {
+        this._markDirty(0, this.totalCount);
+      }
+    }
+    this._centersSent = false;
+    this._texParamDirty = true;
+    this._dirty = true;
+  }
+
+  /**
+   * Destroy the GPU textures; they are recreated from the CPU buffers on the next update.
+   * @private
+   */
+  _destroyTextures() {
     if (Cesium.defined(this.splatColor)) {
       this.splatColor.destroy();
       this.splatColor = undefined;
@@ -1501,6 +2012,39 @@ class GSplatStreamPrimitive {
       this.splatOrder.destroy();
       this.splatOrder = undefined;
     }
+    for (const texture of this.shTextures) {
+      texture.destroy();
+    }
+    this.shTextures = [];
+  }
+
+  /**
+   * Returns true if this object was destroyed; otherwise, false.
+   * @returns {boolean} True if destroyed
+   */
+  isDestroyed() {
+    return this._isDestroyed;
+  }
+
+  /**
+   * Destroys the primitive and releases its resources.
+   * @returns {undefined}
+   */
+  destroy() {
+    if (this.isDestroyed()) {
+      return undefined;
+    }
+
+    if (Cesium.defined(this._manager)) {
+      this._manager.remove(this);
+    }
+
+    if (Cesium.defined(this._sortWorker)) {
+      this._sortWorker.terminate();
+      this._sortWorker = undefined;
+    }
+
+    this._destroyTextures();
 
     if (Cesium.defined(this._vertexArray)) {
       this._vertexArray.destroy();
@@ -1516,9 +2060,10 @@ class GSplatStreamPrimitive {
     this._colorData = undefined;
     this._transformAData = undefined;
     this._transformBData = undefined;
+    this._shData = [];
     this.texParams = undefined;
     this._splatSetFlags = undefined;
-    this._pendingUpdates.clear();
+    this._dirtyRanges.length = 0;
 
     return Cesium.destroyObject(this);
   }
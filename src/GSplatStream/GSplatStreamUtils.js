@@ -50,4 +50,419 @@ function evalTextureSize(count) {
   return { x: w, y: h };
 }
 
-export { toHalfFloat, evalTextureSize };
\ No newline at end of file
+/**
+ * Number of higher-order SH coefficients per color channel for a given degree
+ * (the DC term excluded).
+ * @param {number} degree SH degree (0-3)
+ * @returns {number} Coefficient count (0, 3, 8 or 15)
+ */
+function evalSHCoeffCount(degree) {
+  return (degree + 1) * (degree + 1) - 1;
+}
+
+/**
+ * Number of RGBA32U textures needed to store SH coefficients for a given degree.
+ * The first slot holds the per-splat scale, each following slot one RGB coefficient.
+ * @param {number} degree SH degree (0-3)
+ * @returns {number} Texture count (0, 1, 3 or 4)
+ */
+function evalSHTextureCount(degree) {
+  if (degree <= 0) return 0;
+  return Math.ceil((evalSHCoeffCount(degree) + 1) / 4);
+}
+
+/**
+ * Quantize an RGB SH coefficient into a single uint32 (11/10/11 bits).
+ * @param {number} r Red coefficient
+ * @param {number} g Green coefficient
+ * @param {number} b Blue coefficient
+ * @param {number} invScale 1 / max absolute coefficient of the splat
+ * @returns {number} Packed value
+ */
+function packSHCoeff(r, g, b, invScale) {
+  const q = (v, max) => Math.max(0, Math.min(max, Math.round((v * invScale * 0.5 + 0.5) * max)));
+  return ((q(r, 2047) << 21) | (q(g, 1023) << 11) | q(b, 2047)) >>> 0;
+}
+
+/**
+ * Pack the RGBA8 color (SH DC term + sigmoid opacity) of one splat.
+ * @param {Uint8Array} colorData Target color texture data
+ * @param {number} index Splat index
+ * @param {object} data Splat data (see GSplatStreamPrimitive.setSplatData)
+ */
+function packSplatColor(colorData, index, data) {
+  // SH coefficients are stored per channel: [R0..Rn, G0..Gn, B0..Bn], DC first
+  const SH_C0 = 0.28209479177387814;
+  let r = 0.5, g = 0.5, b = 0.5;
+  if (data.color) {
+    r = data.color[0];
+    g = data.color[1];
+    b = data.color[2];
+  } else if (data.sh && data.sh.coeffs && data.sh.coeffs.length >= 3) {
+    const coeffsPerColor = data.sh.coeffs.length / 3;
+    r = 0.5 + data.sh.coeffs[0] * SH_C0;
+    g = 0.5 + data.sh.coeffs[coeffsPerColor] * SH_C0;
+    b = 0.5 + data.sh.coeffs[2 * coeffsPerColor] * SH_C0;
+  }
+  const a = data.opacity !== undefined ? 1 / (1 + Math.exp(-data.opacity)) : 1.0;
+
+  packColorValues(colorData, index, r, g, b, a);
+}
+
+/**
+ * Pack an RGBA color given as 0-1 floats.
+ * @param {Uint8Array} colorData Target color texture data
+ * @param {number} index Splat index
+ */
+function packColorValues(colorData, index, r, g, b, a) {
+  const colorIdx = index * 4;
+  colorData[colorIdx + 0] = Math.max(0, Math.min(255, Math.floor(r * 255)));
+  colorData[colorIdx + 1] = Math.max(0, Math.min(255, Math.floor(g * 255)));
+  colorData[colorIdx + 2] = Math.max(0, Math.min(255, Math.floor(b * 255)));
+  colorData[colorIdx + 3] = Math.max(0, Math.min(255, Math.floor(a * 255)));
+}
+
+/**
+ * Pack center and 3D covariance (half floats) of one splat.
+ * @param {Uint32Array} transformAData Target RGBA32UI data (center bits + packed covariance)
+ * @param {Uint16Array} transformBData Target RGBA16F data (covariance)
+ * @param {number} index Splat index
+ * @param {object} data Splat data (see GSplatStreamPrimitive.setSplatData)
+ */
+function packSplatTransform(transformAData, transformBData, index, data) {
+  let qx = 0, qy = 0, qz = 0, qw = 1;
+  if (data.rotation) {
+    qx = data.rotation[0];
+    qy = data.rotation[1];
+    qz = data.rotation[2];
+    qw = data.rotation[3];
+  }
+
+  let sx = 1, sy = 1, sz = 1;
+  if (data.scale) {
+    sx = Math.exp(data.scale[0]);
+    sy = Math.exp(data.scale[1]);
+    sz = Math.exp(data.scale[2]);
+  }
+
+  packTransformValues(
+    transformAData, transformBData, index,
+    data.position[0], data.position[1], data.position[2],
+    qx, qy, qz, qw,
+    sx, sy, sz
+  );
+}
+
+const floatBitsF32 = new Float32Array(1);
+const floatBitsU32 = new Uint32Array(floatBitsF32.buffer);
+
+/**
+ * Pack center and 3D covariance of one splat from plain values.
+ * @param {Uint32Array} transformAData Target RGBA32UI data
+ * @param {Uint16Array} transformBData Target RGBA16F data
+ * @param {number} index Splat index
+ * @param {number} x Center x (likewise y, z)
+ * @param {number} qx Rotation quaternion x (likewise qy, qz, qw), normalized here
+ * @param {number} sx Linear scale x (likewise sy, sz)
+ */
+function packTransformValues(transformAData, transformBData, index, x, y, z, qx, qy, qz, qw, sx, sy, sz) {
+  const idx = index * 4;
+
+  const setFloatBits = (v) => {
+    floatBitsF32[0] = v;
+    return floatBitsU32[0];
+  };
+
+  transformAData[idx + 0] = setFloatBits(x);
+  transformAData[idx + 1] = setFloatBits(y);
+  transformAData[idx + 2] = setFloatBits(z);
+
+  const inv = 1.0 / Math.hypot(qx, qy, qz, qw);
+  qx *= inv; qy *= inv; qz *= inv; qw *= inv;
+
+  const x2 = qx + qx;
+  const y2 = qy + qy;
+  const z2 = qz + qz;
+  const xx = qx * x2;
+  const xy = qx * y2;
+  const xz = qx * z2;
+  const yy = qy * y2;
+  const yz = qy * z2;
+  const zz = qz * z2;
+  const wx = qw * x2;
+  const wy = qw * y2;
+  const wz = qw * z2;
+
+  const data0 = 1 - (yy + zz);
+  const data1 = xy + wz;
+  const data2 = xz - wy;
+  const data3 = xy - wz;
+  const data4 = 1 - (xx + zz);
+  const data5 = yz + wx;
+  const data6 = xz + wy;
+  const data7 = yz - wx;
+  const data8 = 1 - (xx + yy);
+
+  const r00 = data0 * sx; const r01 = data1 * sx; const r02 = data2 * sx;
+  const r10 = data3 * sy; const r11 = data4 * sy; const r12 = data5 * sy;
+  const r20 = data6 * sz; const r21 = data7 * sz; const r22 = data8 * sz;
+
+  const cAx = r00 * r00 + r10 * r10 + r20 * r20;
+  const cAy = r00 * r01 + r10 * r11 + r20 * r21;
+  const cAz = r00 * r02 + r10 * r12 + r20 * r22;
+
+  const cBx = r01 * r01 + r11 * r11 + r21 * r21;
+  const cBy = r01 * r02 + r11 * r12 + r21 * r22;
+  const cBz = r02 * r02 + r12 * r12 + r22 * r22;
+
+  const bidx = idx;
+  transformBData[bidx + 0] = toHalfFloat(cAx) & 0xffff;
+  transformBData[bidx + 1] = toHalfFloat(cAy) & 0xffff;
+  transformBData[bidx + 2] = toHalfFloat(cAz) & 0xffff;
+  transformBData[bidx + 3] = toHalfFloat(cBz) & 0xffff;
+
+  const hx = toHalfFloat(cBx) & 0xffff;
+  const hy = toHalfFloat(cBy) & 0xffff;
+  transformAData[idx + 3] = hx | (hy << 16);
+}
+
+/**
+ * Quantize higher-order SH coefficients for a single splat.
+ * Slot 0 holds the per-splat scale as float bits, slot k + 1 holds coefficient k.
+ * @param {Uint32Array[]} shData Target SH texture data, evalSHTextureCount(shDegree) arrays
+ * @param {number} index Splat index
+ * @param {object} sh Splat SH data ({ order, coeffs })
+ * @param {number} shDegree SH degree stored in shData
+ */
+function packSplatSH(shData, index, sh, shDegree) {
+  const numCoeffs = evalSHCoeffCount(shDegree);
+  const coeffs = sh && sh.coeffs;
+  const coeffsPerColor = coeffs ? coeffs.length / 3 : 0;
+  const available = Math.max(0, Math.min(numCoeffs, coeffsPerColor - 1));
+
+  let maxAbs = 0;
+  for (let k = 0; k < available; k++) {
+    maxAbs = Math.max(
+      maxAbs,
+      Math.abs(coeffs[k + 1]),
+      Math.abs(coeffs[coeffsPerColor + k + 1]),
+      Math.abs(coeffs[2 * coeffsPerColor + k + 1])
+    );
+  }
+
+  const f32 = new Float32Array(1);
+  f32[0] = maxAbs;
+  const idx = index * 4;
+  shData[0][idx] = new Uint32Array(f32.buffer)[0];
+
+  const invScale = maxAbs > 0 ? 1.0 / maxAbs : 0;
+  for (let k = 0; k < numCoeffs; k++) {
+    const slot = k + 1;
+    shData[slot >> 2][idx + (slot & 3)] = k < available
+      ? packSHCoeff(coeffs[k + 1], coeffs[coeffsPerColor + k + 1], coeffs[2 * coeffsPerColor + k + 1], invScale)
+      : packSHCoeff(0, 0, 0, 0);
+  }
+}
+
+// Real SH basis of bands 1-3 as evaluated by the vertex shader (evalSH), one
+// function per coefficient in storage order
+const SH_BASIS = [
+  [
+    (x, y, z) => -0.4886025119029199 * y,
+    (x, y, z) => 0.4886025119029199 * z,
+    (x, y, z) => -0.4886025119029199 * x,
+  ],
+  [
+    (x, y, z) => 1.0925484305920792 * x * y,
+    (x, y, z) => -1.0925484305920792 * y * z,
+    (x, y, z) => 0.31539156525252005 * (2 * z * z - x * x - y * y),
+    (x, y, z) => -1.0925484305920792 * x * z,
+    (x, y, z) => 0.5462742152960396 * (x * x - y * y),
+  ],
+  [
+    (x, y, z) => -0.5900435899266435 * y * (3 * x * x - y * y),
+    (x, y, z) => 2.890611442640554 * x * y * z,
+    (x, y, z) => -0.4570457994644658 * y * (4 * z * z - x * x - y * y),
+    (x, y, z) => 0.3731763325901154 * z * (2 * z * z - 3 * x * x - 3 * y * y),
+    (x, y, z) => -0.4570457994644658 * x * (4 * z * z - x * x - y * y),
+    (x, y, z) => 1.445305721320277 * z * (x * x - y * y),
+    (x, y, z) => -0.5900435899266435 * x * (x * x - 3 * y * y),
+  ],
+];
+
+// Directions at which each band is sampled; any 2l+1 of them in general position work
+const SH_SAMPLE_DIRECTIONS = [
+  [1, 0.2, 0.1], [0.1, 1, 0.3], [0.2, 0.3, 1], [0.7, -0.6, 0.4],
+  [-0.5, 0.8, 0.6], [0.6, 0.5, -0.9], [-0.8, -0.3, 0.7],
+].map(([x, y, z]) => {
+  const length = Math.hypot(x, y, z);
+  return [x / length, y / length, z / length];
+});
+
+/**
+ * Solve A X = B for square row-major A (n x n) and B (n x n) by Gauss-Jordan elimination.
+ * @private
+ */
+function solveSquare(a, b) {
+  const n = a.length;
+  a = a.map((row) => row.slice());
+  b = b.map((row) => row.slice());
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const f = a[row][col] / a[col][col];
+      for (let k = 0; k < n; k++) {
+        a[row][k] -= f * a[col][k];
+        b[row][k] -= f * b[col][k];
+      }
+    }
+  }
+  return b.map((row, i) => row.map((v) => v / a[i][i]));
+}
+
+/**
+ * Per-band matrices that rotate SH coefficients of bands 1-3 by a rotation matrix.
+ * For each band the rotated function must match the original one at 2l+1 sample
+ * directions: sum_n M[m][n] c[n] evaluated at d equals the original evaluated at R^T d.
+ * @param {Function} r Rotation matrix accessor r(row, col)
+ * @returns {number[][][]} Row-major (2l+1)x(2l+1) matrix per band
+ * @private
+ */
+function evalSHRotation(r) {
+  return SH_BASIS.map((basis) => {
+    const samples = SH_SAMPLE_DIRECTIONS.slice(0, basis.length);
+    const a = samples.map(([x, y, z]) => basis.map((f) => f(x, y, z)));
+    const t = samples.map(([x, y, z]) => {
+      const rx = r(0, 0) * x + r(1, 0) * y + r(2, 0) * z;
+      const ry = r(0, 1) * x + r(1, 1) * y + r(2, 1) * z;
+      const rz = r(0, 2) * x + r(1, 2) * y + r(2, 2) * z;
+      return basis.map((f) => f(rx, ry, rz));
+    });
+    return solveSquare(a, t);
+  });
+}
+
+/**
+ * Split a similarity transform (rotation, uniform scale, translation) into the parts
+ * applied to splats by transformSplatData. Splats cannot represent shear or
+ * non-uniform scale, so the scale is taken as the cube root of the determinant.
+ * @param {number[]|Float64Array} matrix Column-major 4x4 matrix (e.g. a Cesium.Matrix4)
+ * @returns {{matrix: number[], rotation: number[], logScale: number, shRotation: number[][][]}}
+ *   Plain arrays, safe to post to a worker
+ */
+function decomposeSplatTransform(matrix) {
+  const m = Array.from(matrix);
+  const det =
+    m[0] * (m[5] * m[10] - m[9] * m[6]) -
+    m[4] * (m[1] * m[10] - m[9] * m[2]) +
+    m[8] * (m[1] * m[6] - m[5] * m[2]);
+  const scale = Math.cbrt(Math.abs(det)) || 1;
+
+  // Rotation matrix r[row][col] with the scale removed
+  const r = (row, col) => m[col * 4 + row] / scale;
+  const trace = r(0, 0) + r(1, 1) + r(2, 2);
+  let x, y, z, w;
+  if (trace > 0) {
+    const s = Math.sqrt(trace + 1) * 2;
+    w = 0.25 * s;
+    x = (r(2, 1) - r(1, 2)) / s;
+    y = (r(0, 2) - r(2, 0)) / s;
+    z = (r(1, 0) - r(0, 1)) / s;
+  } else if (r(0, 0) > r(1, 1) && r(0, 0) > r(2, 2)) {
+    const s = Math.sqrt(1 + r(0, 0) - r(1, 1) - r(2, 2)) * 2;
+    w = (r(2, 1) - r(1, 2)) / s;
+    x = 0.25 * s;
+    y = (r(0, 1) + r(1, 0)) / s;
+    z = (r(0, 2) + r(2, 0)) / s;
+  } else if (r(1, 1) > r(2, 2)) {
+    const s = Math.sqrt(1 + r(1, 1) - r(0, 0) - r(2, 2)) * 2;
+    w = (r(0, 2) - r(2, 0)) / s;
+    x = (r(0, 1) + r(1, 0)) / s;
+    y = 0.25 * s;
+    z = (r(1, 2) + r(2, 1)) / s;
+  } else {
+    const s = Math.sqrt(1 + r(2, 2) - r(0, 0) - r(1, 1)) * 2;
+    w = (r(1, 0) - r(0, 1)) / s;
+    x = (r(0, 2) + r(2, 0)) / s;
+    y = (r(1, 2) + r(2, 1)) / s;
+    z = 0.25 * s;
+  }
+
+  return { matrix: m, rotation: [x, y, z, w], logScale: Math.log(scale), shRotation: evalSHRotation(r) };
+}
+
+/**
+ * Apply a transform from decomposeSplatTransform to one splat in place, including
+ * the rotation of its higher-order SH coefficients.
+ * @param {object} data Splat data (see GSplatStreamPrimitive.setSplatData)
+ * @param {object} transform Decomposed transform
+ * @returns {object} data
+ */
+function transformSplatData(data, transform) {
+  const m = transform.matrix;
+  const [px, py, pz] = data.position;
+  data.position = [
+    m[0] * px + m[4] * py + m[8] * pz + m[12],
+    m[1] * px + m[5] * py + m[9] * pz + m[13],
+    m[2] * px + m[6] * py + m[10] * pz + m[14],
+  ];
+
+  const [ax, ay, az, aw] = transform.rotation;
+  const [bx, by, bz, bw] = data.rotation || [0, 0, 0, 1];
+  data.rotation = [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz,
+  ];
+
+  const scale = data.scale || [0, 0, 0];
+  data.scale = [
+    scale[0] + transform.logScale,
+    scale[1] + transform.logScale,
+    scale[2] + transform.logScale,
+  ];
+
+  const coeffs = data.sh && data.sh.coeffs;
+  if (coeffs && transform.shRotation) {
+    const coeffsPerColor = coeffs.length / 3;
+    const bands = Math.min(Math.round(Math.sqrt(coeffsPerColor)) - 1, transform.shRotation.length);
+    for (let band = 1; band <= bands; band++) {
+      const rotation = transform.shRotation[band - 1];
+      const first = band * band;
+      for (let c = 0; c < 3; c++) {
+        const offset = c * coeffsPerColor + first;
+        const source = coeffs.slice(offset, offset + rotation.length);
+        for (let m = 0; m < rotation.length; m++) {
+          let sum = 0;
+          for (let n = 0; n < rotation.length; n++) {
+            sum += rotation[m][n] * source[n];
+          }
+          coeffs[offset + m] = sum;
+        }
+      }
+    }
+  }
+  return data;
+}
+
+export {
+  toHalfFloat,
+  evalTextureSize,
+  evalSHCoeffCount,
+  evalSHTextureCount,
+  packSHCoeff,
+  packSplatColor,
+  packColorValues,
+  packSplatTransform,
+  packTransformValues,
+  packSplatSH,
+  decomposeSplatTransform,
+  transformSplatData,
+};
@@ -0,0 +1,475 @@
+/**
+ * glTF Gaussian Splat Loader
+ *
+ * Loads .glb/.gltf assets using the KHR_gaussian_splatting extension: POINTS
+ * primitives carrying POSITION, _ROTATION, _SCALE, COLOR_0 and
+ * _SH_DEGREE_l_COEF_n attributes. Buffers may be embedded, data URIs, files next
+ * to the asset, or EXT_meshopt_compression / KHR_meshopt_compression streams.
+ *
+ * glTF is not progressive (accessors may point anywhere in the buffers), so the
+ * whole asset is downloaded first; splats are then pushed into one
+ * GSplatStreamPrimitive per splat node instance, a slice per frame.
+ */
+
+import * as Cesium from 'cesium';
+import { MeshoptDecoder } from 'meshoptimizer';
+import GSplatStreamPrimitive from '../GSplatStreamPrimitive';
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+const EXTENSION_NAME = 'KHR_gaussian_splatting';
+const SUPPORTED_EXTENSIONS = new Set([
+  EXTENSION_NAME,
+  'EXT_meshopt_compression',
+  'KHR_meshopt_compression',
+  'KHR_mesh_quantization',
+]);
+
+const SH_C0 = 0.28209479177387814;
+
+const COMPONENT_COUNT = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+/**
+ * Component readers keyed by glTF componentType: [byte size, DataView getter, normalization divisor]
+ */
+const COMPONENT_TYPES = {
+  5120: [1, 'getInt8', 127],
+  5121: [1, 'getUint8', 255],
+  5122: [2, 'getInt16', 32767],
+  5123: [2, 'getUint16', 65535],
+  5125: [4, 'getUint32', 4294967295],
+  5126: [4, 'getFloat32', 1],
+};
+
+const POINTS = 0;
+
+/**
+ * Look up a splat attribute under its current (_ROTATION) or namespaced
+ * (KHR_gaussian_splatting:ROTATION) name.
+ */
+function findAttribute(attributes, name) {
+  if (attributes[`_${name}`] !== undefined) return attributes[`_${name}`];
+  return attributes[`${EXTENSION_NAME}:${name}`];
+}
+
+function logit(alpha) {
+  if (alpha >= 1) return 20;
+  if (alpha <= 0) return -20;
+  return -Math.log(1 / alpha - 1);
+}
+
+export class GltfGaussianSplatLoader {
+    /**
+     * @param {Object} options Loader options
+     * @param {Cesium.Scene} options.scene Scene passed to the created primitives
+     * @param {Cesium.Matrix4} [options.modelMatrix] Transform applied on top of the glTF node hierarchy
+     * @param {Cesium.Axis} [options.upAxis=Cesium.Axis.Y] Up axis of the asset, converted to Cesium's Z-up like Cesium.Model
+     * @param {Object} [options.primitiveOptions] Extra GSplatStreamPrimitive options (batchSize, maxSHDegree, ...)
+     * @param {number} [options.splatsPerFrame=50000] Splats written before yielding to the renderer
+     * @param {Function} [options.onPrimitiveCreated] Called with (primitive, node) before any splat is written
+     */
+    constructor(options = {}) {
+      this._scene = options.scene;
+      this._modelMatrix = options.modelMatrix ?? Cesium.Matrix4.IDENTITY;
+      this._upAxis = options.upAxis ?? Cesium.Axis.Y;
+      this._primitiveOptions = options.primitiveOptions ?? {};
+      this._splatsPerFrame = options.splatsPerFrame ?? 50000;
+      this._onPrimitiveCreated = options.onPrimitiveCreated ?? null;
+
+      this._abortController = null;
+      this._cancelled = false;
+      this._processed = 0;
+      this._total = 0;
+    }
+
+    /**
+     * Download and load a .glb/.gltf asset.
+     * @param {string|Blob} url Asset URL (external buffers are resolved relative to it), or a local File/Blob
+     * @returns {Promise<GSplatStreamPrimitive[]>} One primitive per splat node instance
+     */
+    async load(url) {
+      if (typeof Blob !== 'undefined' && url instanceof Blob) {
+        return this.parse(await url.arrayBuffer());
+      }
+
+      this._abortController = new AbortController();
+      const response = await fetch(url, { signal: this._abortController.signal });
+      if (!response.ok) {
+        throw new Error(`Request rejected with status ${response.status}`);
+      }
+      const arrayBuffer = await response.arrayBuffer();
+      return this.parse(arrayBuffer, new URL(url, document.baseURI).href);
+    }
+
+    /**
+     * Load an asset that is already in memory.
+     * @param {ArrayBuffer} arrayBuffer .glb or .gltf (JSON) contents
+     * @param {string} [baseUrl] Base URL for external buffers
+     * @returns {Promise<GSplatStreamPrimitive[]>} One primitive per splat node instance
+     */
+    async parse(arrayBuffer, baseUrl = document.baseURI) {
+      const { gltf, binChunk } = this._parseContainer(arrayBuffer);
+
+      for (const name of gltf.extensionsRequired ?? []) {
+        if (!SUPPORTED_EXTENSIONS.has(name)) {
+          throw new Error(`glTF: Unsupported required extension ${name}`);
+        }
+      }
+
+      const instances = this._collectSplatInstances(gltf);
+      if (instances.length === 0) {
+        throw new Error(`glTF: No ${EXTENSION_NAME} primitives found`);
+      }
+
+      const bufferViews = await this._loadBufferViews(gltf, binChunk, baseUrl);
+      if (this._cancelled) return [];
+
+      const sources = instances.map((instance) => this._readSplatAttributes(gltf, bufferViews, instance.primitive));
+      this._total = sources.reduce((sum, source) => sum + source.count, 0);
+
+      const axisCorrection = this._upAxis === Cesium.Axis.Y
+        ? Cesium.Axis.Y_UP_TO_Z_UP
+        : this._upAxis === Cesium.Axis.X ? Cesium.Axis.X_UP_TO_Z_UP : Cesium.Matrix4.IDENTITY;
+
+      const primitives = [];
+      for (let i = 0; i < instances.length && !this._cancelled; i++) {
+        const source = sources[i];
+        if (source.count === 0) continue;
+
+        const primitive = new GSplatStreamPrimitive({
+          ...this._primitiveOptions,
+          scene: this._scene,
+        });
+        primitive.initCount(source.count, undefined, source.shDegree);
+
+        const modelMatrix = Cesium.Matrix4.multiply(this._modelMatrix, axisCorrection, new Cesium.Matrix4());
+        Cesium.Matrix4.multiply(modelMatrix, instances[i].matrix, primitive.modelMatrix);
+        primitive._dirty = true;
+
+        primitives.push(primitive);
+        if (this._onPrimitiveCreated) {
+          this._onPrimitiveCreated(primitive, instances[i].node);
+        }
+
+        await this._writeSplats(primitive, source);
+      }
+
+      return primitives;
+    }
+
+    /**
+     * Split a .glb into its JSON and BIN chunks, or parse plain .gltf JSON.
+     * @private
+     */
+    _parseContainer(arrayBuffer) {
+      const view = new DataView(arrayBuffer);
+      if (arrayBuffer.byteLength < 12 || view.getUint32(0, true) !== GLB_MAGIC) {
+        return { gltf: JSON.parse(new TextDecoder().decode(arrayBuffer)), binChunk: null };
+      }
+
+      const version = view.getUint32(4, true);
+      if (version !== 2) {
+        throw new Error(`glTF: Unsupported GLB version: ${version}`);
+      }
+
+      const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+      let gltf = null;
+      let binChunk = null;
+      let offset = 12;
+      while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const chunk = new Uint8Array(arrayBuffer, offset + 8, chunkLength);
+        if (chunkType === GLB_CHUNK_JSON) {
+          gltf = JSON.parse(new TextDecoder().decode(chunk));
+        } else if (chunkType === GLB_CHUNK_BIN && !binChunk) {
+          binChunk = chunk;
+        }
+        offset += 8 + chunkLength;
+      }
+
+      if (!gltf) {
+        throw new Error('glTF: GLB has no JSON chunk');
+      }
+      return { gltf, binChunk };
+    }
+
+    /**
+     * Walk the default scene and return every splat primitive with its node's world matrix.
+     * @private
+     */
+    _collectSplatInstances(gltf) {
+      const nodes = gltf.nodes ?? [];
+      const scene = gltf.scenes?.[gltf.scene ?? 0];
+      let roots = scene?.nodes;
+      if (!roots) {
+        // No scene: every node that is not someone's child is a root
+        const children = new Set(nodes.flatMap((node) => node.children ?? []));
+        roots = nodes.map((_, i) => i).filter((i) => !children.has(i));
+      }
+
+      const instances = [];
+      const visit = (nodeIndex, parentMatrix) => {
+        const node = nodes[nodeIndex];
+        const matrix = Cesium.Matrix4.multiply(parentMatrix, this._nodeMatrix(node), new Cesium.Matrix4());
+
+        const mesh = node.mesh !== undefined ? gltf.meshes[node.mesh] : null;
+        for (const primitive of mesh?.primitives ?? []) {
+          if (this._isSplatPrimitive(primitive)) {
+            instances.push({ node, primitive, matrix });
+          }
+        }
+
+        for (const child of node.children ?? []) {
+          visit(child, matrix);
+        }
+      };
+
+      for (const root of roots) {
+        visit(root, Cesium.Matrix4.IDENTITY);
+      }
+      return instances;
+    }
+
+    /**
+     * @private
+     */
+    _isSplatPrimitive(primitive) {
+      if ((primitive.mode ?? 4) !== POINTS) return false;
+      const attributes = primitive.attributes ?? {};
+      return !!primitive.extensions?.[EXTENSION_NAME]
+        || (findAttribute(attributes, 'ROTATION') !== undefined && findAttribute(attributes, 'SCALE') !== undefined);
+    }
+
+    /**
+     * @private
+     */
+    _nodeMatrix(node) {
+      if (node.matrix) {
+        return Cesium.Matrix4.fromColumnMajorArray(node.matrix);
+      }
+      const t = node.translation ?? [0, 0, 0];
+      const r = node.rotation ?? [0, 0, 0, 1];
+      const s = node.scale ?? [1, 1, 1];
+      return Cesium.Matrix4.fromTranslationRotationScale(new Cesium.TranslationRotationScale(
+        new Cesium.Cartesian3(t[0], t[1], t[2]),
+        new Cesium.Quaternion(r[0], r[1], r[2], r[3]),
+        new Cesium.Cartesian3(s[0], s[1], s[2])
+      ));
+    }
+
+    /**
+     * Resolve every buffer view to a Uint8Array, decoding meshopt streams.
+     * @private
+     */
+    async _loadBufferViews(gltf, binChunk, baseUrl) {
+      const buffers = gltf.buffers ?? [];
+      const bufferViews = gltf.bufferViews ?? [];
+
+      const bufferData = await Promise.all(buffers.map(async (buffer, index) => {
+        // Meshopt fallback buffers have no data and must not be fetched
+        const meshopt = buffer.extensions?.EXT_meshopt_compression ?? buffer.extensions?.KHR_meshopt_compression;
+        if (meshopt?.fallback) return null;
+        if (buffer.uri === undefined) {
+          if (!binChunk) {
+            throw new Error(`glTF: Buffer ${index} has no uri and there is no GLB BIN chunk`);
+          }
+          return binChunk;
+        }
+        const response = await fetch(new URL(buffer.uri, baseUrl).href, { signal: this._abortController?.signal });
+        if (!response.ok) {
+          throw new Error(`glTF: Failed to load buffer ${buffer.uri} (status ${response.status})`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+      }));
+
+      let decoderReady = false;
+      const views = [];
+      for (const bufferView of bufferViews) {
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression ?? bufferView.extensions?.KHR_meshopt_compression;
+        if (!meshopt) {
+          const data = bufferData[bufferView.buffer];
+          views.push(data.subarray(bufferView.byteOffset ?? 0, (bufferView.byteOffset ?? 0) + bufferView.byteLength));
+          continue;
+        }
+
+        if (!decoderReady) {
+          if (!MeshoptDecoder.supported) {
+            throw new Error('glTF: Meshopt decoder is not supported in this browser');
+          }
+          await MeshoptDecoder.ready;
+          decoderReady = true;
+        }
+
+        const offset = meshopt.byteOffset ?? 0;
+        const source = bufferData[meshopt.buffer].subarray(offset, offset + meshopt.byteLength);
+        const target = new Uint8Array(meshopt.count * meshopt.byteStride);
+        MeshoptDecoder.decodeGltfBuffer(target, meshopt.count, meshopt.byteStride, source, meshopt.mode, meshopt.filter);
+        views.push(target);
+      }
+      return views;
+    }
+
+    /**
+     * Read an accessor into a tightly packed Float32Array, applying normalization and sparse values.
+     * @private
+     */
+    _readAccessor(gltf, bufferViews, accessorIndex) {
+      const accessor = gltf.accessors[accessorIndex];
+      const components = COMPONENT_COUNT[accessor.type];
+      const [size, getter, divisor] = COMPONENT_TYPES[accessor.componentType];
+      const normalize = accessor.normalized && divisor !== 1;
+      const out = new Float32Array(accessor.count * components);
+
+      const readInto = (bytes, stride, count, target, indexOf) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let i = 0; i < count; i++) {
+          const rowOffset = i * stride;
+          const dst = indexOf(i) * components;
+          for (let c = 0; c < components; c++) {
+            let value = view[getter](rowOffset + c * size, true);
+            if (normalize) value = Math.max(value / divisor, -1);
+            target[dst + c] = value;
+          }
+        }
+      };
+
+      if (accessor.bufferView !== undefined) {
+        const bufferView = gltf.bufferViews[accessor.bufferView];
+        const bytes = bufferViews[accessor.bufferView].subarray(accessor.byteOffset ?? 0);
+        readInto(bytes, bufferView.byteStride || size * components, accessor.count, out, (i) => i);
+      }
+
+      const sparse = accessor.sparse;
+      if (sparse) {
+        const [indexSize, indexGetter] = COMPONENT_TYPES[sparse.indices.componentType];
+        const indexBytes = bufferViews[sparse.indices.bufferView].subarray(sparse.indices.byteOffset ?? 0);
+        const indexView = new DataView(indexBytes.buffer, indexBytes.byteOffset, indexBytes.byteLength);
+        const valueBytes = bufferViews[sparse.values.bufferView].subarray(sparse.values.byteOffset ?? 0);
+        readInto(valueBytes, size * components, sparse.count, out, (i) => indexView[indexGetter](i * indexSize, true));
+      }
+
+      return { data: out, count: accessor.count, components };
+    }
+
+    /**
+     * Read the splat attributes of one primitive into columns.
+     * @private
+     */
+    _readSplatAttributes(gltf, bufferViews, primitive) {
+      const attributes = primitive.attributes;
+      const read = (index) => (index !== undefined ? this._readAccessor(gltf, bufferViews, index) : null);
+
+      const position = read(attributes.POSITION);
+      const rotation = read(findAttribute(attributes, 'ROTATION'));
+      const scale = read(findAttribute(attributes, 'SCALE'));
+      const color = read(attributes.COLOR_0);
+      const opacity = read(findAttribute(attributes, 'OPACITY'));
+      if (!position || !rotation || !scale) {
+        throw new Error('glTF: Splat primitive requires POSITION, _ROTATION and _SCALE attributes');
+      }
+
+      // Higher-order SH: degree l holds 2l + 1 RGB coefficients
+      const sh = [];
+      let shDegree = 0;
+      for (let l = 1; l <= 3; l++) {
+        const coeffs = [];
+        for (let n = 0; n < 2 * l + 1; n++) {
+          const accessor = findAttribute(attributes, `SH_DEGREE_${l}_COEF_${n}`);
+          if (accessor === undefined) break;
+          coeffs.push(read(accessor));
+        }
+        if (coeffs.length !== 2 * l + 1) break;
+        sh.push(...coeffs);
+        shDegree = l;
+      }
+
+      return { count: position.count, position, rotation, scale, color, opacity, sh, shDegree };
+    }
+
+    /**
+     * Push splats into the primitive, yielding to the renderer between slices.
+     * @private
+     */
+    async _writeSplats(primitive, source) {
+      const { count, position, rotation, scale, color, opacity, sh } = source;
+      const coeffsPerColor = sh.length + 1;
+
+      for (let start = 0; start < count && !this._cancelled; start += this._splatsPerFrame) {
+        const end = Math.min(count, start + this._splatsPerFrame);
+        const n = end - start;
+
+        // glTF stores linear scales and opacity, the primitive expects log scales and logits
+        const scales = new Float32Array(n * 3);
+        for (let i = 0; i < n * 3; i++) {
+          scales[i] = Math.log(Math.max(scale.data[start * 3 + i], 1e-12));
+        }
+
+        const opacities = new Float32Array(n);
+        const coeffs = new Float32Array(n * coeffsPerColor * 3);
+        for (let i = 0; i < n; i++) {
+          const splat = start + i;
+          let alpha = 1;
+          if (opacity) {
+            alpha = opacity.data[splat];
+          } else if (color && color.components === 4) {
+            alpha = color.data[splat * 4 + 3];
+          }
+          opacities[i] = logit(alpha);
+
+          const base = i * coeffsPerColor * 3;
+          for (let c = 0; c < 3; c++) {
+            const rgb = color ? color.data[splat * color.components + c] : 0.5;
+            coeffs[base + c * coeffsPerColor] = (rgb - 0.5) / SH_C0;
+            for (let k = 0; k < sh.length; k++) {
+              coeffs[base + c * coeffsPerColor + 1 + k] = sh[k].data[splat * 3 + c];
+            }
+          }
+        }
+
+        primitive.setSplatRange(start, end, {
+          positions: position.data.subarray(start * 3, end * 3),
+          scales,
+          rotations: rotation.data.subarray(start * 4, end * 4),
+          opacities,
+          sh: coeffs,
+        });
+        this._processed += end - start;
+
+        if (end < count) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+      }
+    }
+
+    /**
+     * Cancel loading; splats already written stay in their primitives.
+     */
+    cancel() {
+      this._cancelled = true;
+      if (this._abortController) {
+        this._abortController.abort();
+      }
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Get loading progress
+     */
+    getProgress() {
+      const total = this._total;
+      return {
+        processed: this._processed,
+        total,
+        percentage: total > 0 ? (this._processed / total) * 100 : 0,
+      };
+    }
+  }
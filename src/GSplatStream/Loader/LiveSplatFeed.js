@@ -0,0 +1,296 @@
+/**
+ * Live splat feed
+ *
+ * Connects a GSplatStreamPrimitive to a live reconstruction over WebSocket (see
+ * LiveSplatProtocol for the messages). Appended splats are written at the
+ * indices the server assigns, updates overwrite them, deletes empty their slots
+ * (indices stay stable, the primitive is not compacted). After a disconnect the
+ * feed reconnects with exponential backoff and asks the server to resume after
+ * the last applied message; if the server cannot, or a message is missed, the
+ * scene is reloaded from its INIT.
+ */
+
+import * as Cesium from 'cesium';
+import { decodeSplatRow, SPLAT_ROW_LENGTH } from './StreamingSplatParser';
+import { LiveMessageType, decodeMessage, encodeResume } from './LiveSplatProtocol';
+
+export const LiveFeedState = {
+  Idle: 'idle',
+  Connecting: 'connecting',
+  Open: 'open',
+  Reconnecting: 'reconnecting',
+  Ended: 'ended',
+  Closed: 'closed'
+};
+
+export class LiveSplatFeed {
+    /**
+     * @param {Object} options Feed options
+     * @param {string} options.url WebSocket URL (ws:// or wss://)
+     * @param {GSplatStreamPrimitive} options.primitive Primitive receiving the splats; it is made growable
+     * @param {boolean} [options.applyTransform=true] Copy the scene transform sent with INIT to primitive.modelMatrix
+     * @param {number} [options.reconnectDelay=500] Delay before the first reconnect in ms, doubled per failed attempt
+     * @param {number} [options.maxReconnectDelay=10000] Upper bound of the reconnect delay in ms
+     * @param {number} [options.maxReconnectAttempts=Infinity] Consecutive failed attempts before giving up
+     * @param {Function} [options.onStateChange] Called with (state, feed) on every LiveFeedState change
+     * @param {Function} [options.onScene] Called with ({ sceneId, capacity, modelMatrix }) when a scene (re)starts
+     * @param {Function} [options.onMessage] Called with (message) after a message was applied
+     * @param {Function} [options.onError] Called with (error) for protocol errors and when giving up
+     * @param {Function} [options.WebSocket] WebSocket implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+      if (!options.url) {
+        throw new Error('Live: url is required');
+      }
+      if (!options.primitive) {
+        throw new Error('Live: primitive is required');
+      }
+      this.url = options.url;
+      this.primitive = options.primitive;
+      this.primitive.growable = true;
+      this.state = LiveFeedState.Idle;
+      this.sceneId = 0;
+      this.lastSeq = 0;
+      this.reconnects = 0;
+
+      this._applyTransform = options.applyTransform ?? true;
+      this._reconnectDelay = options.reconnectDelay ?? 500;
+      this._maxReconnectDelay = options.maxReconnectDelay ?? 10000;
+      this._maxReconnectAttempts = options.maxReconnectAttempts ?? Infinity;
+      this._onStateChange = options.onStateChange || null;
+      this._onScene = options.onScene || null;
+      this._onMessage = options.onMessage || null;
+      this._onError = options.onError || null;
+      this._WebSocket = options.WebSocket || globalThis.WebSocket;
+      this._socket = null;
+      this._attempt = 0;
+      this._reconnectTimer = null;
+      this._resyncPoint = null; // { sceneId, seq } of the message that last forced a resync
+    }
+
+    /**
+     * Open the connection. Splats appear in the primitive as messages arrive.
+     * @returns {LiveSplatFeed} this
+     */
+    connect() {
+      if (this.state === LiveFeedState.Idle || this.state === LiveFeedState.Closed) {
+        this._open(LiveFeedState.Connecting);
+      }
+      return this;
+    }
+
+    /**
+     * Close the connection and stop reconnecting. The splats received so far stay in the primitive.
+     */
+    close() {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+      this._closeSocket();
+      if (this.state !== LiveFeedState.Ended) {
+        this._setState(LiveFeedState.Closed);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _setState(state) {
+      if (this.state === state) return;
+      this.state = state;
+      if (this._onStateChange) {
+        this._onStateChange(state, this);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _open(state) {
+      this._setState(state);
+      const socket = new this._WebSocket(this.url);
+      socket.binaryType = 'arraybuffer';
+      this._socket = socket;
+
+      socket.onopen = () => {
+        if (socket !== this._socket) return;
+        this._setState(LiveFeedState.Open);
+        socket.send(encodeResume(this.sceneId, this.lastSeq));
+      };
+      socket.onmessage = (event) => {
+        if (socket !== this._socket) return;
+        this._handleMessage(event.data);
+      };
+      // Some implementations only report an error when the connection cannot be
+      // established, so either event counts as losing the connection
+      const onLost = () => {
+        if (socket !== this._socket) return;
+        this._closeSocket();
+        this._scheduleReconnect();
+      };
+      socket.onclose = onLost;
+      socket.onerror = onLost;
+    }
+
+    /**
+     * @private
+     */
+    _closeSocket() {
+      const socket = this._socket;
+      this._socket = null;
+      if (socket && socket.readyState <= 1) {
+        socket.close();
+      }
+    }
+
+    /**
+     * @private
+     */
+    _scheduleReconnect() {
+      if (this.state === LiveFeedState.Ended || this.state === LiveFeedState.Closed) return;
+      if (this._attempt >= this._maxReconnectAttempts) {
+        this._setState(LiveFeedState.Closed);
+        this._reportError(new Error(`Live: Giving up after ${this._attempt} reconnect attempts`));
+        return;
+      }
+      const delay = Math.min(this._reconnectDelay * 2 ** this._attempt, this._maxReconnectDelay);
+      this._attempt++;
+      this._setState(LiveFeedState.Reconnecting);
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        this.reconnects++;
+        this._open(LiveFeedState.Reconnecting);
+      }, delay);
+    }
+
+    /**
+     * Drop the current connection and reload the scene from its INIT. Resyncs count
+     * as failed attempts until the feed gets past the message that forced them, so a
+     * server that keeps sending it is retried with backoff and eventually given up on.
+     * @private
+     */
+    _resync() {
+      this._resyncPoint = { sceneId: this.sceneId, seq: this.lastSeq + 1 };
+      this.sceneId = 0;
+      this.lastSeq = 0;
+      this._closeSocket();
+      this._scheduleReconnect();
+    }
+
+    /**
+     * @private
+     */
+    _reportError(error) {
+      if (this._onError) {
+        this._onError(error);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(data) {
+      let message;
+      try {
+        message = decodeMessage(data);
+      } catch (error) {
+        this._reportError(error);
+        this._resync();
+        return;
+      }
+
+      if (message.type === LiveMessageType.Init) {
+        this._applyInit(message);
+      } else if (this.sceneId === 0 || message.seq !== this.lastSeq + 1) {
+        // Missed a message (or never saw the INIT): the primitive is out of step
+        this._resync();
+        return;
+      } else {
+        switch (message.type) {
+          case LiveMessageType.Append:
+            this._applyAppend(message);
+            break;
+          case LiveMessageType.Update:
+            this._applyUpdate(message);
+            break;
+          case LiveMessageType.Delete:
+            this._applyDelete(message);
+            break;
+          case LiveMessageType.End:
+            this._setState(LiveFeedState.Ended);
+            this._closeSocket();
+            break;
+          default:
+            this._reportError(new Error(`Live: Unexpected message type ${message.type}`));
+            return;
+        }
+      }
+
+      this.lastSeq = message.seq;
+      const point = this._resyncPoint;
+      if (!point || this.sceneId !== point.sceneId || message.seq >= point.seq) {
+        this._resyncPoint = null;
+        this._attempt = 0;
+      }
+      if (this._onMessage) {
+        this._onMessage(message);
+      }
+    }
+
+    /**
+     * A new scene, or the current one replayed from the start: empty the primitive.
+     * @private
+     */
+    _applyInit(message) {
+      const primitive = this.primitive;
+      if (primitive.totalCount > 0) {
+        primitive.removeSplats([[0, primitive.totalCount]]);
+      }
+      if (message.capacity > primitive.totalCount) {
+        primitive.resize(message.capacity);
+      }
+      if (message.modelMatrix && this._applyTransform) {
+        Cesium.Matrix4.unpack(message.modelMatrix, 0, primitive.modelMatrix);
+        primitive._dirty = true;
+      }
+      this.sceneId = message.sceneId;
+      if (this._onScene) {
+        this._onScene({ sceneId: message.sceneId, capacity: message.capacity, modelMatrix: message.modelMatrix });
+      }
+    }
+
+    /**
+     * @private
+     */
+    _applyAppend(message) {
+      const { view, offset, start, count } = message;
+      for (let i = 0; i < count; i++) {
+        this.primitive.setSplatData(start + i, decodeSplatRow(view, offset + i * SPLAT_ROW_LENGTH));
+      }
+    }
+
+    /**
+     * @private
+     */
+    _applyUpdate(message) {
+      const { view, offset, count } = message;
+      const stride = 4 + SPLAT_ROW_LENGTH;
+      for (let i = 0; i < count; i++) {
+        const index = view.getUint32(offset + i * stride, true);
+        this.primitive.setSplatData(index, decodeSplatRow(view, offset + i * stride + 4));
+      }
+    }
+
+    /**
+     * @private
+     */
+    _applyDelete(message) {
+      // Slots past the written range were never filled, nothing to remove there
+      const total = this.primitive.totalCount;
+      const ranges = message.ranges
+        .map(([start, end]) => [start, Math.min(end, total)])
+        .filter(([start, end]) => start < end);
+      if (ranges.length > 0) {
+        this.primitive.removeSplats(ranges);
+      }
+    }
+  }
@@ -0,0 +1,245 @@
+/**
+ * Live splat feed protocol
+ *
+ * Binary WebSocket messages exchanged by LiveSplatFeed and a live
+ * reconstruction server (see scripts/live-splat-server.js). All numbers are
+ * little-endian. Every message starts with an 8-byte header:
+ *
+ *   uint8 type, uint8 flags, uint16 reserved, uint32 seq
+ *
+ * Server messages are numbered from 0 (the INIT) upwards. Splats are sent as
+ * 32-byte .splat rows (see StreamingSplatParser) and addressed by a stable index.
+ *
+ *   INIT    uint32 sceneId, uint32 capacity (expected splats, 0 if unknown),
+ *           float64[16] modelMatrix (column-major, only with FLAG_TRANSFORM)
+ *   APPEND  uint32 start, uint32 count, count rows
+ *   UPDATE  uint32 count, count x (uint32 index, row)
+ *   DELETE  uint32 rangeCount, rangeCount x (uint32 start, uint32 end)   [start, end)
+ *   END     (no payload) the scene is complete, the server closes the socket
+ *
+ * The client sends RESUME after (re)connecting:
+ *
+ *   RESUME  uint32 sceneId (0 for none), uint32 lastSeq
+ *
+ * The server answers with every message after lastSeq when it still has them for
+ * that scene, otherwise it replays the scene from its INIT, which resets the client.
+ */
+
+import { SPLAT_ROW_LENGTH } from './StreamingSplatParser';
+
+export const LiveMessageType = {
+  Init: 1,
+  Append: 2,
+  Update: 3,
+  Delete: 4,
+  End: 5,
+  Resume: 16
+};
+
+export const LIVE_HEADER_LENGTH = 8;
+export const LIVE_FLAG_TRANSFORM = 1;
+
+const SH_C0 = 0.28209479177387814;
+
+function createMessage(type, payloadLength, seq, flags = 0) {
+  const buffer = new ArrayBuffer(LIVE_HEADER_LENGTH + payloadLength);
+  const view = new DataView(buffer);
+  view.setUint8(0, type);
+  view.setUint8(1, flags);
+  view.setUint32(4, seq >>> 0, true);
+  return { buffer, view };
+}
+
+/**
+ * Write splat data (as produced by the parsers: log scales, logit opacity, SH DC
+ * or 0-1 color) as a 32-byte .splat row, the inverse of decodeSplatRow.
+ * @param {DataView} view Target view
+ * @param {number} offset Byte offset of the row
+ * @param {object} data Splat data
+ */
+export function encodeSplatRow(view, offset, data) {
+  const byte = (v) => Math.max(0, Math.min(255, Math.round(v * 255)));
+  const position = data.position;
+  const scale = data.scale || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    view.setFloat32(offset + i * 4, position[i], true);
+    view.setFloat32(offset + 12 + i * 4, Math.exp(scale[i]), true);
+  }
+
+  let color = data.color;
+  if (!color && data.sh) {
+    const coeffsPerColor = data.sh.coeffs.length / 3;
+    color = [0, 1, 2].map((c) => 0.5 + SH_C0 * data.sh.coeffs[c * coeffsPerColor]);
+  }
+  color = color || [1, 1, 1];
+  const alpha = data.opacity !== undefined ? 1 / (1 + Math.exp(-data.opacity)) : 1;
+  view.setUint8(offset + 24, byte(color[0]));
+  view.setUint8(offset + 25, byte(color[1]));
+  view.setUint8(offset + 26, byte(color[2]));
+  view.setUint8(offset + 27, byte(alpha));
+
+  // .splat stores w, x, y, z; rotation is [x, y, z, w]
+  const [x, y, z, w] = data.rotation || [0, 0, 0, 1];
+  const length = Math.hypot(x, y, z, w) || 1;
+  const quat = (v) => Math.max(0, Math.min(255, Math.round((v / length) * 128 + 128)));
+  view.setUint8(offset + 28, quat(w));
+  view.setUint8(offset + 29, quat(x));
+  view.setUint8(offset + 30, quat(y));
+  view.setUint8(offset + 31, quat(z));
+}
+
+/**
+ * @param {number} seq Message number
+ * @param {number} sceneId Scene identifier (non-zero)
+ * @param {number} [capacity=0] Expected splat count
+ * @param {number[]|Float64Array} [modelMatrix] Column-major 4x4 model matrix
+ * @returns {ArrayBuffer}
+ */
+export function encodeInit(seq, sceneId, capacity = 0, modelMatrix = undefined) {
+  const { buffer, view } = createMessage(
+    LiveMessageType.Init,
+    8 + (modelMatrix ? 128 : 0),
+    seq,
+    modelMatrix ? LIVE_FLAG_TRANSFORM : 0
+  );
+  view.setUint32(8, sceneId >>> 0, true);
+  view.setUint32(12, capacity >>> 0, true);
+  if (modelMatrix) {
+    for (let i = 0; i < 16; i++) {
+      view.setFloat64(16 + i * 8, modelMatrix[i], true);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * @param {number} seq Message number
+ * @param {number} start Index of the first splat
+ * @param {Uint8Array} rows Consecutive .splat rows (see encodeSplatRow)
+ * @returns {ArrayBuffer}
+ */
+export function encodeAppend(seq, start, rows) {
+  const count = Math.floor(rows.length / SPLAT_ROW_LENGTH);
+  const { buffer, view } = createMessage(LiveMessageType.Append, 8 + count * SPLAT_ROW_LENGTH, seq);
+  view.setUint32(8, start, true);
+  view.setUint32(12, count, true);
+  new Uint8Array(buffer, 16).set(rows.subarray(0, count * SPLAT_ROW_LENGTH));
+  return buffer;
+}
+
+/**
+ * @param {number} seq Message number
+ * @param {ArrayLike<number>} indices Indices of the splats to overwrite
+ * @param {Uint8Array} rows One .splat row per index
+ * @returns {ArrayBuffer}
+ */
+export function encodeUpdate(seq, indices, rows) {
+  const stride = 4 + SPLAT_ROW_LENGTH;
+  const { buffer, view } = createMessage(LiveMessageType.Update, 4 + indices.length * stride, seq);
+  const bytes = new Uint8Array(buffer);
+  view.setUint32(8, indices.length, true);
+  for (let i = 0; i < indices.length; i++) {
+    view.setUint32(12 + i * stride, indices[i], true);
+    bytes.set(rows.subarray(i * SPLAT_ROW_LENGTH, (i + 1) * SPLAT_ROW_LENGTH), 16 + i * stride);
+  }
+  return buffer;
+}
+
+/**
+ * @param {number} seq Message number
+ * @param {Array<number[]>} ranges [start, end) index ranges
+ * @returns {ArrayBuffer}
+ */
+export function encodeDelete(seq, ranges) {
+  const { buffer, view } = createMessage(LiveMessageType.Delete, 4 + ranges.length * 8, seq);
+  view.setUint32(8, ranges.length, true);
+  ranges.forEach(([start, end], i) => {
+    view.setUint32(12 + i * 8, start, true);
+    view.setUint32(16 + i * 8, end, true);
+  });
+  return buffer;
+}
+
+/**
+ * @param {number} seq Message number
+ * @returns {ArrayBuffer}
+ */
+export function encodeEnd(seq) {
+  return createMessage(LiveMessageType.End, 0, seq).buffer;
+}
+
+/**
+ * @param {number} sceneId Scene the client has (0 for none)
+ * @param {number} lastSeq Last message applied
+ * @returns {ArrayBuffer}
+ */
+export function encodeResume(sceneId, lastSeq) {
+  const { buffer, view } = createMessage(LiveMessageType.Resume, 8, 0);
+  view.setUint32(8, sceneId >>> 0, true);
+  view.setUint32(12, lastSeq >>> 0, true);
+  return buffer;
+}
+
+/**
+ * Decode a message. Splat rows are not decoded: APPEND and UPDATE return the
+ * view and byte offset of their rows (see decodeSplatRow).
+ * @param {ArrayBuffer} buffer Message bytes
+ * @returns {object} { type, flags, seq, ... } with the fields listed in the protocol description
+ */
+export function decodeMessage(buffer) {
+  if (buffer.byteLength < LIVE_HEADER_LENGTH) {
+    throw new Error(`Live: Message of ${buffer.byteLength} bytes is shorter than its header`);
+  }
+  const view = new DataView(buffer);
+  const type = view.getUint8(0);
+  const flags = view.getUint8(1);
+  const seq = view.getUint32(4, true);
+  const need = (length) => {
+    if (buffer.byteLength < length) {
+      throw new Error(`Live: Truncated message of type ${type} (${buffer.byteLength} < ${length} bytes)`);
+    }
+  };
+
+  switch (type) {
+    case LiveMessageType.Init: {
+      need(16 + (flags & LIVE_FLAG_TRANSFORM ? 128 : 0));
+      let modelMatrix = null;
+      if (flags & LIVE_FLAG_TRANSFORM) {
+        modelMatrix = new Float64Array(16);
+        for (let i = 0; i < 16; i++) {
+          modelMatrix[i] = view.getFloat64(16 + i * 8, true);
+        }
+      }
+      return { type, flags, seq, sceneId: view.getUint32(8, true), capacity: view.getUint32(12, true), modelMatrix };
+    }
+    case LiveMessageType.Append: {
+      need(16);
+      const count = view.getUint32(12, true);
+      need(16 + count * SPLAT_ROW_LENGTH);
+      return { type, flags, seq, start: view.getUint32(8, true), count, view, offset: 16 };
+    }
+    case LiveMessageType.Update: {
+      need(12);
+      const count = view.getUint32(8, true);
+      need(12 + count * (4 + SPLAT_ROW_LENGTH));
+      return { type, flags, seq, count, view, offset: 12 };
+    }
+    case LiveMessageType.Delete: {
+      need(12);
+      const count = view.getUint32(8, true);
+      need(12 + count * 8);
+      const ranges = [];
+      for (let i = 0; i < count; i++) {
+        ranges.push([view.getUint32(12 + i * 8, true), view.getUint32(16 + i * 8, true)]);
+      }
+      return { type, flags, seq, ranges };
+    }
+    case LiveMessageType.End:
+      return { type, flags, seq };
+    case LiveMessageType.Resume:
+      need(16);
+      return { type, flags, seq, sceneId: view.getUint32(8, true), lastSeq: view.getUint32(12, true) };
+    default:
+      throw new Error(`Live: Unknown message type ${type}`);
+  }
+}
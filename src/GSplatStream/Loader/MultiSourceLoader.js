@@ -0,0 +1,373 @@
+/**
+ * Multi-source loader
+ *
+ * Streams several splat files (e.g. the tiles of a large site) into one shared
+ * GSplatStreamPrimitive, so all of them are depth-sorted together and overlaps
+ * blend correctly. Each source gets its own local transform and a contiguous
+ * index range in the primitive, reports its own progress and can be unloaded
+ * again without touching the others.
+ */
+
+import * as Cesium from 'cesium';
+import GSplatStreamPrimitive from '../GSplatStreamPrimitive';
+import { decomposeSplatTransform, transformSplatData } from '../GSplatStreamUtils';
+import { StreamLoader } from './StreamLoader';
+import { StreamingGaussianSplatParser } from './StreamingGaussianSplatParser';
+import { StreamingSplatParser } from './StreamingSplatParser';
+import { StreamingSpzParser } from './StreamingSpzParser';
+import { StreamingKSplatParser } from './StreamingKSplatParser';
+import { SplatFormat, detectFormat } from './SplatFormat';
+
+function createParser(format) {
+  switch (format) {
+    case SplatFormat.Ply:
+      return new StreamingGaussianSplatParser();
+    case SplatFormat.Splat:
+      return new StreamingSplatParser();
+    case SplatFormat.Spz:
+      return new StreamingSpzParser();
+    case SplatFormat.KSplat:
+      return new StreamingKSplatParser();
+    default:
+      throw new Error(`Unsupported format for a shared primitive: ${format}`);
+  }
+}
+
+/**
+ * Stands in for the shared primitive towards one source's parser: indices are
+ * offset into the source's range and the source transform is applied.
+ * Packed data (setPackedSplats) must already be transformed and packed with
+ * packedSHDegree; StreamingGaussianSplatParser asks its worker to do both.
+ */
+class SourceTarget {
+    constructor(primitive, source, shDegree) {
+      this._primitive = primitive;
+      this._source = source;
+      this._reserved = 0;
+
+      this.maxSHDegree = primitive.maxSHDegree;
+      this.packedSHDegree = Math.min(shDegree, primitive.maxSHDegree);
+      this.growable = false;
+      this.splatTransform = source.modelMatrix
+        ? decomposeSplatTransform(source.modelMatrix)
+        : null;
+    }
+
+    /**
+     * Reserve the source's range at the end of the shared primitive.
+     * @param {number} totalCount Number of splats in the source
+     */
+    initCount(totalCount) {
+      if (this._source.start !== undefined) {
+        throw new Cesium.DeveloperError(`Source ${this._source.url} is already initialized`);
+      }
+      this._source.start = this._primitive.totalCount;
+      this._reserved = totalCount;
+      this._source.count = totalCount;
+      this._primitive.resize(this._source.start + totalCount);
+    }
+
+    setSplatData(index, data) {
+      this._reserve(index + 1);
+      if (this.splatTransform) {
+        transformSplatData(data, this.splatTransform);
+      }
+      this._primitive.setSplatData(this._source.start + index, data);
+    }
+
+    setSplatRange(start, end, columns) {
+      this._reserve(end);
+      if (this.splatTransform && !columns.packed) {
+        columns = this._transformColumns(end - start, columns);
+      }
+      this._primitive.setSplatRange(this._source.start + start, this._source.start + end, columns);
+    }
+
+    setPackedSplats(start, packed) {
+      this._reserve(start + packed.count);
+      this._primitive.setPackedSplats(this._source.start + start, packed);
+    }
+
+    /**
+     * Make sure [0, end) of the source is backed by the primitive. Sources without a
+     * known count (growable) can only grow while their range is the last one.
+     * @private
+     */
+    _reserve(end) {
+      const source = this._source;
+      if (source.start === undefined) {
+        if (!this.growable) {
+          throw new Cesium.DeveloperError(`Source ${source.url} wrote splats before initCount`);
+        }
+        source.start = this._primitive.totalCount;
+      }
+      if (end <= this._reserved) return;
+
+      if (!this.growable) {
+        throw new Cesium.DeveloperError(
+          `Index ${end - 1} out of range [0, ${this._reserved}) for source ${source.url}`
+        );
+      }
+      if (source.start + this._reserved !== this._primitive.totalCount) {
+        throw new Cesium.DeveloperError(
+          `Source ${source.url} has no splat count and can no longer grow once another source follows it`
+        );
+      }
+      // Reserve ahead so row-by-row sources do not resize on every splat
+      this._reserved = Math.max(end, this._reserved * 2, 1024);
+      this._primitive.resize(source.start + this._reserved);
+      source.count = this._reserved;
+    }
+
+    /**
+     * @private
+     */
+    _transformColumns(count, columns) {
+      const positions = new Float32Array(count * 3);
+      const rotations = new Float32Array(count * 4);
+      const scales = new Float32Array(count * 3);
+      const data = {};
+      for (let i = 0; i < count; i++) {
+        data.position = columns.positions.subarray(i * 3, i * 3 + 3);
+        data.rotation = columns.rotations ? columns.rotations.subarray(i * 4, i * 4 + 4) : undefined;
+        data.scale = columns.scales ? columns.scales.subarray(i * 3, i * 3 + 3) : undefined;
+        transformSplatData(data, this.splatTransform);
+        positions.set(data.position, i * 3);
+        rotations.set(data.rotation, i * 4);
+        scales.set(data.scale, i * 3);
+      }
+      return { ...columns, positions, rotations, scales };
+    }
+  }
+
+export class MultiSourceLoader {
+    /**
+     * @param {Object} options Loader options
+     * @param {Cesium.Scene} options.scene Scene the shared primitive is added to
+     * @param {Cesium.Matrix4} [options.modelMatrix] Model matrix of the shared primitive
+     * @param {number} [options.shDegree=3] SH degree stored for all sources (capped by primitiveOptions.maxSHDegree);
+     *   sources with fewer coefficients are padded, sources with more are truncated
+     * @param {Object} [options.primitiveOptions] Extra GSplatStreamPrimitive options
+     * @param {Object} [options.loaderOptions] Extra StreamLoader options (retries, connections, ...)
+     * @param {Function} [options.onProgress] Called with (source) whenever a source makes progress
+     */
+    constructor(options) {
+      this._scene = options.scene;
+      this._shDegree = options.shDegree ?? 3;
+      this._loaderOptions = options.loaderOptions || {};
+      this._onProgress = options.onProgress || null;
+      this._sources = [];
+      this._compactPending = false;
+
+      this.primitive = new GSplatStreamPrimitive({
+        ...options.primitiveOptions,
+        scene: this._scene,
+        shDegree: this._shDegree,
+      });
+      if (options.modelMatrix) {
+        Cesium.Matrix4.clone(options.modelMatrix, this.primitive.modelMatrix);
+      }
+      this._scene.primitives.add(this.primitive);
+    }
+
+    /**
+     * Start streaming a source into the shared primitive.
+     * @param {string|Cesium.Resource|Object|Blob} url Resource URL, Cesium.Resource (or its options), or a local File/Blob
+     * @param {Object} [options] Source options
+     * @param {Cesium.Matrix4} [options.modelMatrix] Source transform relative to the shared primitive
+     *   (rotation, uniform scale and translation; SH coefficients are rotated along)
+     * @param {string} [options.format] SplatFormat value, detected from the name or bytes if omitted
+     * @returns {Object} Source handle: url, modelMatrix, state ('loading' | 'loaded' | 'failed' | 'removed'),
+     *   start / count (its index range, once known), receivedBytes, totalBytes, error,
+     *   `loaded` (Promise resolved when the source is complete or removed) and getProgress()
+     */
+    add(url, options = {}) {
+      const controller = new AbortController();
+      const source = {
+        url,
+        modelMatrix: options.modelMatrix ? Cesium.Matrix4.clone(options.modelMatrix) : null,
+        state: 'loading',
+        start: undefined,
+        count: 0,
+        receivedBytes: 0,
+        totalBytes: 0,
+        error: null,
+        parser: null,
+        loaded: null,
+        getProgress: () => this._sourceProgress(source),
+      };
+      this._sources.push(source);
+
+      source.loaded = new Promise((resolve, reject) => {
+        source._resolve = resolve;
+        source._reject = reject;
+      });
+      // Failures are reported through state/onProgress as well; avoid unhandled rejections
+      source.loaded.catch(() => {});
+
+      source._abort = () => controller.abort();
+      this._load(source, options.format, controller.signal);
+      return source;
+    }
+
+    /**
+     * @private
+     */
+    async _load(source, format, signal) {
+      try {
+        format = format || await detectFormat(source.url);
+        const parser = createParser(format);
+        parser.setPrimitive(new SourceTarget(this.primitive, source, this._shDegree));
+        source.parser = parser;
+
+        await new StreamLoader().loadStream(source.url, parser, {
+          ...this._loaderOptions,
+          signal,
+          onProgress: (receivedLength, contentLength) => {
+            source.receivedBytes = receivedLength;
+            source.totalBytes = contentLength;
+            this._notify(source);
+          },
+          onComplete: () => {
+            source.state = 'loaded';
+            this._notify(source);
+            source._resolve(source);
+            this._onIdle();
+          },
+          // Also called for errors after the header, when loadStream has already resolved
+          onError: (error) => this._fail(source, error),
+        });
+      } catch (error) {
+        // Also reached when the source is removed mid-load, possibly before StreamLoader
+        // took over the parser and its decode worker
+        if (source.parser) {
+          source.parser.cancel();
+        }
+        this._fail(source, error);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _fail(source, error) {
+      if (source.state !== 'loading') return;
+      source.state = 'failed';
+      source.error = error;
+      this._notify(source);
+      source._reject(error);
+      this._onIdle();
+    }
+
+    /**
+     * Stop loading a source (if needed) and remove its splats from the shared primitive.
+     * Once no source is loading anymore the primitive is compacted and the index
+     * ranges of the remaining sources are updated.
+     * @param {Object} source Handle returned by add()
+     */
+    remove(source) {
+      const index = this._sources.indexOf(source);
+      if (index < 0) return;
+      this._sources.splice(index, 1);
+
+      const wasLoading = source.state === 'loading';
+      source.state = 'removed';
+      if (wasLoading) {
+        source._abort();
+        source._resolve(source);
+      }
+
+      if (source.start !== undefined && source.count > 0) {
+        this.primitive.removeSplats([[source.start, source.start + source.count]]);
+        this._compactPending = true;
+      }
+      this._notify(source);
+      this._onIdle();
+    }
+
+    /**
+     * Sources currently added, in the order they were added.
+     * @returns {Object[]} Source handles
+     */
+    getSources() {
+      return this._sources.slice();
+    }
+
+    /**
+     * Progress of every source.
+     * @returns {Object[]} Per source: url, state, receivedBytes, totalBytes, processed, total, percentage
+     */
+    getProgress() {
+      return this._sources.map((source) => this._sourceProgress(source));
+    }
+
+    /**
+     * Cancel all loads and destroy the shared primitive.
+     */
+    destroy() {
+      for (const source of this._sources) {
+        if (source.state === 'loading') {
+          source.state = 'removed';
+          source._abort();
+          source._resolve(source);
+        }
+      }
+      this._sources = [];
+      if (this._scene.primitives.contains(this.primitive)) {
+        this._scene.primitives.remove(this.primitive);
+      }
+      if (!this.primitive.isDestroyed()) {
+        this.primitive.destroy();
+      }
+    }
+
+    /**
+     * @private
+     */
+    _sourceProgress(source) {
+      const progress = source.parser ? source.parser.getProgress() : { processed: 0, total: 0, percentage: 0 };
+      return {
+        url: source.url,
+        state: source.state,
+        receivedBytes: source.receivedBytes,
+        totalBytes: source.totalBytes,
+        processed: progress.processed,
+        total: progress.total,
+        percentage: source.state === 'loaded' ? 100 : progress.percentage,
+      };
+    }
+
+    /**
+     * @private
+     */
+    _notify(source) {
+      if (this._onProgress) {
+        this._onProgress(source);
+      }
+    }
+
+    /**
+     * Compact once nothing is writing into the primitive, then move the remaining ranges.
+     * @private
+     */
+    _onIdle() {
+      if (!this._compactPending || this.primitive.isDestroyed()) return;
+      if (this._sources.some((source) => source.state === 'loading')) return;
+
+      this._compactPending = false;
+      const remap = this.primitive.compact();
+      for (const source of this._sources) {
+        if (source.start === undefined) continue;
+        let first = -1;
+        let last = -1;
+        for (let i = source.start; i < source.start + source.count; i++) {
+          if (remap[i] >= 0) {
+            if (first < 0) first = remap[i];
+            last = remap[i];
+          }
+        }
+        source.start = first >= 0 ? first : 0;
+        source.count = first >= 0 ? last - first + 1 : 0;
+      }
+    }
+  }
@@ -0,0 +1,295 @@
+/**
+ * Parallel ranged reader
+ *
+ * Downloads a resource of known length as fixed-size blocks over several
+ * concurrent Range requests and hands the bytes back strictly in order,
+ * through the same read()/cancel() interface as a ReadableStreamDefaultReader.
+ * The block being consumed streams chunk by chunk; blocks ahead of it are
+ * buffered, and at most `connections` blocks are in flight or buffered at once.
+ * pause() closes the open connections; resume() requests the rest of each
+ * unfinished block again.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class ParallelRangeReader {
+    /**
+     * @param {string} url Resource URL
+     * @param {number} contentLength Total resource length in bytes
+     * @param {Object} options Reader options
+     * @param {number} [options.connections=4] Concurrent Range requests
+     * @param {number} [options.blockSize=8388608] Bytes per Range request
+     * @param {AbortSignal} [options.signal] Abort signal shared with the loader
+     * @param {string} [options.validator] ETag / Last-Modified sent as If-Range
+     * @param {ReadableStreamDefaultReader} [options.headReader] Reader of an already open response starting at byte 0, reused for the first block
+     * @param {number} [options.maxRetries=3] Retries per block (reset whenever data arrives)
+     * @param {number} [options.retryDelay=500] Delay before the first retry (ms), doubled on each further attempt
+     * @param {number} [options.maxRetryDelay=10000] Upper bound for the retry delay (ms)
+     * @param {Function} [options.onRetry] Called with (attempt, offset, error) before each retry
+     * @param {Function} [options.onData] Called with the byte count of every downloaded chunk, in arrival order
+     * @param {Function} [options.request] Issues a request as (headers, signal) => Promise<Response>,
+     *   e.g. to add authentication; defaults to fetch(url)
+     */
+    constructor(url, contentLength, options = {}) {
+      this._url = url;
+      this._connections = Math.max(1, options.connections ?? 4);
+      this._signal = options.signal;
+      this._validator = options.validator || null;
+      this._headReader = options.headReader || null;
+      this._maxRetries = options.maxRetries ?? 3;
+      this._retryDelay = options.retryDelay ?? 500;
+      this._maxRetryDelay = options.maxRetryDelay ?? 10000;
+      this._onRetry = options.onRetry || null;
+      this._onData = options.onData || null;
+      this._request = options.request || ((headers, signal) => fetch(url, { signal, headers }));
+
+      const blockSize = Math.max(1, options.blockSize ?? 8 * 1024 * 1024);
+      this._blocks = [];
+      for (let start = 0; start < contentLength; start += blockSize) {
+        this._blocks.push({
+          start,
+          end: Math.min(contentLength, start + blockSize),
+          received: 0,
+          chunks: [],
+          done: false,
+          reader: null,
+        });
+      }
+
+      this._nextBlock = 0; // Next block to request
+      this._emitBlock = 0; // Block currently handed to the consumer
+      this._active = 0;
+      this._error = null;
+      this._cancelled = false;
+      this._wake = null;
+      this._paused = null; // { promise, resolve } while paused
+
+      this._schedule();
+    }
+
+    /**
+     * Read the next in-order chunk.
+     * @returns {Promise<{done: boolean, value?: Uint8Array}>}
+     */
+    async read() {
+      while (true) {
+        if (this._error) throw this._error;
+        if (this._cancelled || this._emitBlock >= this._blocks.length) {
+          return { done: true };
+        }
+
+        const block = this._blocks[this._emitBlock];
+        if (block.chunks.length > 0) {
+          return { done: false, value: block.chunks.shift() };
+        }
+        if (block.done) {
+          this._emitBlock++;
+          this._schedule();
+          continue;
+        }
+
+        await new Promise((resolve) => {
+          this._wake = resolve;
+        });
+      }
+    }
+
+    /**
+     * Abort every in-flight request.
+     */
+    async cancel() {
+      this._cancelled = true;
+      for (const block of this._blocks) {
+        if (block.reader) {
+          block.reader.cancel().catch(() => {
+            // Ignore cancel errors
+          });
+        }
+      }
+      if (this._headReader) {
+        this._headReader.cancel().catch(() => {
+          // Ignore cancel errors
+        });
+      }
+      if (this._paused) {
+        this._paused.resolve();
+      }
+      this._notify();
+    }
+
+    /**
+     * Close the open connections and start no new ones until resume().
+     * Bytes already downloaded stay readable.
+     */
+    pause() {
+      if (this._paused || this._cancelled) return;
+      let resolve;
+      const promise = new Promise((r) => {
+        resolve = r;
+      });
+      this._paused = { promise, resolve };
+      for (const block of this._blocks) {
+        if (block.reader) {
+          block.reader.cancel().catch(() => {
+            // Ignore cancel errors
+          });
+        }
+      }
+    }
+
+    /**
+     * Continue downloading after pause().
+     */
+    resume() {
+      if (!this._paused) return;
+      const { resolve } = this._paused;
+      this._paused = null;
+      resolve();
+      this._schedule();
+    }
+
+    /**
+     * Present for ReadableStreamDefaultReader compatibility.
+     */
+    releaseLock() {
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+      if (this._wake) {
+        const wake = this._wake;
+        this._wake = null;
+        wake();
+      }
+    }
+
+    /**
+     * Start downloads while connections are free and the look-ahead window allows.
+     * @private
+     */
+    _schedule() {
+      while (
+        !this._cancelled &&
+        !this._paused &&
+        !this._error &&
+        this._active < this._connections &&
+        this._nextBlock < this._blocks.length &&
+        this._nextBlock < this._emitBlock + this._connections
+      ) {
+        const block = this._blocks[this._nextBlock++];
+        this._active++;
+        this._download(block)
+          .catch((e) => {
+            if (!this._cancelled) {
+              this._error = e;
+              this.cancel();
+            }
+          })
+          .finally(() => {
+            this._active--;
+            this._schedule();
+            this._notify();
+          });
+      }
+    }
+
+    /**
+     * Download one block, resuming from its last received byte on failure.
+     * @private
+     */
+    async _download(block) {
+      const length = block.end - block.start;
+      let attempt = 0;
+
+      while (block.received < length && !this._cancelled) {
+        if (this._paused) {
+          await this._paused.promise;
+          continue;
+        }
+        try {
+          if (block.start === 0 && block.received === 0 && this._headReader) {
+            block.reader = this._headReader;
+            this._headReader = null;
+          } else {
+            block.reader = await this._open(block.start + block.received, block.end);
+          }
+
+          while (block.received < length && !this._cancelled && !this._paused) {
+            const { done, value } = await block.reader.read();
+            if (done && this._paused) break;
+            if (done) {
+              throw new Error(`Connection closed after ${block.start + block.received} bytes`);
+            }
+
+            const chunk = value.length > length - block.received
+              ? value.subarray(0, length - block.received)
+              : value;
+            block.chunks.push(chunk);
+            block.received += chunk.length;
+            attempt = 0;
+            if (this._onData) {
+              this._onData(chunk.length);
+            }
+            this._notify();
+          }
+        } catch (e) {
+          if (this._cancelled) return;
+          // Interrupted by pause(): the block continues where it stopped after resume()
+          if (this._paused) continue;
+          if (e.resumable === false || attempt >= this._maxRetries) {
+            throw e;
+          }
+
+          const delay = Math.min(this._retryDelay * 2 ** attempt, this._maxRetryDelay);
+          attempt++;
+          if (this._onRetry) {
+            this._onRetry(attempt, block.start + block.received, e);
+          }
+          await sleep(delay);
+        } finally {
+          if (block.reader) {
+            // The head response runs past the first block; stop it once the block is complete
+            if (block.received >= length || this._paused) {
+              block.reader.cancel().catch(() => {
+                // Ignore cancel errors
+              });
+            }
+            block.reader = null;
+          }
+        }
+      }
+
+      block.done = true;
+    }
+
+    /**
+     * Request bytes [start, end) and verify the server honored the range.
+     * @private
+     */
+    async _open(start, end) {
+      const headers = { Range: `bytes=${start}-${end - 1}` };
+      if (this._validator) {
+        headers['If-Range'] = this._validator;
+      }
+
+      const response = await this._request(headers, this._signal);
+      if (response.status !== 206) {
+        const error = new Error(response.ok
+          ? 'Server ignored the Range request (resource changed or ranges unsupported)'
+          : `Request rejected with status ${response.status}`);
+        error.resumable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+      }
+
+      const match = /bytes (\d+)-/.exec(response.headers.get('Content-Range') || '');
+      if (!match || +match[1] !== start) {
+        const error = new Error(`Unexpected Content-Range: ${response.headers.get('Content-Range')}`);
+        error.resumable = false;
+        throw error;
+      }
+
+      return response.body.getReader();
+    }
+  }
@@ -0,0 +1,182 @@
+/**
+ * PLY decode worker
+ *
+ * Runs PlyStreamParser off the main thread and packs the decoded splats into
+ * texture-ready typed arrays (color, covariance half floats, quantized SH),
+ * posted back per index range with their buffers transferred. The main thread
+ * only copies them into GSplatStreamPrimitive with setPackedSplats.
+ *
+ * Messages in:
+ *   { type: 'init', maxSHDegree, shDegree, transform, batchSize, pointSize, forwardElements }
+ *     shDegree (optional) fixes the packed SH degree instead of following the header;
+ *     transform (optional, see decomposeSplatTransform) is applied before packing;
+ *     pointSize (optional) is the point-cloud point size, see PlyStreamParser
+ *   { type: 'chunk', data: Uint8Array }
+ *   { type: 'finalize' }
+ *   { type: 'pause' } / { type: 'resume' } suspend / continue parsing; chunks keep being buffered
+ * Messages out:
+ *   { type: 'header', header }
+ *   { type: 'splats', start, packed, progress }
+ *   { type: 'element', name, values, row }
+ *   { type: 'done', progress }
+ *   { type: 'error', message }
+ */
+
+import { PlyStreamParser } from './PlyStreamParser';
+import {
+  evalSHTextureCount,
+  packSplatColor,
+  packSplatTransform,
+  packSplatSH,
+  transformSplatData,
+} from '../GSplatStreamUtils';
+
+const RANGE_SIZE = 16384; // Splats per posted range
+const FLUSH_INTERVAL = 50; // Post a partial range at least this often (ms)
+
+// No UI to keep responsive here, only incoming messages
+PlyStreamParser.sMaxProcessingTime = 50;
+
+let parser = null;
+let maxSHDegree = 3;
+let fixedSHDegree = null;
+let shDegree = 0;
+let transform = null;
+let range = null;
+let flushTimer = null;
+
+function createRange(start) {
+  const sh = [];
+  for (let i = 0; i < evalSHTextureCount(shDegree); i++) {
+    sh.push(new Uint32Array(RANGE_SIZE * 4));
+  }
+  return {
+    start,
+    count: 0,
+    positions: new Float32Array(RANGE_SIZE * 3),
+    color: new Uint8Array(RANGE_SIZE * 4),
+    transformA: new Uint32Array(RANGE_SIZE * 4),
+    transformB: new Uint16Array(RANGE_SIZE * 4),
+    sh,
+    min: [Infinity, Infinity, Infinity],
+    max: [-Infinity, -Infinity, -Infinity],
+  };
+}
+
+function flush() {
+  if (flushTimer !== null) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!range || range.count === 0) return;
+
+  const { start, count } = range;
+  const packed = {
+    count,
+    positions: range.positions.slice(0, count * 3),
+    color: range.color.slice(0, count * 4),
+    transformA: range.transformA.slice(0, count * 4),
+    transformB: range.transformB.slice(0, count * 4),
+    sh: range.sh.map((data) => data.slice(0, count * 4)),
+    bounds: { min: range.min, max: range.max },
+  };
+  range = null;
+
+  const transfer = [packed.positions.buffer, packed.color.buffer, packed.transformA.buffer, packed.transformB.buffer];
+  for (const data of packed.sh) {
+    transfer.push(data.buffer);
+  }
+  self.postMessage({ type: 'splats', start, packed, progress: parser.getProgress() }, transfer);
+}
+
+function onSplatParsed(data, index) {
+  // Ranges are contiguous; compressed PLY re-emits earlier indices once their SH arrives
+  if (range && index !== range.start + range.count) {
+    flush();
+  }
+  if (!range) {
+    range = createRange(index);
+  }
+
+  if (transform) {
+    transformSplatData(data, transform);
+  }
+
+  const i = range.count;
+  for (let k = 0; k < 3; k++) {
+    const v = data.position[k];
+    range.positions[i * 3 + k] = v;
+    if (v < range.min[k]) range.min[k] = v;
+    if (v > range.max[k]) range.max[k] = v;
+  }
+  packSplatColor(range.color, i, data);
+  packSplatTransform(range.transformA, range.transformB, i, data);
+  if (shDegree > 0) {
+    packSplatSH(range.sh, i, data.sh, shDegree);
+  }
+  range.count++;
+
+  if (range.count === RANGE_SIZE) {
+    flush();
+  } else if (flushTimer === null) {
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+  }
+}
+
+function waitUntilParsed() {
+  return new Promise((resolve) => {
+    const poll = () => {
+      if (parser.isParsing()) {
+        setTimeout(poll, 5);
+      } else {
+        resolve();
+      }
+    };
+    poll();
+  });
+}
+
+self.onmessage = async (ev) => {
+  const msg = ev.data;
+  try {
+    switch (msg.type) {
+      case 'init':
+        maxSHDegree = msg.maxSHDegree ?? 3;
+        fixedSHDegree = msg.shDegree ?? null;
+        transform = msg.transform || null;
+        parser = new PlyStreamParser(
+          (header) => {
+            // Same cap as GSplatStreamPrimitive.initCount
+            shDegree = Math.max(0, Math.min(maxSHDegree, (fixedSHDegree ?? header.shDegree) | 0));
+            self.postMessage({ type: 'header', header });
+          },
+          onSplatParsed,
+          msg.batchSize,
+          msg.forwardElements
+            ? (name, values, row) => self.postMessage({ type: 'element', name, values, row })
+            : null,
+          { pointSize: msg.pointSize }
+        );
+        break;
+      case 'chunk':
+        await parser.processChunk(msg.data);
+        break;
+      case 'pause':
+        parser.pause();
+        // Hand over what is decoded so far
+        flush();
+        break;
+      case 'resume':
+        parser.resume();
+        break;
+      case 'finalize':
+        parser.finalize();
+        await waitUntilParsed();
+        flush();
+        self.postMessage({ type: 'done', progress: parser.getProgress() });
+        break;
+    }
+  } catch (e) {
+    self.postMessage({ type: 'error', message: e.message });
+  }
+};
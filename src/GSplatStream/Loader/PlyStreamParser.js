@@ -1,27 +1,46 @@
 /**
  * Streaming PLY parser for Gaussian Splatting
  * 
- * Handles incremental parsing of PLY binary data as chunks arrive.
- * Maintains state to handle partial vertex data at chunk boundaries.
+ * Handles incremental parsing of PLY data (ascii, binary little/big endian) as chunks arrive.
+ * Walks every declared element in file order, so elements before or after `vertex`
+ * are skipped or reported through onElementParsed.
+ * Maintains state to handle partial rows at chunk boundaries.
  */
 
-import { byteSizeOfType, readByType } from './PlyUtils';
+import { byteSizeOfType, estimatePointSpacing, readByType, unpack111011, unpack8888, unpackRotation } from './PlyUtils';
 
 const splatProperties = ["x", "y", "z", "scale_0", "scale_1", "scale_2", "opacity", "rot_0", "rot_1", "rot_2", "rot_3"];
 const splatColorProperties = ["red", "green", "blue", "f_dc_0", "f_dc_1", "f_dc_2"];
+const compressedProperties = ["packed_position", "packed_rotation", "packed_scale", "packed_color"];
 
-const PlyMode = {
+const COMPRESSED_CHUNK_SIZE = 256; // Splats per `chunk` row in PlayCanvas compressed PLY
+const SH_C0 = 0.28209479177387814;
+const POINT_SAMPLE_COUNT = 4096; // Leading point-cloud vertices used to estimate the point size
+
+export const PlyMode = {
   Splat: 0,
   PointCloud: 1,
-  Mesh: 2
+  Mesh: 2,
+  Compressed: 3
 };
 
 export class PlyStreamParser {
     static sVerticesPerChunk = 10000000; // Number of vertices to process per chunk
     static sMaxProcessingTime = 5; // Maximum processing time per chunk (ms) to avoid blocking
-    constructor(onHeaderParsed, onSplatParsed, batchSize = 1000) {
+    /**
+     * @param {Function} onHeaderParsed Called with the parsed header
+     * @param {Function} onSplatParsed Called with (splatData, index) for each vertex
+     * @param {number} [batchSize=1000] Vertices parsed before yielding
+     * @param {Function} [onElementParsed] Called with (elementName, values, rowIndex) for non-vertex rows;
+     *   list properties are returned as arrays. When omitted, non-vertex elements are skipped.
+     * @param {Object} [options] Parser options
+     * @param {number} [options.pointSize] World-space size of the points of a point cloud (PlyMode.PointCloud
+     *   without scale_*). When omitted it is estimated from the spacing of the first points.
+     */
+    constructor(onHeaderParsed, onSplatParsed, batchSize = 1000, onElementParsed = null, options = {}) {
       this._onHeaderParsed = onHeaderParsed;
       this._onSplatParsed = onSplatParsed;
+      this._onElementParsed = onElementParsed;
       this._batchSize = batchSize;
       
       this._header = null;
@@ -30,15 +49,28 @@ export class PlyStreamParser {
       this._headerParsed = false;
       
       this._dataBuffer = null;
-      this._dataOffset = 0;
+      this._dataOffset = 0; // Bytes filled in _dataBuffer
+      this._cursor = 0; // Bytes consumed from _dataBuffer
+      this._littleEndian = true;
+      this._elements = [];
+      this._elementIndex = 0;
+      this._elementRow = 0;
       this._processedVertices = 0;
       this._vertexStride = 0;
       this._propOffsets = [];
       this._properties = [];
       this._cancelled = false;
+
+      this._pointSize = options.pointSize > 0 ? options.pointSize : null;
+      this._pointCloud = false;
+      this._pointLogScale = 0;
+      this._pendingPoints = null; // Point-cloud vertices held back until the point size is known
       
       this._parseTimeoutId = null;
+      this._parseScheduledIdle = false; // Whether _parseTimeoutId is an idle callback
       this._useIdleCallback = typeof requestIdleCallback !== 'undefined';
+      this._paused = false;
+      this._resumePending = false; // Parsing was held back by pause()
     }
 
     async processChunk(chunk) {
@@ -53,8 +85,45 @@ export class PlyStreamParser {
 
     cancel() {
       this._cancelled = true;
+      this._resumePending = false;
+      this._cancelScheduled();
+    }
+
+    /**
+     * Stop parsing after the current batch. Chunks passed to processChunk meanwhile
+     * are buffered; vertices already parsed stay with the consumer.
+     */
+    pause() {
+      if (this._paused || this._cancelled) return;
+      this._paused = true;
       if (this._parseTimeoutId !== null) {
-        if (this._useIdleCallback) {
+        this._cancelScheduled();
+        this._resumePending = true;
+      }
+    }
+
+    /**
+     * Continue parsing the buffered data after pause().
+     */
+    resume() {
+      if (!this._paused) return;
+      this._paused = false;
+      if (this._resumePending && !this._cancelled) {
+        this._resumePending = false;
+        this._parseVertices();
+      }
+    }
+
+    isPaused() {
+      return this._paused;
+    }
+
+    /**
+     * @private
+     */
+    _cancelScheduled() {
+      if (this._parseTimeoutId !== null) {
+        if (this._parseScheduledIdle) {
           cancelIdleCallback(this._parseTimeoutId);
         } else {
           clearTimeout(this._parseTimeoutId);
@@ -81,9 +150,9 @@ export class PlyStreamParser {
         this._headerBuffer.subarray(0, this._headerLength)
       );
 
-      const headerEnd = headerText.indexOf('end_header\n');
-      if (headerEnd >= 0) {
-        const headerEndPos = headerEnd + 'end_header\n'.length;
+      const headerEndMatch = /end_header\r?\n/.exec(headerText);
+      if (headerEndMatch) {
+        const headerEndPos = headerEndMatch.index + headerEndMatch[0].length;
         const headerBuffer = this._headerBuffer.subarray(0, headerEndPos);
         
         const headerArrayBuffer = headerBuffer.buffer.slice(
@@ -113,70 +182,72 @@ export class PlyStreamParser {
 
     _parseHeader(buffer) {
       const ascii = new TextDecoder('utf-8').decode(new Uint8Array(buffer));
-      const headerEnd = ascii.indexOf('end_header\n');
-      if (headerEnd < 0) {
+      const headerEndMatch = /end_header\r?\n/.exec(ascii);
+      if (!headerEndMatch) {
         throw new Error('PLY: Invalid PLY header');
       }
 
-      const headerText = ascii.substring(0, headerEnd + 'end_header\n'.length);
+      const headerText = ascii.substring(0, headerEndMatch.index + headerEndMatch[0].length);
       const lines = headerText.split(/\r?\n/);
       
       let format = '';
-      let vertexCount = 0;
-      let faceCount = 0;
-      const properties = [];
-      const faceProperties = [];
+      const elements = [];
       const textureFiles = [];
+      const comments = [];
 
-      let inVertexElement = false;
-      let inFaceElement = false;
+      let currentElement = null;
       for (const line of lines) {
         if (line.startsWith('format ')) {
           format = line.split(/\s+/)[1];
-        } else if (line.startsWith('comment TextureFile ')) {
-          const texturePath = line.substring('comment TextureFile '.length).trim();
-          if (texturePath) {
-            textureFiles.push(texturePath);
+        } else if (line.startsWith('comment ')) {
+          comments.push(line.substring('comment '.length).trim());
+          if (line.startsWith('comment TextureFile ')) {
+            const texturePath = line.substring('comment TextureFile '.length).trim();
+            if (texturePath) {
+              textureFiles.push(texturePath);
+            }
           }
         } else if (line.startsWith('element ')) {
           const toks = line.split(/\s+/);
-          inVertexElement = toks[1] === 'vertex';
-          inFaceElement = toks[1] === 'face';
-          if (inVertexElement) {
-            vertexCount = parseInt(toks[2]);
-            inFaceElement = false;
-          }
-          if (inFaceElement) {
-            faceCount = parseInt(toks[2]);
-            inVertexElement = false;
-          }
-        } else if (inVertexElement && line.startsWith('property ')) {
-          const toks = line.split(/\s+/);
-          const type = toks[1];
-          const name = toks[2];
-          properties.push({ name, type });
-        } else if (inFaceElement && line.startsWith('property ')) {
+          currentElement = { name: toks[1], count: parseInt(toks[2]), properties: [] };
+          elements.push(currentElement);
+        } else if (currentElement && line.startsWith('property ')) {
           const toks = line.split(/\s+/);
           if (toks[1] === 'list') {
             const countType = toks[2];
             const itemType = toks[3];
             const name = toks[4];
-            faceProperties.push({ name, type: `list ${countType} ${itemType}` });
+            currentElement.properties.push({ name, type: `list ${countType} ${itemType}`, countType, itemType });
           } else {
             const type = toks[1];
             const name = toks[2];
-            faceProperties.push({ name, type });
+            currentElement.properties.push({ name, type });
           }
         }
       }
 
-      if (format !== 'binary_little_endian' && format !== 'ascii') {
+      if (format !== 'binary_little_endian' && format !== 'binary_big_endian' && format !== 'ascii') {
         throw new Error(`PLY: Unsupported format: ${format}`);
       }
 
+      const vertexElement = elements.find((e) => e.name === 'vertex');
+      const faceElement = elements.find((e) => e.name === 'face');
+      const vertexCount = vertexElement ? vertexElement.count : 0;
+      const faceCount = faceElement ? faceElement.count : 0;
+      const properties = vertexElement ? vertexElement.properties : [];
+      const faceProperties = faceElement ? faceElement.properties : [];
+      const chunkElement = elements.find((e) => e.name === 'chunk');
+      const shElement = elements.find((e) => e.name === 'sh');
+      const isCompressed = !!chunkElement &&
+        compressedProperties.every((n) => properties.some((p) => p.name === n));
+
       let splatPropertyCount = 0;
       let splatPropertyColorCount = 0;
+      let shRestCount = 0;
       for (const property of properties) {
+        if (property.name.startsWith('f_rest_')) {
+          shRestCount++;
+        }
         if (splatProperties.includes(property.name)) {
           splatPropertyCount++;
         }
@@ -185,8 +256,15 @@ export class PlyStreamParser {
         }
       }
 
+      // Compressed PLY keeps SH in a separate `sh` element
+      if (isCompressed && shElement) {
+        shRestCount = shElement.properties.filter((p) => p.name.startsWith('f_rest_')).length;
+      }
+
       let mode;
-      if (faceCount > 0) {
+      if (isCompressed) {
+        mode = PlyMode.Compressed;
+      } else if (faceCount > 0) {
         mode = PlyMode.Mesh;
       } else if (splatPropertyCount === splatProperties.length && splatPropertyColorCount === 3) {
         mode = PlyMode.Splat;
@@ -201,30 +279,193 @@ export class PlyStreamParser {
         properties,
         faceProperties: faceProperties.length > 0 ? faceProperties : undefined,
         textureFiles,
+        comments,
+        elements,
         headerByteLength: headerText.length,
         mode,
+        shDegree: Math.max(0, Math.round(Math.sqrt(shRestCount / 3 + 1)) - 1),
       };
     }
 
     _initializeDataParsing(header) {
       this._properties = header.properties;
-      
-      this._propOffsets = [];
-      this._vertexStride = 0;
-      for (const p of this._properties) {
-        this._propOffsets.push(this._vertexStride);
-        this._vertexStride += byteSizeOfType(p.type);
+
+      // Fixed-size binary layout per element (stride is 0 when the element has list properties)
+      this._elements = header.elements.map((element) => {
+        const hasList = element.properties.some((p) => p.countType);
+        const offsets = [];
+        let stride = 0;
+        for (const p of element.properties) {
+          offsets.push(stride);
+          if (!p.countType) stride += byteSizeOfType(p.type);
+        }
+        return { ...element, hasList, offsets, stride: hasList ? 0 : stride };
+      });
+      this._elementIndex = 0;
+      this._elementRow = 0;
+
+      const vertexLayout = this._elements.find((e) => e.name === 'vertex');
+      this._propOffsets = vertexLayout ? vertexLayout.offsets : [];
+      this._vertexStride = vertexLayout ? vertexLayout.stride : 0;
+
+      const propIndex = (n) => this._properties.findIndex((p) => p.name === n);
+      const allFound = (indices) => indices.every((i) => i >= 0) ? indices : null;
+      this._propIndices = {
+        x: propIndex('x'),
+        y: propIndex('y'),
+        z: propIndex('z'),
+        scale: allFound([propIndex('scale_0'), propIndex('scale_1'), propIndex('scale_2')]),
+        rot: allFound([propIndex('rot_0'), propIndex('rot_1'), propIndex('rot_2'), propIndex('rot_3')]),
+        opacity: propIndex('opacity'),
+        dc: allFound([propIndex('f_dc_0'), propIndex('f_dc_1'), propIndex('f_dc_2')]),
+        rgb: allFound([propIndex('red'), propIndex('green'), propIndex('blue')]),
+        // Mesh texture coordinates go by several names
+        uv: allFound([propIndex('u'), propIndex('v')]) ||
+          allFound([propIndex('s'), propIndex('t')]) ||
+          allFound([propIndex('texture_u'), propIndex('texture_v')]),
+        rest: [],
+      };
+      // Integer colors are normalized by their type's range, float colors are already 0-1
+      const colorType = this._propIndices.rgb ? this._properties[this._propIndices.rgb[0]].type : 'float';
+      this._colorScale = { uchar: 1 / 255, uint8: 1 / 255, ushort: 1 / 65535, uint16: 1 / 65535 }[colorType] ?? 1;
+
+      // Point clouds have no Gaussian scales: every point gets the same isotropic size
+      this._pointCloud = header.mode === PlyMode.PointCloud && !this._propIndices.scale;
+      if (this._pointCloud && this._pointSize) {
+        this._pointLogScale = Math.log(this._pointSize / 2);
+      }
+      this._pendingPoints = this._pointCloud && !this._pointSize ? [] : null;
+      for (let i = 0; i < this._properties.length; i++) {
+        if (this._properties[i].name.startsWith('f_rest_')) this._propIndices.rest.push(i);
       }
+      this._compressed = null;
+      if (header.mode === PlyMode.Compressed) {
+        this._initializeCompressed(header);
+      } else if (header.vertexCount > 0 && (this._propIndices.x < 0 || this._propIndices.y < 0 || this._propIndices.z < 0)) {
+        throw new Error('PLY: Missing required x/y/z properties for vertex');
+      }
+
+      this._isAscii = header.format === 'ascii';
+      this._littleEndian = header.format !== 'binary_big_endian';
+      this._textDecoder = new TextDecoder('utf-8');
+      this._asciiRemainder = '';
+      this._asciiLines = [];
+      this._asciiLineIndex = 0;
 
-      const estimatedSize = header.vertexCount * this._vertexStride;
+      const estimatedSize = this._isAscii ? 0 : header.vertexCount * this._vertexStride;
       this._dataBuffer = new Uint8Array(Math.min(estimatedSize, 1024 * 1024 * 10));
       this._dataOffset = 0;
+      this._cursor = 0;
       this._processedVertices = 0;
     }
 
+    /**
+     * Prepare state for PlayCanvas compressed PLY: chunk table and packed vertex words,
+     * kept so vertices can be decoded again once the trailing `sh` element arrives.
+     * @private
+     */
+    _initializeCompressed(header) {
+      const chunkElement = header.elements.find((e) => e.name === 'chunk');
+      const chunkIndex = (n) => chunkElement.properties.findIndex((p) => p.name === n);
+      const hasColorRange = chunkIndex('min_r') >= 0;
+      const shElement = header.elements.find((e) => e.name === 'sh');
+      const vertexIndex = (n) => this._properties.findIndex((p) => p.name === n);
+
+      this._compressed = {
+        chunks: [],
+        chunkIndices: {
+          min: [chunkIndex('min_x'), chunkIndex('min_y'), chunkIndex('min_z')],
+          max: [chunkIndex('max_x'), chunkIndex('max_y'), chunkIndex('max_z')],
+          minScale: [chunkIndex('min_scale_x'), chunkIndex('min_scale_y'), chunkIndex('min_scale_z')],
+          maxScale: [chunkIndex('max_scale_x'), chunkIndex('max_scale_y'), chunkIndex('max_scale_z')],
+          minColor: hasColorRange ? [chunkIndex('min_r'), chunkIndex('min_g'), chunkIndex('min_b')] : null,
+          maxColor: hasColorRange ? [chunkIndex('max_r'), chunkIndex('max_g'), chunkIndex('max_b')] : null,
+        },
+        vertexIndices: compressedProperties.map(vertexIndex),
+        packed: new Uint32Array(header.vertexCount * 4),
+        shRestIndices: shElement
+          ? shElement.properties.map((p, i) => (p.name.startsWith('f_rest_') ? i : -1)).filter((i) => i >= 0)
+          : [],
+      };
+    }
+
+    /**
+     * Decode a compressed vertex from its packed words and chunk bounds.
+     * @param {number} index Vertex index
+     * @param {number[]} [shValues] Row of the `sh` element (uchar f_rest_*)
+     * @private
+     */
+    _decodeCompressedSplat(index, shValues) {
+      const c = this._compressed;
+      const chunk = c.chunks[Math.floor(index / COMPRESSED_CHUNK_SIZE)];
+      if (!chunk) {
+        throw new Error(`PLY: Missing chunk data for compressed vertex ${index}`);
+      }
+      const k = c.chunkIndices;
+      const lerp = (i, t) => chunk[k.min[i]] + (chunk[k.max[i]] - chunk[k.min[i]]) * t;
+      const lerpScale = (i, t) => chunk[k.minScale[i]] + (chunk[k.maxScale[i]] - chunk[k.minScale[i]]) * t;
+
+      const p = unpack111011(c.packed[index * 4 + 0]);
+      const q = unpackRotation(c.packed[index * 4 + 1]);
+      const s = unpack111011(c.packed[index * 4 + 2]);
+      const color = unpack8888(c.packed[index * 4 + 3]);
+
+      if (k.minColor) {
+        for (let i = 0; i < 3; i++) {
+          color[i] = chunk[k.minColor[i]] + (chunk[k.maxColor[i]] - chunk[k.minColor[i]]) * color[i];
+        }
+      }
+
+      const alpha = color[3];
+      let opacity;
+      if (alpha >= 1) {
+        opacity = 20;
+      } else if (alpha <= 0) {
+        opacity = -20;
+      } else {
+        opacity = -Math.log(1 / alpha - 1);
+      }
+
+      const restIndices = shValues ? c.shRestIndices : [];
+      const restPerColor = restIndices.length / 3;
+      const coeffsPerColor = 1 + restPerColor;
+      const coeffs = new Float32Array(coeffsPerColor * 3);
+      for (let ch = 0; ch < 3; ch++) {
+        coeffs[ch * coeffsPerColor] = (color[ch] - 0.5) / SH_C0;
+        for (let i = 0; i < restPerColor; i++) {
+          const n = shValues[restIndices[ch * restPerColor + i]];
+          const t = n === 0 ? 0 : n === 255 ? 1 : (n + 0.5) / 256;
+          coeffs[ch * coeffsPerColor + 1 + i] = (t - 0.5) * 8;
+        }
+      }
+
+      return {
+        position: [lerp(0, p[0]), lerp(1, p[1]), lerp(2, p[2])],
+        scale: [lerpScale(0, s[0]), lerpScale(1, s[1]), lerpScale(2, s[2])],
+        rotation: [q[1], q[2], q[3], q[0]],
+        opacity,
+        sh: {
+          order: Math.round(Math.sqrt(coeffsPerColor)) - 1,
+          coeffs,
+        },
+      };
+    }
+
     _processDataChunk(chunk) {
       if (!this._header || !this._dataBuffer) return;
 
+      if (this._isAscii) {
+        this._processAsciiChunk(chunk);
+        return;
+      }
+
+      // Drop consumed bytes before growing the buffer
+      if (this._cursor > 0 && this._dataOffset + chunk.length > this._dataBuffer.length) {
+        this._dataBuffer.copyWithin(0, this._cursor, this._dataOffset);
+        this._dataOffset -= this._cursor;
+        this._cursor = 0;
+      }
+
       const needed = this._dataOffset + chunk.length;
       if (needed > this._dataBuffer.length) {
         const newSize = Math.max(needed, this._dataBuffer.length * 2);
@@ -239,12 +480,50 @@ export class PlyStreamParser {
       this._parseVertices();
     }
 
+    /**
+     * Split ASCII data into complete lines, keeping a partial trailing line
+     * until the next chunk (or finalize) completes it.
+     * @private
+     */
+    _processAsciiChunk(chunk, flush = false) {
+      if (this._asciiLineIndex > 0) {
+        this._asciiLines.splice(0, this._asciiLineIndex);
+        this._asciiLineIndex = 0;
+      }
+
+      const text = this._asciiRemainder + this._textDecoder.decode(chunk, { stream: !flush });
+      const lines = text.split(/\r?\n/);
+      this._asciiRemainder = flush ? '' : lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed) {
+          this._asciiLines.push(trimmed);
+        }
+      }
+
+      this._parseVertices();
+    }
+
+    /**
+     * Flush any buffered partial data once the stream has ended.
+     */
+    finalize() {
+      if (this._cancelled || !this._headerParsed) return;
+      if (this._isAscii) {
+        this._processAsciiChunk(new Uint8Array(0), true);
+      }
+    }
+
     _parseVertices() {
       if (!this._header || !this._dataBuffer) return;
       
       if (this._parseTimeoutId !== null) {
         return;
       }
+      if (this._paused) {
+        this._resumePending = true;
+        return;
+      }
 
       this._parseVerticesChunk();
     }
@@ -260,97 +539,95 @@ export class PlyStreamParser {
         this._dataBuffer.byteOffset, 
         this._dataBuffer.byteLength
       );
-      const vertexCount = this._header.vertexCount;
-      
-      const has = (n) => this._properties.find((p) => p.name === n) != null;
-      const propIndex = (n) => this._properties.findIndex((p) => p.name === n);
+      const littleEndian = this._littleEndian;
 
       const startTime = performance.now();
       let processedInThisChunk = 0;
 
-      while (this._processedVertices < vertexCount && !this._cancelled) {
-        const v = this._processedVertices;
-        const vOffset = v * this._vertexStride;
-
-        if (vOffset + this._vertexStride > this._dataOffset) {
-          this._parseTimeoutId = null;
-          return;
-        }
-
-        const ix = propIndex('x');
-        const iy = propIndex('y');
-        const iz = propIndex('z');
-        if (ix < 0 || iy < 0 || iz < 0) {
-          throw new Error('PLY: Missing required x/y/z properties for vertex');
+      while (this._elementIndex < this._elements.length && !this._cancelled) {
+        const element = this._elements[this._elementIndex];
+        if (this._elementRow >= element.count) {
+          this._elementIndex++;
+          this._elementRow = 0;
+          continue;
         }
 
-        const splatData = {
-          position: [
-          readByType(payload, vOffset + this._propOffsets[ix], this._properties[ix].type),
-          readByType(payload, vOffset + this._propOffsets[iy], this._properties[iy].type),
-          readByType(payload, vOffset + this._propOffsets[iz], this._properties[iz].type),
-          ],
-        };
+        if (element.name !== 'vertex') {
+          const usedInternally = !!this._compressed && (element.name === 'chunk' || element.name === 'sh');
+          if (!this._onElementParsed && !usedInternally && !this._isAscii && !element.hasList) {
+            // Nobody listens to this element: skip whole fixed-size rows at once
+            const available = element.stride > 0
+              ? Math.floor((this._dataOffset - this._cursor) / element.stride)
+              : Infinity;
+            const rows = Math.min(available, element.count - this._elementRow);
+            this._cursor += rows * element.stride;
+            this._elementRow += rows;
+            if (this._elementRow < element.count) {
+              this._parseTimeoutId = null;
+              return;
+            }
+            continue;
+          }
 
-        if (has('scale_0')) {
-          splatData.scale = [
-            readByType(payload, vOffset + this._propOffsets[propIndex('scale_0')], this._properties[propIndex('scale_0')].type),
-            readByType(payload, vOffset + this._propOffsets[propIndex('scale_1')], this._properties[propIndex('scale_1')].type),
-            readByType(payload, vOffset + this._propOffsets[propIndex('scale_2')], this._properties[propIndex('scale_2')].type),
-          ];
-        }
+          const values = this._readRow(element, payload);
+          if (!values) {
+            this._parseTimeoutId = null;
+            return;
+          }
+          if (usedInternally && element.name === 'chunk') {
+            this._compressed.chunks.push(values);
+          } else if (usedInternally && this._elementRow < this._processedVertices && this._onSplatParsed) {
+            // Re-emit the vertex now that its SH coefficients are known
+            this._onSplatParsed(this._decodeCompressedSplat(this._elementRow, values), this._elementRow);
+          }
+          if (this._onElementParsed) {
+            this._onElementParsed(element.name, values, this._elementRow);
+          }
+          this._elementRow++;
 
-        if (has('rot_0')) {
-          const w = readByType(payload, vOffset + this._propOffsets[propIndex('rot_0')], this._properties[propIndex('rot_0')].type);
-          const x = readByType(payload, vOffset + this._propOffsets[propIndex('rot_1')], this._properties[propIndex('rot_1')].type);
-          const y = readByType(payload, vOffset + this._propOffsets[propIndex('rot_2')], this._properties[propIndex('rot_2')].type);
-          const z = readByType(payload, vOffset + this._propOffsets[propIndex('rot_3')], this._properties[propIndex('rot_3')].type);
-          splatData.rotation = [x, y, z, w];
+          if (this._elementRow % this._batchSize === 0) {
+            this._scheduleNextChunk();
+            return;
+          }
+          continue;
         }
 
-        if (has('opacity')) {
-          splatData.opacity = readByType(payload, vOffset + this._propOffsets[propIndex('opacity')], this._properties[propIndex('opacity')].type);
-        }
+        const v = this._processedVertices;
 
-        const dcIdx = [propIndex('f_dc_0'), propIndex('f_dc_1'), propIndex('f_dc_2')];
-        if (dcIdx[0] >= 0 && dcIdx[1] >= 0 && dcIdx[2] >= 0) {
-          const restIndices = [];
-          for (let i = 0; i < this._properties.length; i++) {
-            if (this._properties[i].name.startsWith('f_rest_')) restIndices.push(i);
+        let getValue;
+        if (this._isAscii || element.hasList) {
+          const values = this._readRow(element, payload);
+          if (!values) {
+            this._parseTimeoutId = null;
+            return;
           }
-          const coeffsPerColor = 1 + restIndices.length / 3;
-          const coeffs = new Float32Array(coeffsPerColor * 3);
-          
-          coeffs[0] = readByType(payload, vOffset + this._propOffsets[dcIdx[0]], this._properties[dcIdx[0]].type);
-          coeffs[coeffsPerColor + 0] = readByType(payload, vOffset + this._propOffsets[dcIdx[1]], this._properties[dcIdx[1]].type);
-          coeffs[2 * coeffsPerColor + 0] = readByType(payload, vOffset + this._propOffsets[dcIdx[2]], this._properties[dcIdx[2]].type);
-          
-          let rPtr = 1;
-          let gPtr = 1;
-          let bPtr = 1;
-          for (let i = 0; i < restIndices.length; i += 3) {
-            const ri = restIndices[i + 0];
-            const gi = restIndices[i + 1];
-            const bi = restIndices[i + 2];
-            coeffs[rPtr] = readByType(payload, vOffset + this._propOffsets[ri], this._properties[ri].type);
-            coeffs[coeffsPerColor + gPtr] = readByType(payload, vOffset + this._propOffsets[gi], this._properties[gi].type);
-            coeffs[2 * coeffsPerColor + bPtr] = readByType(payload, vOffset + this._propOffsets[bi], this._properties[bi].type);
-            rPtr++;
-            gPtr++;
-            bPtr++;
+          getValue = (i) => values[i];
+        } else {
+          const vOffset = this._cursor;
+          if (vOffset + this._vertexStride > this._dataOffset) {
+            this._parseTimeoutId = null;
+            return;
           }
-
-          splatData.sh = {
-            order: Math.floor(Math.sqrt(coeffsPerColor)),
-            coeffs: coeffs,
-          };
+          this._cursor += this._vertexStride;
+          getValue = (i) => readByType(payload, vOffset + this._propOffsets[i], this._properties[i].type, littleEndian);
         }
 
-        if (this._onSplatParsed) {
-          this._onSplatParsed(splatData, v);
+        let splatData;
+        if (this._compressed) {
+          const packed = this._compressed.packed;
+          const indices = this._compressed.vertexIndices;
+          for (let i = 0; i < 4; i++) {
+            packed[v * 4 + i] = getValue(indices[i]);
+          }
+          splatData = this._decodeCompressedSplat(v);
+        } else {
+          splatData = this._buildSplatData(getValue);
         }
 
+        this._emitVertex(splatData, v);
+
         this._processedVertices++;
+        this._elementRow++;
         processedInThisChunk++;
 
         if (this._processedVertices % this._batchSize === 0) {
@@ -371,18 +648,188 @@ export class PlyStreamParser {
       this._parseTimeoutId = null;
     }
 
+    /**
+     * Read one row of an element, advancing the cursor (binary) or line index (ascii).
+     * @returns {Array|null} Property values (lists as arrays), or null if the row is incomplete
+     * @private
+     */
+    _readRow(element, payload) {
+      if (this._isAscii) {
+        if (this._asciiLineIndex >= this._asciiLines.length) return null;
+        const tokens = this._asciiLines[this._asciiLineIndex++].split(/\s+/);
+        const values = [];
+        let t = 0;
+        for (const p of element.properties) {
+          if (p.countType) {
+            const n = Number(tokens[t++]);
+            values.push(tokens.slice(t, t + n).map(Number));
+            t += n;
+          } else {
+            values.push(Number(tokens[t++]));
+          }
+        }
+        return values;
+      }
+
+      const littleEndian = this._littleEndian;
+      let offset = this._cursor;
+      const values = [];
+      for (const p of element.properties) {
+        if (p.countType) {
+          const countSize = byteSizeOfType(p.countType);
+          if (offset + countSize > this._dataOffset) return null;
+          const n = readByType(payload, offset, p.countType, littleEndian);
+          offset += countSize;
+          const itemSize = byteSizeOfType(p.itemType);
+          if (offset + n * itemSize > this._dataOffset) return null;
+          const list = new Array(n);
+          for (let i = 0; i < n; i++) {
+            list[i] = readByType(payload, offset, p.itemType, littleEndian);
+            offset += itemSize;
+          }
+          values.push(list);
+        } else {
+          const size = byteSizeOfType(p.type);
+          if (offset + size > this._dataOffset) return null;
+          values.push(readByType(payload, offset, p.type, littleEndian));
+          offset += size;
+        }
+      }
+      this._cursor = offset;
+      return values;
+    }
+
+    /**
+     * Assemble splat data for one vertex.
+     * @param {Function} getValue Returns the value of the property at the given index
+     * @private
+     */
+    _buildSplatData(getValue) {
+      const idx = this._propIndices;
+      const splatData = {
+        position: [getValue(idx.x), getValue(idx.y), getValue(idx.z)],
+      };
+
+      if (idx.scale) {
+        splatData.scale = [getValue(idx.scale[0]), getValue(idx.scale[1]), getValue(idx.scale[2])];
+      }
+
+      if (idx.rot) {
+        const w = getValue(idx.rot[0]);
+        const x = getValue(idx.rot[1]);
+        const y = getValue(idx.rot[2]);
+        const z = getValue(idx.rot[3]);
+        splatData.rotation = [x, y, z, w];
+      }
+
+      if (idx.opacity >= 0) {
+        splatData.opacity = getValue(idx.opacity);
+      }
+
+      if (idx.dc) {
+        const restIndices = idx.rest;
+        const coeffsPerColor = 1 + restIndices.length / 3;
+        const coeffs = new Float32Array(coeffsPerColor * 3);
+
+        coeffs[0] = getValue(idx.dc[0]);
+        coeffs[coeffsPerColor + 0] = getValue(idx.dc[1]);
+        coeffs[2 * coeffsPerColor + 0] = getValue(idx.dc[2]);
+
+        // f_rest_* is channel-major: all red coefficients, then green, then blue
+        const restPerColor = coeffsPerColor - 1;
+        for (let c = 0; c < 3; c++) {
+          for (let k = 0; k < restPerColor; k++) {
+            coeffs[c * coeffsPerColor + 1 + k] = getValue(restIndices[c * restPerColor + k]);
+          }
+        }
+
+        splatData.sh = {
+          order: Math.round(Math.sqrt(coeffsPerColor)) - 1,
+          coeffs: coeffs,
+        };
+      } else if (idx.rgb) {
+        const s = this._colorScale;
+        splatData.color = [getValue(idx.rgb[0]) * s, getValue(idx.rgb[1]) * s, getValue(idx.rgb[2]) * s];
+      }
+
+      if (idx.uv) {
+        splatData.uv = [getValue(idx.uv[0]), getValue(idx.uv[1])];
+      }
+
+      return splatData;
+    }
+
+    /**
+     * Hand a vertex to onSplatParsed. Point-cloud vertices get the isotropic point size
+     * (scale is half the size); while it is still being estimated they are held back.
+     * @private
+     */
+    _emitVertex(splatData, index) {
+      if (this._pointCloud) {
+        if (this._pendingPoints) {
+          this._pendingPoints.push(splatData);
+          if (this._pendingPoints.length >= Math.min(POINT_SAMPLE_COUNT, this._header.vertexCount)) {
+            this._flushPendingPoints();
+          }
+          return;
+        }
+        const s = this._pointLogScale;
+        splatData.scale = [s, s, s];
+      }
+
+      if (this._onSplatParsed) {
+        this._onSplatParsed(splatData, index);
+      }
+    }
+
+    /**
+     * Estimate the point size from the held-back leading points and emit them.
+     * @private
+     */
+    _flushPendingPoints() {
+      const points = this._pendingPoints;
+      this._pendingPoints = null;
+
+      const positions = new Float32Array(points.length * 3);
+      for (let i = 0; i < points.length; i++) {
+        positions.set(points[i].position, i * 3);
+      }
+      this._pointSize = estimatePointSpacing(positions) || 1;
+      this._pointLogScale = Math.log(this._pointSize / 2);
+
+      // Buffering starts at the first vertex, so the held-back points are indices 0..n-1
+      for (let i = 0; i < points.length; i++) {
+        this._emitVertex(points[i], i);
+      }
+    }
+
+    /**
+     * World-space point size used for a point cloud.
+     * @returns {number|null} The configured or estimated size, null before it is known or for splat files
+     */
+    getPointSize() {
+      return this._pointCloud ? this._pointSize : null;
+    }
+
     _scheduleNextChunk() {
       if (this._cancelled) {
         this._parseTimeoutId = null;
         return;
       }
+      if (this._paused) {
+        this._parseTimeoutId = null;
+        this._resumePending = true;
+        return;
+      }
 
       if (this._useIdleCallback) {
+        this._parseScheduledIdle = true;
         this._parseTimeoutId = requestIdleCallback((deadline) => {
           this._parseTimeoutId = null;
           if (!this._cancelled && deadline.timeRemaining() > 0) {
             this._parseVerticesChunk();
           } else if (!this._cancelled) {
+            this._parseScheduledIdle = false;
             this._parseTimeoutId = setTimeout(() => {
               this._parseTimeoutId = null;
               this._parseVerticesChunk();
@@ -390,6 +837,7 @@ export class PlyStreamParser {
           }
         }, { timeout: 100 });
       } else {
+        this._parseScheduledIdle = false;
         this._parseTimeoutId = setTimeout(() => {
           this._parseTimeoutId = null;
           this._parseVerticesChunk();
@@ -397,6 +845,13 @@ export class PlyStreamParser {
       }
     }
 
+    /**
+     * Whether parsing work is still scheduled (or held back by pause) for data that has already arrived.
+     */
+    isParsing() {
+      return this._parseTimeoutId !== null || this._resumePending;
+    }
+
     getProgress() {
       const total = this._header?.vertexCount || 0;
       return {
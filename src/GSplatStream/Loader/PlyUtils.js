@@ -34,8 +34,12 @@ export function byteSizeOfType(t) {
 
 /**
  * Read value from DataView by PLY type
+ * @param {DataView} view Source view
+ * @param {number} offset Byte offset
+ * @param {string} type PLY scalar type
+ * @param {boolean} [littleEndian=true] Byte order (false for binary_big_endian)
  */
-export function readByType(view, offset, type) {
+export function readByType(view, offset, type, littleEndian = true) {
   switch (type) {
     case 'char':
     case 'int8':
@@ -45,23 +49,104 @@ export function readByType(view, offset, type) {
       return view.getUint8(offset);
     case 'short':
     case 'int16':
-      return view.getInt16(offset, true);
+      return view.getInt16(offset, littleEndian);
     case 'ushort':
     case 'uint16':
-      return view.getUint16(offset, true);
+      return view.getUint16(offset, littleEndian);
     case 'int':
     case 'int32':
-      return view.getInt32(offset, true);
+      return view.getInt32(offset, littleEndian);
     case 'uint':
     case 'uint32':
-      return view.getUint32(offset, true);
+      return view.getUint32(offset, littleEndian);
     case 'double':
     case 'float64':
-      return view.getFloat64(offset, true);
+      return view.getFloat64(offset, littleEndian);
     case 'float':
     case 'float32':
     default:
-      return view.getFloat32(offset, true);
+      return view.getFloat32(offset, littleEndian);
   }
 }
 
+
+/**
+ * Unpack a uint32 holding three unorm values with 11/10/11 bits
+ * (PlayCanvas compressed PLY positions and scales)
+ * @returns {number[]} Three values in [0, 1]
+ */
+export function unpack111011(value) {
+  return [
+    (value >>> 21) / 2047,
+    ((value >>> 11) & 0x3ff) / 1023,
+    (value & 0x7ff) / 2047,
+  ];
+}
+
+/**
+ * Unpack a uint32 holding four unorm8 values, most significant byte first
+ * (PlayCanvas compressed PLY colors)
+ * @returns {number[]} Four values in [0, 1]
+ */
+export function unpack8888(value) {
+  return [
+    (value >>> 24) / 255,
+    ((value >>> 16) & 0xff) / 255,
+    ((value >>> 8) & 0xff) / 255,
+    (value & 0xff) / 255,
+  ];
+}
+
+/**
+ * Unpack a smallest-three quaternion (2-bit largest index, 3 x 10 bits)
+ * (PlayCanvas compressed PLY rotations)
+ * @returns {number[]} Components in rot_0..rot_3 order (w, x, y, z)
+ */
+export function unpackRotation(value) {
+  const norm = 1.0 / (Math.sqrt(2) * 0.5);
+  const a = (((value >>> 20) & 0x3ff) / 1023 - 0.5) * norm;
+  const b = (((value >>> 10) & 0x3ff) / 1023 - 0.5) * norm;
+  const c = ((value & 0x3ff) / 1023 - 0.5) * norm;
+  const m = Math.sqrt(Math.max(0, 1.0 - (a * a + b * b + c * c)));
+  switch (value >>> 30) {
+    case 0:
+      return [m, a, b, c];
+    case 1:
+      return [a, m, b, c];
+    case 2:
+      return [a, b, m, c];
+    default:
+      return [a, b, c, m];
+  }
+}
+
+/**
+ * Estimate the typical spacing of a point set as the median nearest-neighbor
+ * distance of up to `samples` evenly spread points (brute force against all points).
+ * @param {Float32Array|number[]} positions xyz per point
+ * @param {number} [samples=256] Number of points whose nearest neighbor is searched
+ * @returns {number} Estimated spacing, 0 when fewer than two distinct points are given
+ */
+export function estimatePointSpacing(positions, samples = 256) {
+  const count = Math.floor(positions.length / 3);
+  const step = Math.max(1, Math.floor(count / samples));
+  const distances = [];
+  for (let i = 0; i < count; i += step) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    let nearest = Infinity;
+    for (let j = 0; j < count; j++) {
+      const dx = positions[j * 3] - x;
+      const dy = positions[j * 3 + 1] - y;
+      const dz = positions[j * 3 + 2] - z;
+      const d = dx * dx + dy * dy + dz * dz;
+      // Duplicate points would drive the estimate to zero
+      if (d > 0 && d < nearest) nearest = d;
+    }
+    if (nearest < Infinity) distances.push(Math.sqrt(nearest));
+  }
+  if (distances.length === 0) return 0;
+  distances.sort((a, b) => a - b);
+  return distances[distances.length >> 1];
+}
@@ -0,0 +1,188 @@
+/**
+ * Persistent splat file cache
+ *
+ * Keeps complete downloads in Cache Storage so later loads of the same URL are
+ * streamed from disk instead of the network (see StreamLoader's `cache` option).
+ * Each entry remembers the ETag / Last-Modified of its download; StreamLoader
+ * revalidates it with a conditional request and replaces it when the file changed.
+ * Bytes are stored as transferred (still compressed for `.ply.gz`), and only
+ * downloads that finished are stored.
+ */
+
+const HEADER_URL = 'X-Splat-Url';
+const HEADER_ETAG = 'X-Splat-ETag';
+const HEADER_LAST_MODIFIED = 'X-Splat-Last-Modified';
+const HEADER_STORED_AT = 'X-Splat-Stored-At';
+
+export class SplatCache {
+    /**
+     * @param {Object} [options] Cache options
+     * @param {string} [options.name='gsplat-stream'] Cache Storage name
+     * @param {boolean} [options.ignoreQuery=false] Key entries by the URL without its query string,
+     *   e.g. when every session gets differently signed URLs for the same files
+     */
+    constructor(options = {}) {
+      this._name = options.name || 'gsplat-stream';
+      this._ignoreQuery = options.ignoreQuery ?? false;
+      this._cache = null;
+    }
+
+    /**
+     * Whether Cache Storage is available (it requires a secure context).
+     * @returns {boolean}
+     */
+    static isSupported() {
+      return typeof caches !== 'undefined';
+    }
+
+    /**
+     * Cache key of a URL.
+     * @param {string} url Resource URL
+     * @returns {string}
+     */
+    keyFor(url) {
+      return this._ignoreQuery ? url.split(/[?#]/)[0] : url.split('#')[0];
+    }
+
+    /**
+     * @private
+     */
+    async _open() {
+      if (!SplatCache.isSupported()) return null;
+      if (!this._cache) {
+        this._cache = await caches.open(this._name);
+      }
+      return this._cache;
+    }
+
+    /**
+     * Look up the cached copy of a URL.
+     * @param {string} url Resource URL
+     * @returns {Promise<Object|null>} { url, blob, etag, lastModified, storedAt, size }, or null if not cached
+     */
+    async match(url) {
+      const cache = await this._open();
+      if (!cache) return null;
+      const response = await cache.match(this.keyFor(url));
+      return response ? this._entry(response, await response.blob()) : null;
+    }
+
+    /**
+     * Start storing a download. Chunks are queued as they arrive; the entry only
+     * becomes visible (replacing an older copy) once close() is called.
+     * @param {string} url Resource URL
+     * @param {Object} [info] Download information
+     * @param {string} [info.etag] ETag of the response
+     * @param {string} [info.lastModified] Last-Modified of the response
+     * @returns {{write: Function, close: Function, abort: Function}} write(chunk), close() resolving once
+     *   stored, abort() to drop the partial download
+     */
+    createWriter(url, info = {}) {
+      let controller = null;
+      const body = new ReadableStream({
+        start(c) {
+          controller = c;
+        },
+      });
+      const headers = {
+        'Content-Type': 'application/octet-stream',
+        [HEADER_URL]: url,
+        [HEADER_STORED_AT]: new Date().toISOString(),
+      };
+      if (info.etag) headers[HEADER_ETAG] = info.etag;
+      if (info.lastModified) headers[HEADER_LAST_MODIFIED] = info.lastModified;
+
+      // put() only commits once the body has been read completely; an errored body
+      // (aborted download) leaves any older entry untouched
+      const stored = this._open().then((cache) => {
+        if (cache) {
+          return cache.put(this.keyFor(url), new Response(body, { headers }));
+        }
+        return body.cancel();
+      });
+      stored.catch(() => {
+        // Reported by close(); aborted writers are dropped silently
+      });
+
+      let finished = false;
+      return {
+        write: (chunk) => {
+          if (!finished) controller.enqueue(chunk.slice());
+        },
+        close: () => {
+          if (!finished) {
+            finished = true;
+            controller.close();
+          }
+          return stored;
+        },
+        abort: () => {
+          if (!finished) {
+            finished = true;
+            controller.error(new Error('Download aborted'));
+          }
+        },
+      };
+    }
+
+    /**
+     * List the cached entries.
+     * @returns {Promise<Object[]>} Per entry: url, etag, lastModified, storedAt (Date), size (bytes)
+     */
+    async list() {
+      const cache = await this._open();
+      if (!cache) return [];
+      const entries = [];
+      for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        if (response) {
+          const { blob, ...entry } = this._entry(response, await response.blob());
+          entries.push(entry);
+        }
+      }
+      return entries;
+    }
+
+    /**
+     * Total size of the cached entries.
+     * @returns {Promise<number>} Bytes
+     */
+    async size() {
+      const entries = await this.list();
+      return entries.reduce((total, entry) => total + entry.size, 0);
+    }
+
+    /**
+     * Remove the cached copy of a URL.
+     * @param {string} url Resource URL (as given to StreamLoader or reported by list())
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async evict(url) {
+      const cache = await this._open();
+      return cache ? cache.delete(this.keyFor(url)) : false;
+    }
+
+    /**
+     * Remove every cached entry.
+     */
+    async clear() {
+      if (!SplatCache.isSupported()) return;
+      this._cache = null;
+      await caches.delete(this._name);
+    }
+
+    /**
+     * @private
+     */
+    _entry(response, blob) {
+      const storedAt = response.headers.get(HEADER_STORED_AT);
+      return {
+        url: response.headers.get(HEADER_URL),
+        blob,
+        etag: response.headers.get(HEADER_ETAG),
+        lastModified: response.headers.get(HEADER_LAST_MODIFIED),
+        storedAt: storedAt ? new Date(storedAt) : null,
+        size: blob.size,
+      };
+    }
+  }
@@ -0,0 +1,179 @@
+/**
+ * Splat file format detection
+ *
+ * Picks a format from the file name, falling back to the first bytes for
+ * sources without a usable extension (dropped files, extensionless URLs).
+ * Also recognizes compressed payloads (`.ply.gz`, raw gzip/zlib bytes), which
+ * StreamLoader decompresses before parsing.
+ */
+
+export const SplatFormat = {
+  Ply: 'ply',
+  PlyPatch: 'ply-patch',
+  Splat: 'splat',
+  Spz: 'spz',
+  KSplat: 'ksplat',
+  Gltf: 'gltf'
+};
+
+const EXTENSIONS = {
+  '.ply': SplatFormat.Ply,
+  '.splat': SplatFormat.Splat,
+  '.spz': SplatFormat.Spz,
+  '.ksplat': SplatFormat.KSplat,
+  '.glb': SplatFormat.Gltf,
+  '.gltf': SplatFormat.Gltf,
+};
+
+/**
+ * Compression wrappers, named as DecompressionStream formats.
+ */
+export const Compression = {
+  Gzip: 'gzip',
+  Deflate: 'deflate',
+  DeflateRaw: 'deflate-raw',
+  Brotli: 'brotli'
+};
+
+const COMPRESSION_EXTENSIONS = {
+  '.gz': Compression.Gzip,
+  '.gzip': Compression.Gzip,
+  '.zz': Compression.Deflate,
+  '.deflate': Compression.Deflate,
+  '.br': Compression.Brotli,
+};
+
+/**
+ * Number of leading bytes detectFormatFromBytes looks at.
+ */
+export const FORMAT_MAGIC_LENGTH = 16;
+
+function extensionOf(path) {
+  const dot = path.lastIndexOf('.');
+  return dot >= 0 ? path.slice(dot) : '';
+}
+
+/**
+ * Lowercased path of a URL or file name without query, hash and compression extension.
+ */
+function basePath(name) {
+  const path = name.split(/[?#]/)[0].toLowerCase();
+  const extension = extensionOf(path);
+  return COMPRESSION_EXTENSIONS[extension] ? path.slice(0, -extension.length) : path;
+}
+
+/**
+ * Detect the format from a URL or file name extension.
+ * A trailing compression extension is skipped (`scene.ply.gz` is a PLY).
+ * `.patch.ply` names a patch for a loaded scene (see StreamingSplatPatchParser).
+ * @param {string} name URL or file name (query and hash are ignored)
+ * @returns {string|null} A SplatFormat value, or null if the extension is unknown
+ */
+export function detectFormatFromName(name) {
+  const path = basePath(name);
+  if (path.endsWith('.patch.ply')) return SplatFormat.PlyPatch;
+  return EXTENSIONS[extensionOf(path)] ?? null;
+}
+
+/**
+ * Detect the compression of a URL or file name from its extension.
+ * @param {string} name URL or file name (query and hash are ignored)
+ * @returns {string|null} A Compression value, or null if the name has no compression extension
+ */
+export function detectCompressionFromName(name) {
+  const path = name.split(/[?#]/)[0].toLowerCase();
+  return COMPRESSION_EXTENSIONS[extensionOf(path)] ?? null;
+}
+
+/**
+ * Detect gzip or zlib (deflate) compression from the leading bytes.
+ * Brotli and raw deflate have no magic number and are only detected by name.
+ * @param {Uint8Array} bytes At least the first 3 bytes
+ * @returns {string|null} A Compression value, or null if the bytes do not look compressed
+ */
+export function detectCompressionFromBytes(bytes) {
+  if (bytes.length < 3) return null;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b && bytes[2] === 0x08) return Compression.Gzip;
+  // zlib header: deflate method, window <= 32 KB, check bits make the 16-bit value a multiple of 31
+  if ((bytes[0] & 0x0f) === 8 && bytes[0] >> 4 <= 7 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+    return Compression.Deflate;
+  }
+  return null;
+}
+
+/**
+ * Detect the format from the leading bytes of a file.
+ * .splat has no magic number and is never detected here.
+ * @param {Uint8Array} bytes At least the first FORMAT_MAGIC_LENGTH bytes
+ * @returns {string|null} A SplatFormat value, or null if unrecognized
+ */
+export function detectFormatFromBytes(bytes) {
+  const ascii = String.fromCharCode(...bytes.subarray(0, 4));
+  if (ascii === 'ply\n' || ascii === 'ply\r') return SplatFormat.Ply;
+  if (ascii === 'glTF') return SplatFormat.Gltf;
+  // spz payloads are gzip streams
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return SplatFormat.Spz;
+  // .gltf JSON
+  const text = new TextDecoder().decode(bytes).trimStart();
+  if (text.startsWith('{')) return SplatFormat.Gltf;
+  // .ksplat main header starts with version 0.x (x >= 1)
+  if (bytes.length >= 2 && bytes[0] === 0 && bytes[1] >= 1) return SplatFormat.KSplat;
+  return null;
+}
+
+/**
+ * Decompress the first bytes of a compressed Blob.
+ * @private
+ */
+async function readDecompressedHead(source, compression, length) {
+  const reader = source.stream().pipeThrough(new DecompressionStream(compression)).getReader();
+  const head = new Uint8Array(length);
+  let filled = 0;
+  try {
+    while (filled < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const n = Math.min(value.length, length - filled);
+      head.set(value.subarray(0, n), filled);
+      filled += n;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return head.subarray(0, filled);
+}
+
+/**
+ * Detect the format of a URL, Cesium.Resource (or its options object) or local File/Blob.
+ * The extension wins; Blobs without a known extension are sniffed by magic bytes.
+ * gzip/zlib Blobs are sniffed after decompression: an spz (a gzip stream itself)
+ * is told apart from a compressed PLY by the spz magic.
+ * @param {string|Cesium.Resource|Object|Blob} source URL, Cesium.Resource, Resource options, File or Blob
+ * @returns {Promise<string|null>} A SplatFormat value, or null if unrecognized
+ */
+export async function detectFormat(source) {
+  if (typeof source === 'string') {
+    return detectFormatFromName(source);
+  }
+  if (typeof Blob === 'undefined' || !(source instanceof Blob)) {
+    // Cesium.Resource: the plain URL, without query parameters or proxy
+    const url = typeof source.getUrlComponent === 'function' ? source.getUrlComponent() : source.url;
+    return typeof url === 'string' ? detectFormatFromName(url) : null;
+  }
+
+  const byName = source.name ? detectFormatFromName(source.name) : null;
+  if (byName) return byName;
+
+  const head = new Uint8Array(await source.slice(0, FORMAT_MAGIC_LENGTH).arrayBuffer());
+  const compression = detectCompressionFromBytes(head);
+  if (compression && typeof DecompressionStream !== 'undefined') {
+    try {
+      const inner = await readDecompressedHead(source, compression, FORMAT_MAGIC_LENGTH);
+      if (String.fromCharCode(...inner.subarray(0, 4)) === 'NGSP') return SplatFormat.Spz;
+      return detectFormatFromBytes(inner);
+    } catch {
+      return null;
+    }
+  }
+  return detectFormatFromBytes(head);
+}
@@ -1,18 +1,84 @@
 /**
  * Stream loader for progressive resource loading
- * Supports streaming data as it arrives, enabling progressive rendering
+ * Supports streaming data as it arrives, enabling progressive rendering.
+ * Sources can be URLs or Cesium.Resources (fetched with the resource's headers, query parameters,
+ * proxy and retryCallback) or local File/Blob objects (read through Blob.stream()).
+ * Interrupted network streams are resumed from the last received byte with HTTP Range requests,
+ * and large files can optionally be fetched over several concurrent Range requests.
+ * gzip / deflate / brotli payloads (by extension or magic bytes) are decompressed before parsing;
+ * resuming still works on the compressed byte offsets.
+ * With a SplatCache, finished downloads are kept in Cache Storage and later loads stream from it.
+ * Loads can be paused and resumed; while paused nothing is read or parsed.
  */
 
+import * as Cesium from 'cesium';
+import { ParallelRangeReader } from './ParallelRangeReader';
+import { SplatFormat, detectCompressionFromBytes, detectCompressionFromName, detectFormatFromName } from './SplatFormat';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resource for a URL, a Cesium.Resource, or Cesium.Resource constructor options
+ * ({ url, headers, queryParameters, proxy, retryCallback, retryAttempts, ... }).
+ */
+function toResource(source) {
+  if (source instanceof Cesium.Resource) {
+    return source;
+  }
+  return new Cesium.Resource(typeof source === 'string' ? { url: source } : source);
+}
+
+/**
+ * Conditional request headers that let the server confirm a cached copy with 304.
+ */
+function revalidationHeaders(entry) {
+  if (entry.etag) {
+    return { 'If-None-Match': entry.etag };
+  }
+  return entry.lastModified ? { 'If-Modified-Since': entry.lastModified } : {};
+}
+
 export class StreamLoader {
     /**
      * Load resource with streaming support
-     * @param {string} url Resource URL
+     * @param {string|Cesium.Resource|Object|Blob} url Resource URL, Cesium.Resource, Cesium.Resource options
+     *   object, or a local File/Blob. Every request (including resumes and parallel blocks) carries the
+     *   resource's headers, query parameters and proxy; rejected responses are passed to its
+     *   retryCallback(resource, RequestErrorEvent) up to retryAttempts times (the count restarts after
+     *   each successful request), which may update the headers or query parameters (e.g. refresh an
+     *   expired token) and resolve true to re-issue the request
      * @param {Function} parserClass Parser class constructor
      * @param {Object} options Optional loader options
-     * @param {Function} options.onProgress Progress callback (receivedLength, contentLength, url, parser)
+     * @param {Function} options.onProgress Progress callback (receivedLength, contentLength, url, parser, decodedLength);
+     *   `url` is the File/Blob itself for local sources. With parallel connections receivedLength
+     *   counts all downloaded bytes, including blocks buffered ahead of the parser. receivedLength and
+     *   contentLength count bytes as transferred (compressed); decodedLength counts the bytes handed
+     *   to the parser after decompression (equal to receivedLength for uncompressed payloads).
      * @param {Function} options.onComplete Complete callback (url)
      * @param {Function} options.onError Error callback (error)
-     * @returns {Promise<{parser: *, cancel: Function}>} Promise that resolves when initial data is ready
+     * @param {number} [options.maxRetries=3] Resume attempts after a mid-stream failure (reset whenever data arrives)
+     * @param {number} [options.retryDelay=500] Delay before the first resume attempt (ms), doubled on each further attempt
+     * @param {number} [options.maxRetryDelay=10000] Upper bound for the resume delay (ms)
+     * @param {Function} [options.onRetry] Called with (attempt, receivedLength, error) before each resume attempt
+     * @param {number} [options.connections=1] Concurrent Range requests; above 1, files larger than blockSize
+     *   on servers accepting byte ranges are downloaded in parallel and reassembled in order
+     * @param {number} [options.blockSize=8388608] Bytes per Range request in parallel mode
+     * @param {AbortSignal} [options.signal] Cancels the load like the returned cancel function,
+     *   also before the parser is ready, in which case the returned promise rejects with an AbortError
+     * @param {string} [options.compression='auto'] Payload compression: 'auto' (by extension, then gzip/zlib
+     *   magic bytes), 'none', or a DecompressionStream format ('gzip', 'deflate', 'deflate-raw', 'brotli').
+     *   Parsers that inflate their own container (`parser.compression`, e.g. .spz) are never decompressed here
+     * @param {SplatCache} [options.cache] Persistent cache for remote sources: complete downloads are stored
+     *   under their URL with ETag/Last-Modified, and a cached copy is streamed from disk when the server
+     *   confirms it is current (304) or cannot be reached
+     * @param {boolean} [options.revalidate=true] Ask the server before using a cached copy; when false a
+     *   cached copy is used without any request
+     * @param {Function} [options.onCacheError] Called with (error) when a complete download could not be stored in the cache
+     * @returns {Promise<{parser: *, cancel: Function, pause: Function, resume: Function, isPaused: Function, fromCache: boolean,
+     *   requestError: Error|null}>} Promise that resolves when initial data is ready. requestError is the failed
+     *   request when the cached copy was loaded because the server could not be reached. pause() stops reading
+     *   and suspends the parser, keeping what has been loaded; on servers accepting byte ranges the connection
+     *   is closed and resume() continues with a Range request, otherwise the response is left unread until resume()
      */
     async loadStream(url, parserClass, options = {}) {
       return new Promise(async (resolve, reject) => {
@@ -22,6 +88,17 @@ export class StreamLoader {
 
         const cancel = () => {
           aborted = true;
+          if (paused) {
+            paused.resume();
+          }
+          if (cacheWriter) {
+            cacheWriter.abort();
+          }
+          if (decoder) {
+            decoder.cancel().catch(() => {
+              // Ignore cancel errors
+            });
+          }
           if (reader) {
             reader.cancel().catch(() => {
               // Ignore cancel errors
@@ -36,20 +113,401 @@ export class StreamLoader {
           }
         };
 
+        // Rejecting is a no-op once the parser is ready; the load is still cancelled
+        const abortBySignal = () => {
+          cancel();
+          reject(new DOMException('Load aborted', 'AbortError'));
+        };
+
+        const pause = () => {
+          if (paused || aborted) return;
+          let wake;
+          const promise = new Promise((r) => {
+            wake = r;
+          });
+          paused = { promise, resume: wake };
+          if (parser && typeof parser.pause === 'function') {
+            parser.pause();
+          }
+          if (parallel) {
+            reader.pause();
+          } else if (reader && rangeable) {
+            // Let go of the connection; read() reopens it with a Range request after resume()
+            reader.cancel().catch(() => {
+              // Ignore cancel errors
+            });
+            reader = null;
+          }
+        };
+
+        const resume = () => {
+          if (!paused || aborted) return;
+          const wake = paused.resume;
+          paused = null;
+          if (parallel) {
+            reader.resume();
+          }
+          if (parser && typeof parser.resume === 'function') {
+            parser.resume();
+          }
+          wake();
+        };
+
+        const isPaused = () => !!paused;
+
+        let paused = null; // { promise, resume } while paused
         let parser = null;
+        let decoder = null; // Reader of the decompressed payload, when compressed
+        let cacheWriter = null; // Stores the transferred bytes in options.cache
 
-        try {
-          abortController = new AbortController();
+        if (options.signal) {
+          if (options.signal.aborted) {
+            reject(new DOMException('Load aborted', 'AbortError'));
+            return;
+          }
+          options.signal.addEventListener('abort', abortBySignal, { once: true });
+        }
 
-          const response = await fetch(url, {
-            signal: abortController.signal
-          });
-          if (!response.ok) {
-            throw new Error(`Request rejected with status ${response.status}`);
+        const maxRetries = options.maxRetries ?? 3;
+        const retryDelay = options.retryDelay ?? 500;
+        const maxRetryDelay = options.maxRetryDelay ?? 10000;
+        const isBlob = typeof Blob !== 'undefined' && url instanceof Blob;
+        let blob = isBlob ? url : null; // Local source, or the cached copy of a remote one
+        let fromCache = false;
+        let requestError = null;
+        let resource = null;
+        let callbackRetries = 0;
+        let pendingRetry = null; // Shared by concurrent requests rejected at the same time
+
+        let contentLength = 0;
+        let receivedLength = 0;
+        let skipBytes = 0; // Bytes to drop when a resume request returned the whole resource again
+        let validator = null; // ETag / Last-Modified of the first response, sent as If-Range
+        let rangeable = false;
+        let encoded = false;
+        let parallel = false;
+        let downloadedLength = 0;
+        let decodedLength = 0;
+
+        /**
+         * Ask the resource's retryCallback whether a rejected request should be re-issued.
+         */
+        const retryRejected = (event) => {
+          if (!pendingRetry) {
+            if (typeof resource.retryCallback !== 'function' || callbackRetries >= resource.retryAttempts) {
+              return Promise.resolve(false);
+            }
+            callbackRetries++;
+            pendingRetry = Promise.resolve(resource.retryCallback(resource, event))
+              .then((retry) => !!retry)
+              .finally(() => {
+                pendingRetry = null;
+              });
+          }
+          return pendingRetry;
+        };
+
+        /**
+         * Fetch the resource with its current URL (query parameters, proxy) and headers.
+         * Rejected responses are retried while the retryCallback allows it.
+         */
+        const request = async (headers, signal) => {
+          while (true) {
+            const response = await fetch(resource.url, {
+              signal,
+              headers: { ...resource.headers, ...headers }
+            });
+            if (response.ok || response.status === 304) {
+              callbackRetries = 0;
+              return response;
+            }
+
+            const event = new Cesium.RequestErrorEvent(
+              response.status,
+              undefined,
+              Object.fromEntries(response.headers.entries())
+            );
+            response.body?.cancel().catch(() => {
+              // Ignore cancel errors
+            });
+            if (await retryRejected(event)) {
+              continue;
+            }
+            const error = new Error(`Request rejected with status ${response.status}`);
+            error.statusCode = response.status;
+            // Client errors will not go away by retrying
+            error.resumable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+          }
+        };
+
+        /**
+         * Open the source at a byte offset. Servers without Range support (200 instead
+         * of 206) are re-read from the start and the already-parsed prefix is skipped.
+         */
+        const open = async (offset, extraHeaders = {}) => {
+          if (blob) {
+            reader = blob.slice(offset).stream().getReader();
+            return null;
+          }
+
+          const headers = { ...extraHeaders };
+          if (offset > 0 && rangeable) {
+            headers.Range = `bytes=${offset}-`;
+            if (validator) {
+              headers['If-Range'] = validator;
+            }
+          }
+
+          const response = await request(headers, abortController.signal);
+          if (response.status === 304) {
+            return response;
+          }
+
+          if (offset > 0) {
+            if (response.status === 206) {
+              const match = /bytes (\d+)-/.exec(response.headers.get('Content-Range') || '');
+              if (!match || +match[1] !== offset) {
+                const error = new Error(`Unexpected Content-Range: ${response.headers.get('Content-Range')}`);
+                error.resumable = false;
+                throw error;
+              }
+              skipBytes = 0;
+            } else {
+              const current = response.headers.get('ETag') || response.headers.get('Last-Modified');
+              if (validator && current && current !== validator) {
+                const error = new Error('Resource changed on the server while downloading');
+                error.resumable = false;
+                throw error;
+              }
+              skipBytes = offset;
+            }
           }
 
           reader = response.body.getReader();
-          const contentLength = +response.headers.get("Content-Length") || 0;
+          return response;
+        };
+
+        /**
+         * Read the next chunk, transparently resuming after network failures
+         * so the parser never sees duplicated or missing bytes.
+         */
+        const read = async () => {
+          if (parallel) {
+            // ParallelRangeReader retries each block itself
+            const result = await reader.read();
+            if (!result.done) {
+              receivedLength += result.value.length;
+              if (cacheWriter) {
+                cacheWriter.write(result.value);
+              }
+            }
+            return result;
+          }
+
+          let attempt = 0;
+          while (true) {
+            if (paused) {
+              if (reader && rangeable) {
+                reader.cancel().catch(() => {
+                  // Ignore cancel errors
+                });
+                reader = null;
+              }
+              await paused.promise;
+              if (aborted) {
+                return { done: true };
+              }
+            }
+
+            let current = null;
+            try {
+              if (!reader) {
+                await open(receivedLength);
+                if (paused) continue;
+              }
+
+              current = reader;
+              const { done, value } = await current.read();
+              if (current !== reader) {
+                // Connection dropped by pause(): continue from receivedLength
+                continue;
+              }
+              if (done) {
+                // Servers without Range support are re-read and the parsed prefix skipped; the
+                // length of a re-encoded body is unknown, so only those are taken as they end
+                if (!encoded && contentLength > 0 && receivedLength < contentLength) {
+                  throw new Error(`Connection closed after ${receivedLength} of ${contentLength} bytes`);
+                }
+                return { done };
+              }
+              if (skipBytes >= value.length) {
+                skipBytes -= value.length;
+                continue;
+              }
+              const chunk = skipBytes > 0 ? value.subarray(skipBytes) : value;
+              skipBytes = 0;
+              receivedLength += chunk.length;
+              if (cacheWriter) {
+                cacheWriter.write(chunk);
+              }
+              return { done, value: chunk };
+            } catch (e) {
+              if (aborted) {
+                return { done: true };
+              }
+              if (paused || (current && current !== reader)) {
+                continue;
+              }
+              if (e.resumable === false || attempt >= maxRetries) {
+                throw e;
+              }
+
+              if (reader) {
+                reader.cancel().catch(() => {
+                  // Ignore cancel errors
+                });
+                reader = null;
+              }
+
+              const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+              attempt++;
+              if (options.onRetry) {
+                options.onRetry(attempt, receivedLength, e);
+              }
+              await sleep(delay);
+              if (aborted) {
+                return { done: true };
+              }
+            }
+          }
+        };
+
+        /**
+         * Pick the payload compression, reading ahead the first chunk for magic bytes.
+         * @returns {Promise<{compression: string|null, head: Uint8Array|null}>} The compression and
+         *   the chunk read ahead (still to be parsed), if any
+         */
+        const detectCompression = async () => {
+          const requested = options.compression ?? 'auto';
+          if (requested === 'none' || parser.compression) {
+            return { compression: null, head: null };
+          }
+          if (requested !== 'auto') {
+            return { compression: requested, head: null };
+          }
+
+          const name = isBlob ? url.name || '' : resource.getUrlComponent();
+          const byName = detectCompressionFromName(name);
+          // .splat rows are raw floats that may look like a zlib header
+          if (byName || detectFormatFromName(name) === SplatFormat.Splat) {
+            return { compression: byName, head: null };
+          }
+          const { done, value } = await read();
+          const head = done ? null : value;
+          return { compression: head ? detectCompressionFromBytes(head) : null, head };
+        };
+
+        /**
+         * Pipe the (resumable) raw reads through a DecompressionStream.
+         */
+        const createDecoder = (compression, head) => {
+          if (typeof DecompressionStream === 'undefined') {
+            throw new Error(`Decompressing ${compression} payloads requires DecompressionStream, which this browser lacks`);
+          }
+          let stream;
+          try {
+            stream = new DecompressionStream(compression);
+          } catch (e) {
+            throw new Error(`Unsupported compression format: ${compression}`);
+          }
+          const compressed = new ReadableStream({
+            start(controller) {
+              if (head) {
+                controller.enqueue(head);
+              }
+            },
+            async pull(controller) {
+              const { done, value } = await read();
+              if (done) {
+                controller.close();
+              } else {
+                controller.enqueue(value);
+              }
+            },
+          }, { highWaterMark: 0 });
+          return compressed.pipeThrough(stream).getReader();
+        };
+
+        try {
+          let response = null;
+          if (!isBlob) {
+            resource = toResource(url);
+            abortController = new AbortController();
+
+            const cacheUrl = resource.getUrlComponent(true);
+            const cached = options.cache
+              ? await options.cache.match(cacheUrl).catch(() => null)
+              : null;
+            if (cached && options.revalidate === false) {
+              blob = cached.blob;
+            } else {
+              try {
+                response = await open(0, cached ? revalidationHeaders(cached) : {});
+              } catch (e) {
+                if (!cached || aborted) throw e;
+                requestError = e;
+              }
+              if (!response || response.status === 304) {
+                blob = cached.blob;
+                response = null;
+              }
+            }
+            fromCache = !!blob;
+          }
+
+          if (blob) {
+            await open(0);
+            contentLength = blob.size;
+          } else {
+            contentLength = +response.headers.get("Content-Length") || 0;
+            // Byte offsets only match the body when the server does not re-encode it
+            const encoding = response.headers.get('Content-Encoding');
+            encoded = !!encoding && encoding !== 'identity';
+            rangeable = response.headers.get('Accept-Ranges') === 'bytes' && !encoded;
+            validator = response.headers.get('ETag') || response.headers.get('Last-Modified');
+
+            if (options.cache) {
+              cacheWriter = options.cache.createWriter(resource.getUrlComponent(true), {
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+              });
+            }
+
+            const connections = options.connections ?? 1;
+            const blockSize = options.blockSize ?? 8 * 1024 * 1024;
+            if (connections > 1 && rangeable && contentLength > blockSize) {
+              parallel = true;
+              reader = new ParallelRangeReader(resource.url, contentLength, {
+                connections,
+                blockSize,
+                signal: abortController.signal,
+                validator,
+                headReader: reader,
+                maxRetries: options.maxRetries,
+                retryDelay: options.retryDelay,
+                maxRetryDelay: options.maxRetryDelay,
+                onRetry: options.onRetry,
+                request,
+                onData: (length) => {
+                  downloadedLength += length;
+                  if (options.onProgress && parser && !aborted) {
+                    options.onProgress(downloadedLength, contentLength, url, parser, decodedLength);
+                  }
+                }
+              });
+            }
+          }
 
           if (typeof parserClass === 'function') {
             parser = new parserClass();
@@ -62,28 +520,68 @@ export class StreamLoader {
             throw new Error(`Parser ${parserName} does not support streaming. Implement initStream() method.`);
           }
 
+          const { compression, head } = await detectCompression();
+          let pending = head; // Uncompressed chunk read ahead while sniffing
+          if (compression) {
+            decoder = createDecoder(compression, head);
+            pending = null;
+          }
+
+          /**
+           * Next chunk for the parser: decompressed when needed, the read-ahead chunk first.
+           */
+          const next = async () => {
+            if (decoder) {
+              return decoder.read();
+            }
+            if (pending) {
+              const value = pending;
+              pending = null;
+              return { done: false, value };
+            }
+            return read();
+          };
+
           let parserResolved = false;
 
-          await parser.initStream(contentLength, () => {
+          // The decompressed size is unknown up front
+          await parser.initStream(compression ? 0 : contentLength, () => {
             if (!parserResolved && !aborted && parser && parser.verification()) {
               parserResolved = true;
-              resolve({ parser, cancel });
+              resolve({ parser, cancel, pause, resume, isPaused, fromCache, requestError });
             }
           });
 
-          let receivedLength = 0;
-
           while (!aborted) {
-            const { done, value } = await reader.read();
+            if (paused) {
+              await paused.promise;
+              continue;
+            }
+
+            const { done, value } = await next();
             if (done || aborted) {
               if (!aborted) {
+                if (cacheWriter) {
+                  // A short body without an error (connection closed early) must not be cached;
+                  // decoded bodies cannot be checked against Content-Length
+                  if (contentLength > 0 && !encoded && receivedLength !== contentLength) {
+                    cacheWriter.abort();
+                  } else {
+                    await cacheWriter.close().catch((error) => {
+                      if (options.onCacheError) {
+                        options.onCacheError(error);
+                      }
+                    });
+                  }
+                  cacheWriter = null;
+                }
                 if (typeof parser.finalizeStream === 'function') {
                   await parser.finalizeStream();
                 }
                 if (!parserResolved && parser) {
                   if (parser.verification()) {
                     parserResolved = true;
-                    resolve({ parser, cancel });
+                    resolve({ parser, cancel, pause, resume, isPaused, fromCache, requestError });
                   } else {
                     throw new Error("Parser verification failed");
                   }
@@ -94,19 +592,19 @@ export class StreamLoader {
 
             if (aborted) break;
 
-            receivedLength += value.length;
+            decodedLength += value.length;
 
             if (!aborted && typeof parser.processChunk === 'function') {
-              await parser.processChunk(value, receivedLength, contentLength);
+              await parser.processChunk(value, decodedLength, compression ? 0 : contentLength);
             }
             
-            if (contentLength > 0 && options.onProgress && !aborted) {
-              options.onProgress(receivedLength, contentLength, url, parser);
+            if (contentLength > 0 && options.onProgress && !aborted && !parallel) {
+              options.onProgress(receivedLength, contentLength, url, parser, decodedLength);
             }
 
             if (!parserResolved && !aborted && parser && parser.verification()) {
               parserResolved = true;
-              resolve({ parser, cancel });
+              resolve({ parser, cancel, pause, resume, isPaused, fromCache, requestError });
             }
           }
 
@@ -114,6 +612,9 @@ export class StreamLoader {
             options.onComplete(url);
           }
         } catch (e) {
+          if (cacheWriter) {
+            cacheWriter.abort();
+          }
           if (aborted) {
             return;
           }
@@ -122,6 +623,9 @@ export class StreamLoader {
           }
           reject(e);
         } finally {
+          if (options.signal) {
+            options.signal.removeEventListener('abort', abortBySignal);
+          }
           if (reader && !aborted) {
             try {
               reader.releaseLock();
@@ -3,18 +3,44 @@
  * 
  * Supports progressive loading and rendering of Gaussian Splat files.
  * Parses header first, then streams vertex data as it arrives.
+ * By default decoding and texture packing run in PlyDecodeWorker, and the
+ * main thread only copies ready-to-upload ranges into the primitive.
+ * PLY meshes can be handed over to a StreamingPlyMeshParser (see options.onMesh).
  */
 
-import { PlyStreamParser } from './PlyStreamParser';
+import { PlyMode, PlyStreamParser } from './PlyStreamParser';
+import { StreamingPlyMeshParser } from './StreamingPlyMeshParser';
 
 export class StreamingGaussianSplatParser {
-    constructor() {
+    /**
+     * @param {Object} [options] Parser options
+     * @param {Function} [options.onElementParsed] Receives (elementName, values, rowIndex) for non-vertex PLY elements
+     * @param {boolean} [options.useWorker=true] Decode in a Web Worker (falls back to the main thread when Workers are unavailable)
+     * @param {number} [options.pointSize] World-space point size for point-cloud PLYs (x/y/z plus optional
+     *   red/green/blue); estimated from the point spacing when omitted
+     * @param {Function} [options.onMesh] Called with the header when the PLY turns out to be a mesh (it has faces).
+     *   Return a PlyMeshPrimitive to stream the mesh into it instead of the splat primitive, which then
+     *   receives nothing; return nothing to load the vertices as splats as before
+     */
+    constructor(options = {}) {
+      this._onElementParsed = options.onElementParsed || null;
+      this._pointSize = options.pointSize;
+      this._onMesh = options.onMesh || null;
+      this._meshParser = null;
+      this._meshReplay = null; // Resolves once the head chunks went through the mesh parser
+      this._headChunks = this._onMesh ? [] : null; // Replayed into the mesh parser once a mesh header is seen
+      this._useWorker = (options.useWorker ?? true) && typeof Worker !== 'undefined';
+      this._worker = null;
+      this._workerProgress = { processed: 0, total: 0, percentage: 0 };
+      this._workerError = null;
+      this._workerDone = null;
       this._streamParser = null;
       this._primitive = null;
       this._chunksPerBatch = 10000;
       this._headerParsed = false;
       this._onHeaderParsed = null;
       this._cancelled = false;
+      this._paused = false;
     }
 
     /**
@@ -32,11 +58,17 @@ export class StreamingGaussianSplatParser {
      */
     setPrimitive(primitive) {
       this._primitive = primitive;
+
+      if (this._useWorker) {
+        this._createWorker();
+        return;
+      }
       
       this._streamParser = new PlyStreamParser(
         (header) => {
+          if (this._switchToMesh(header)) return;
           if (this._primitive) {
-            this._primitive.initCount(header.vertexCount);
+            this._primitive.initCount(header.vertexCount, undefined, header.shDegree);
           }
           this._headerParsed = true;
           if (this._onHeaderParsed) {
@@ -48,10 +80,127 @@ export class StreamingGaussianSplatParser {
             this._primitive.setSplatData(index, splatData);
           }
         },
-        this._chunksPerBatch
+        this._chunksPerBatch,
+        this._onElementParsed,
+        { pointSize: this._pointSize }
       );
     }
 
+    /**
+     * @private
+     */
+    _createWorker() {
+      this._worker = new Worker(new URL('./PlyDecodeWorker.js', import.meta.url), { type: 'module' });
+      this._worker.onmessage = (ev) => this._onWorkerMessage(ev.data);
+      this._worker.onerror = (ev) => {
+        ev.preventDefault();
+        this._onWorkerError(new Error(`PLY: Decode worker failed: ${ev.message}`));
+      };
+      // Targets that share a primitive between sources (see MultiSourceLoader) fix the
+      // packed SH degree and need their transform applied before packing
+      this._worker.postMessage({
+        type: 'init',
+        maxSHDegree: this._primitive.maxSHDegree,
+        shDegree: this._primitive.packedSHDegree,
+        transform: this._primitive.splatTransform,
+        batchSize: this._chunksPerBatch,
+        pointSize: this._pointSize,
+        forwardElements: !!this._onElementParsed,
+      });
+    }
+
+    /**
+     * @private
+     */
+    _onWorkerMessage(msg) {
+      if (this._cancelled) return;
+
+      switch (msg.type) {
+        case 'header':
+          if (this._switchToMesh(msg.header)) break;
+          this._primitive.initCount(msg.header.vertexCount, undefined, msg.header.shDegree);
+          this._workerProgress = { processed: 0, total: msg.header.vertexCount, percentage: 0 };
+          this._headerParsed = true;
+          if (this._onHeaderParsed) {
+            this._onHeaderParsed();
+          }
+          break;
+        case 'splats':
+          this._primitive.setPackedSplats(msg.start, msg.packed);
+          this._workerProgress = msg.progress;
+          break;
+        case 'element':
+          if (this._onElementParsed) {
+            this._onElementParsed(msg.name, msg.values, msg.row);
+          }
+          break;
+        case 'done':
+          this._workerProgress = msg.progress;
+          if (this._workerDone) {
+            this._workerDone.resolve();
+          }
+          break;
+        case 'error':
+          this._onWorkerError(new Error(msg.message));
+          break;
+      }
+    }
+
+    /**
+     * Hand the stream over to a StreamingPlyMeshParser if the header describes a mesh
+     * and onMesh provides a primitive for it.
+     * @returns {boolean} True if the mesh parser took over
+     * @private
+     */
+    _switchToMesh(header) {
+      const headChunks = this._headChunks;
+      this._headChunks = null;
+      if (!headChunks || header.mode !== PlyMode.Mesh) return false;
+
+      const meshPrimitive = this._onMesh(header);
+      if (!meshPrimitive) return false;
+
+      if (this._streamParser) {
+        this._streamParser.cancel();
+        this._streamParser = null;
+      }
+      if (this._worker) {
+        this._worker.terminate();
+        this._worker = null;
+      }
+      if (this._workerDone) {
+        // finalizeStream() continues with the mesh parser
+        this._workerDone.resolve();
+      }
+
+      this._meshParser = new StreamingPlyMeshParser({ onElementParsed: this._onElementParsed });
+      this._meshParser.initStream(0, this._onHeaderParsed);
+      this._meshParser.setPrimitive(meshPrimitive);
+      if (this._paused) {
+        this._meshParser.pause();
+      }
+      // Errors of the mesh header surface from the next processChunk() or finalizeStream()
+      this._meshReplay = (async () => {
+        for (const chunk of headChunks) {
+          await this._meshParser.processChunk(chunk);
+        }
+      })();
+      this._meshReplay.catch(() => {
+        // Rethrown when awaited
+      });
+      return true;
+    }
+
+    /**
+     * @private
+     */
+    _onWorkerError(error) {
+      this._workerError = error;
+      if (this._workerDone) {
+        this._workerDone.reject(error);
+      }
+    }
+
     /**
      * Process incoming data chunk
      * @param {Uint8Array} chunk Data chunk
@@ -59,8 +208,28 @@ export class StreamingGaussianSplatParser {
      * @param {number} contentLength Total content length (if known)
      */
     async processChunk(chunk, receivedLength, contentLength) {
-      if (this._cancelled || !this._streamParser) return;
-      this._streamParser.processChunk(chunk);
+      if (this._workerError) throw this._workerError;
+      if (this._cancelled) return;
+
+      if (this._meshParser) {
+        await this._meshReplay;
+        return this._meshParser.processChunk(chunk, receivedLength, contentLength);
+      }
+      if (this._headChunks) {
+        this._headChunks.push(chunk.slice());
+      }
+
+      if (this._worker) {
+        // Copy so the caller keeps its buffer, then hand the copy over without another copy
+        const data = chunk.slice();
+        this._worker.postMessage({ type: 'chunk', data }, [data.buffer]);
+        return;
+      }
+
+      if (!this._streamParser) return;
+      await this._streamParser.processChunk(chunk);
+      // The header may have handed the stream over to the mesh parser
+      await this._meshReplay;
     }
 
     /**
@@ -68,9 +237,48 @@ export class StreamingGaussianSplatParser {
      */
     cancel() {
       this._cancelled = true;
+      if (this._meshParser) {
+        this._meshParser.cancel();
+      }
       if (this._streamParser) {
         this._streamParser.cancel();
       }
+      if (this._worker) {
+        this._worker.terminate();
+        this._worker = null;
+      }
+      if (this._workerDone) {
+        this._workerDone.resolve();
+      }
+    }
+
+    /**
+     * Suspend parsing; chunks passed in meanwhile are buffered and splats already
+     * handed to the primitive stay
+     */
+    pause() {
+      this._paused = true;
+      if (this._meshParser) {
+        this._meshParser.pause();
+      } else if (this._worker) {
+        this._worker.postMessage({ type: 'pause' });
+      } else if (this._streamParser) {
+        this._streamParser.pause();
+      }
+    }
+
+    /**
+     * Continue parsing after pause()
+     */
+    resume() {
+      this._paused = false;
+      if (this._meshParser) {
+        this._meshParser.resume();
+      } else if (this._worker) {
+        this._worker.postMessage({ type: 'resume' });
+      } else if (this._streamParser) {
+        this._streamParser.resume();
+      }
     }
 
     /**
@@ -84,13 +292,43 @@ export class StreamingGaussianSplatParser {
      * Finalize streaming parsing
      */
     async finalizeStream() {
-      // Finalize is handled by the stream parser automatically
+      if (this._cancelled) return;
+
+      if (this._meshParser) {
+        await this._meshReplay;
+        return this._meshParser.finalizeStream();
+      }
+
+      if (this._worker) {
+        if (this._workerError) throw this._workerError;
+        // Resolve once every splat has been decoded and handed to the primitive
+        await new Promise((resolve, reject) => {
+          this._workerDone = { resolve, reject };
+          this._worker.postMessage({ type: 'finalize' });
+        });
+        if (this._meshParser) {
+          await this._meshReplay;
+          return this._meshParser.finalizeStream();
+        }
+        this._worker.terminate();
+        this._worker = null;
+        return;
+      }
+
+      if (!this._streamParser) return;
+      this._streamParser.finalize();
     }
 
     /**
      * Get parsing progress
      */
     getProgress() {
+      if (this._meshParser) {
+        return this._meshParser.getProgress();
+      }
+      if (this._useWorker) {
+        return this._workerProgress;
+      }
       if (this._streamParser) {
         return this._streamParser.getProgress();
       }
@@ -101,6 +339,9 @@ export class StreamingGaussianSplatParser {
      * Check if parser is ready (header parsed)
      */
     verification() {
+      if (this._meshParser) {
+        return this._meshParser.verification();
+      }
       return this._headerParsed && !!this._primitive;
     }
   }
@@ -0,0 +1,428 @@
+/**
+ * Streaming .ksplat Parser
+ *
+ * Parses the sectioned SplatBuffer format written by the mkkellogg GaussianSplats3D tooling
+ * (version 0.1+, compression levels 0-2, SH degree up to 2).
+ *
+ * Layout: 4096-byte main header, maxSectionCount 1024-byte section headers, then each
+ * section's bucket metadata, bucket centers and maxSplatCount fixed-size splat records.
+ * Splats are pushed to the primitive as soon as their record has arrived.
+ */
+
+const MAIN_HEADER_SIZE = 4096;
+const SECTION_HEADER_SIZE = 1024;
+const SH_C0 = 0.28209479177387814;
+
+const CompressionLevels = {
+  0: {
+    bytesPerCenter: 12,
+    scaleOffset: 12,
+    rotationOffset: 24,
+    colorOffset: 40,
+    shOffset: 44,
+    bytesPerSHComponent: 4,
+    scaleRange: 1,
+  },
+  1: {
+    bytesPerCenter: 6,
+    scaleOffset: 6,
+    rotationOffset: 12,
+    colorOffset: 20,
+    shOffset: 24,
+    bytesPerSHComponent: 2,
+    scaleRange: 32767,
+  },
+  2: {
+    bytesPerCenter: 6,
+    scaleOffset: 6,
+    rotationOffset: 12,
+    colorOffset: 20,
+    shOffset: 24,
+    bytesPerSHComponent: 1,
+    scaleRange: 32767,
+  },
+};
+
+const SHComponentsForDegree = [0, 9, 24];
+
+/**
+ * Convert a float16 (as uint16) to a number.
+ */
+function fromHalfFloat(h) {
+  const s = (h & 0x8000) ? -1 : 1;
+  const e = (h >> 10) & 0x1f;
+  const f = h & 0x03ff;
+  if (e === 0) return s * Math.pow(2, -14) * (f / 1024);
+  if (e === 0x1f) return f ? NaN : s * Infinity;
+  return s * Math.pow(2, e - 15) * (1 + f / 1024);
+}
+
+export class StreamingKSplatParser {
+    constructor() {
+      this._primitive = null;
+      this._onHeaderParsed = null;
+      this._header = null;
+      this._sections = [];
+      this._headerParsed = false;
+      this._cancelled = false;
+
+      this._buffer = new Uint8Array(MAIN_HEADER_SIZE);
+      this._length = 0; // Bytes filled in _buffer
+      this._cursor = 0; // Bytes consumed from _buffer
+
+      // Position in the section stream
+      this._sectionIndex = 0;
+      this._sectionPhase = 'buckets'; // 'buckets' | 'splats' | 'padding'
+      this._sectionSplat = 0;
+      this._paddingRemaining = 0;
+      this._processed = 0;
+    }
+
+    /**
+     * Initialize streaming parser
+     * @param {number} contentLength Total content length (if known)
+     * @param {Function} onHeaderParsed Optional callback when headers are parsed (parser is ready)
+     */
+    async initStream(contentLength, onHeaderParsed) {
+      this._onHeaderParsed = onHeaderParsed || null;
+    }
+
+    /**
+     * Set the primitive to receive parsed data
+     * @param {GSplatStreamPrimitive} primitive The primitive instance
+     */
+    setPrimitive(primitive) {
+      this._primitive = primitive;
+    }
+
+    /**
+     * Process incoming data chunk
+     * @param {Uint8Array} chunk Data chunk
+     * @param {number} receivedLength Total bytes received so far
+     * @param {number} contentLength Total content length (if known)
+     */
+    async processChunk(chunk, receivedLength, contentLength) {
+      if (this._cancelled) return;
+
+      // Drop consumed bytes before growing the buffer
+      if (this._cursor > 0 && this._length + chunk.length > this._buffer.length) {
+        this._buffer.copyWithin(0, this._cursor, this._length);
+        this._length -= this._cursor;
+        this._cursor = 0;
+      }
+      const needed = this._length + chunk.length;
+      if (needed > this._buffer.length) {
+        const newBuffer = new Uint8Array(Math.max(needed, this._buffer.length * 2));
+        newBuffer.set(this._buffer.subarray(0, this._length));
+        this._buffer = newBuffer;
+      }
+      this._buffer.set(chunk, this._length);
+      this._length += chunk.length;
+
+      this._parse();
+    }
+
+    /**
+     * @private
+     */
+    _available() {
+      return this._length - this._cursor;
+    }
+
+    /**
+     * @private
+     */
+    _view(byteLength) {
+      return new DataView(this._buffer.buffer, this._buffer.byteOffset + this._cursor, byteLength);
+    }
+
+    /**
+     * @private
+     */
+    _parse() {
+      if (!this._header) {
+        if (this._available() < MAIN_HEADER_SIZE) return;
+        this._parseMainHeader(this._view(MAIN_HEADER_SIZE));
+        this._cursor += MAIN_HEADER_SIZE;
+      }
+
+      if (!this._headerParsed) {
+        const size = SECTION_HEADER_SIZE * this._header.maxSectionCount;
+        if (this._available() < size) return;
+        this._parseSectionHeaders(this._view(size));
+        this._cursor += size;
+      }
+
+      while (this._sectionIndex < this._sections.length && !this._cancelled) {
+        const section = this._sections[this._sectionIndex];
+
+        if (this._sectionPhase === 'buckets') {
+          if (this._available() < section.bucketsStorageSizeBytes) return;
+          const view = this._view(section.bucketsStorageSizeBytes);
+          section.partiallyFilledBucketLengths = new Uint32Array(section.partiallyFilledBucketCount);
+          for (let i = 0; i < section.partiallyFilledBucketCount; i++) {
+            section.partiallyFilledBucketLengths[i] = view.getUint32(i * 4, true);
+          }
+          const centersBase = section.partiallyFilledBucketCount * 4;
+          section.bucketCenters = new Float32Array(section.bucketCount * 3);
+          for (let i = 0; i < section.bucketCount * 3; i++) {
+            section.bucketCenters[i] = view.getFloat32(centersBase + i * 4, true);
+          }
+          this._cursor += section.bucketsStorageSizeBytes;
+          this._sectionPhase = 'splats';
+          this._sectionSplat = 0;
+          this._bucketIndex = 0;
+          this._bucketEnd = this._bucketLength(section, 0);
+        }
+
+        if (this._sectionPhase === 'splats') {
+          while (this._sectionSplat < section.splatCount && !this._cancelled) {
+            if (this._available() < section.bytesPerSplat) return;
+            const splatData = this._decodeSplat(section, this._view(section.bytesPerSplat));
+            this._cursor += section.bytesPerSplat;
+            if (this._primitive) {
+              this._primitive.setSplatData(this._processed, splatData);
+            }
+            this._processed++;
+            this._sectionSplat++;
+          }
+          this._sectionPhase = 'padding';
+          this._paddingRemaining = (section.maxSplatCount - section.splatCount) * section.bytesPerSplat;
+        }
+
+        if (this._sectionPhase === 'padding') {
+          const skip = Math.min(this._paddingRemaining, this._available());
+          this._cursor += skip;
+          this._paddingRemaining -= skip;
+          if (this._paddingRemaining > 0) return;
+          this._sectionIndex++;
+          this._sectionPhase = 'buckets';
+        }
+      }
+    }
+
+    /**
+     * @private
+     */
+    _parseMainHeader(view) {
+      const versionMajor = view.getUint8(0);
+      const versionMinor = view.getUint8(1);
+      if (versionMajor !== 0 || versionMinor < 1) {
+        throw new Error(`KSPLAT: Unsupported version: ${versionMajor}.${versionMinor}`);
+      }
+
+      const compressionLevel = view.getUint16(20, true);
+      if (!CompressionLevels[compressionLevel]) {
+        throw new Error(`KSPLAT: Unsupported compression level: ${compressionLevel}`);
+      }
+
+      let minSH = view.getFloat32(36, true);
+      let maxSH = view.getFloat32(40, true);
+      if (!(maxSH > minSH)) {
+        minSH = -1.5;
+        maxSH = 1.5;
+      }
+
+      this._header = {
+        versionMajor,
+        versionMinor,
+        maxSectionCount: view.getUint32(4, true),
+        sectionCount: view.getUint32(8, true),
+        maxSplatCount: view.getUint32(12, true),
+        splatCount: view.getUint32(16, true),
+        compressionLevel,
+        sceneCenter: [view.getFloat32(24, true), view.getFloat32(28, true), view.getFloat32(32, true)],
+        minSphericalHarmonicsCoeff: minSH,
+        maxSphericalHarmonicsCoeff: maxSH,
+      };
+    }
+
+    /**
+     * @private
+     */
+    _parseSectionHeaders(view) {
+      const level = CompressionLevels[this._header.compressionLevel];
+      let shDegree = 0;
+
+      for (let i = 0; i < this._header.sectionCount; i++) {
+        const base = i * SECTION_HEADER_SIZE;
+        const splatCount = view.getUint32(base, true);
+        const maxSplatCount = view.getUint32(base + 4, true);
+        const bucketSize = view.getUint32(base + 8, true);
+        const bucketCount = view.getUint32(base + 12, true);
+        const bucketBlockSize = view.getFloat32(base + 16, true);
+        const bucketStorageSizeBytes = view.getUint16(base + 20, true);
+        const compressionScaleRange = view.getUint32(base + 24, true) || level.scaleRange;
+        const fullBucketCount = view.getUint32(base + 32, true);
+        const partiallyFilledBucketCount = view.getUint32(base + 36, true);
+        const sphericalHarmonicsDegree = view.getUint16(base + 40, true);
+
+        if (sphericalHarmonicsDegree >= SHComponentsForDegree.length) {
+          throw new Error(`KSPLAT: Unsupported SH degree: ${sphericalHarmonicsDegree}`);
+        }
+        shDegree = Math.max(shDegree, sphericalHarmonicsDegree);
+
+        const shComponents = SHComponentsForDegree[sphericalHarmonicsDegree];
+        this._sections.push({
+          splatCount,
+          maxSplatCount,
+          bucketSize,
+          bucketCount,
+          fullBucketCount,
+          partiallyFilledBucketCount,
+          bucketsStorageSizeBytes: bucketStorageSizeBytes * bucketCount + partiallyFilledBucketCount * 4,
+          compressionScaleRange,
+          compressionScaleFactor: (bucketBlockSize / 2.0) / compressionScaleRange,
+          sphericalHarmonicsDegree,
+          shComponents,
+          bytesPerSplat: level.shOffset + shComponents * level.bytesPerSHComponent,
+        });
+      }
+
+      if (this._primitive && this._header.splatCount > 0) {
+        this._primitive.initCount(this._header.splatCount, undefined, shDegree);
+      }
+      this._headerParsed = true;
+      if (this._onHeaderParsed) {
+        this._onHeaderParsed();
+      }
+    }
+
+    /**
+     * Number of splats in a bucket: full buckets hold bucketSize, partially filled ones list their length.
+     * @private
+     */
+    _bucketLength(section, bucketIndex) {
+      if (bucketIndex < section.fullBucketCount) {
+        return section.bucketSize;
+      }
+      return section.partiallyFilledBucketLengths[bucketIndex - section.fullBucketCount] || 0;
+    }
+
+    /**
+     * Decode one splat record into the layout used by GSplatStreamPrimitive.setSplatData.
+     * Splats are read in order, so the bucket is tracked incrementally.
+     * @private
+     */
+    _decodeSplat(section, view) {
+      const level = CompressionLevels[this._header.compressionLevel];
+      const compressed = this._header.compressionLevel > 0;
+
+      const position = new Array(3);
+      const scale = new Array(3);
+      if (compressed) {
+        while (this._sectionSplat >= this._bucketEnd && this._bucketIndex < section.bucketCount - 1) {
+          this._bucketIndex++;
+          this._bucketEnd += this._bucketLength(section, this._bucketIndex);
+        }
+        const bucket = this._bucketIndex * 3;
+        for (let k = 0; k < 3; k++) {
+          const c = view.getUint16(k * 2, true);
+          position[k] = (c - section.compressionScaleRange) * section.compressionScaleFactor + section.bucketCenters[bucket + k];
+          scale[k] = Math.log(Math.max(fromHalfFloat(view.getUint16(level.scaleOffset + k * 2, true)), 1e-12));
+        }
+      } else {
+        for (let k = 0; k < 3; k++) {
+          position[k] = view.getFloat32(k * 4, true);
+          scale[k] = Math.log(Math.max(view.getFloat32(level.scaleOffset + k * 4, true), 1e-12));
+        }
+      }
+
+      // Stored as w, x, y, z
+      const rot = new Array(4);
+      for (let k = 0; k < 4; k++) {
+        rot[k] = compressed
+          ? fromHalfFloat(view.getUint16(level.rotationOffset + k * 2, true))
+          : view.getFloat32(level.rotationOffset + k * 4, true);
+      }
+
+      const alpha = view.getUint8(level.colorOffset + 3) / 255;
+      let opacity;
+      if (alpha >= 1) {
+        opacity = 20;
+      } else if (alpha <= 0) {
+        opacity = -20;
+      } else {
+        opacity = -Math.log(1 / alpha - 1);
+      }
+
+      // Channel-major [R0..Rn, G0..Gn, B0..Bn] with DC first; ksplat interleaves RGB per coefficient
+      const restPerColor = section.shComponents / 3;
+      const coeffsPerColor = 1 + restPerColor;
+      const coeffs = new Float32Array(coeffsPerColor * 3);
+      const minSH = this._header.minSphericalHarmonicsCoeff;
+      const maxSH = this._header.maxSphericalHarmonicsCoeff;
+      for (let ch = 0; ch < 3; ch++) {
+        coeffs[ch * coeffsPerColor] = (view.getUint8(level.colorOffset + ch) / 255 - 0.5) / SH_C0;
+        for (let k = 0; k < restPerColor; k++) {
+          const component = k * 3 + ch;
+          let value;
+          if (level.bytesPerSHComponent === 4) {
+            value = view.getFloat32(level.shOffset + component * 4, true);
+          } else if (level.bytesPerSHComponent === 2) {
+            value = fromHalfFloat(view.getUint16(level.shOffset + component * 2, true));
+          } else {
+            value = minSH + (maxSH - minSH) * (view.getUint8(level.shOffset + component) / 255);
+          }
+          coeffs[ch * coeffsPerColor + 1 + k] = value;
+        }
+      }
+
+      return {
+        position,
+        scale,
+        rotation: [rot[1], rot[2], rot[3], rot[0]],
+        opacity,
+        sh: {
+          order: section.sphericalHarmonicsDegree,
+          coeffs,
+        },
+      };
+    }
+
+    /**
+     * Cancel streaming loading
+     */
+    cancel() {
+      this._cancelled = true;
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Finalize streaming parsing
+     */
+    async finalizeStream() {
+      if (this._cancelled) return;
+      if (!this._headerParsed) {
+        throw new Error('KSPLAT: Stream ended before the section headers');
+      }
+      if (this._processed < this._header.splatCount) {
+        throw new Error(`KSPLAT: Truncated data (${this._processed}/${this._header.splatCount} splats)`);
+      }
+    }
+
+    /**
+     * Get parsing progress
+     */
+    getProgress() {
+      const total = this._header?.splatCount || 0;
+      return {
+        processed: this._processed,
+        total,
+        percentage: total > 0 ? (this._processed / total) * 100 : 0,
+      };
+    }
+
+    /**
+     * Check if parser is ready (headers parsed)
+     */
+    verification() {
+      return this._headerParsed && !!this._primitive;
+    }
+  }
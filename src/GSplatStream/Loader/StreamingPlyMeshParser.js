@@ -0,0 +1,176 @@
+/**
+ * Streaming PLY Mesh Parser
+ *
+ * Streams a PLY mesh (a `vertex` element plus a `face` element of vertex index
+ * lists) into a PlyMeshPrimitive. Vertex colors (red/green/blue) and
+ * texture coordinates, per vertex (u/v, s/t, texture_u/texture_v) or per face
+ * corner (`texcoord` lists), are passed through; polygons are triangulated as fans.
+ * Faces are expected after the vertices, as every common exporter writes them.
+ */
+
+import { PlyStreamParser } from './PlyStreamParser';
+
+export class StreamingPlyMeshParser {
+    /**
+     * @param {Object} [options] Parser options
+     * @param {Function} [options.onElementParsed] Also receives (elementName, values, rowIndex) for non-vertex PLY elements
+     */
+    constructor(options = {}) {
+      this._onElementParsed = options.onElementParsed || null;
+      this._streamParser = null;
+      this._primitive = null;
+      this._header = null;
+      this._faceIndex = -1;
+      this._texcoordIndex = -1;
+      this._facesParsed = 0;
+      this._chunksPerBatch = 10000;
+      this._headerParsed = false;
+      this._onHeaderParsed = null;
+      this._cancelled = false;
+    }
+
+    /**
+     * Initialize streaming parser
+     * @param {number} contentLength Total content length (if known)
+     * @param {Function} onHeaderParsed Optional callback when header is parsed (parser is ready)
+     */
+    async initStream(contentLength, onHeaderParsed) {
+      this._onHeaderParsed = onHeaderParsed || null;
+    }
+
+    /**
+     * Set the primitive to receive parsed data
+     * @param {PlyMeshPrimitive} primitive The primitive instance
+     */
+    setPrimitive(primitive) {
+      this._primitive = primitive;
+
+      this._streamParser = new PlyStreamParser(
+        (header) => this._onHeader(header),
+        (vertexData, index) => {
+          if (this._primitive) {
+            this._primitive.setVertex(index, vertexData);
+          }
+        },
+        this._chunksPerBatch,
+        (name, values, row) => this._onElement(name, values, row)
+      );
+    }
+
+    /**
+     * @private
+     */
+    _onHeader(header) {
+      const faceProperties = header.faceProperties || [];
+      this._faceIndex = faceProperties.findIndex(
+        (p) => p.countType && (p.name === 'vertex_indices' || p.name === 'vertex_index')
+      );
+      this._texcoordIndex = faceProperties.findIndex((p) => p.countType && p.name === 'texcoord');
+      if (header.faceCount > 0 && this._faceIndex < 0) {
+        throw new Error('PLY: Missing vertex_indices list property for face');
+      }
+      this._header = header;
+
+      if (this._primitive) {
+        this._primitive.initCount(header.vertexCount, header.faceCount);
+      }
+      this._headerParsed = true;
+      if (this._onHeaderParsed) {
+        this._onHeaderParsed();
+      }
+    }
+
+    /**
+     * @private
+     */
+    _onElement(name, values, row) {
+      if (name === 'face' && this._primitive) {
+        const texcoords = this._texcoordIndex >= 0 ? values[this._texcoordIndex] : undefined;
+        this._primitive.addFace(values[this._faceIndex], texcoords);
+        this._facesParsed = row + 1;
+      }
+      if (this._onElementParsed) {
+        this._onElementParsed(name, values, row);
+      }
+    }
+
+    /**
+     * Process incoming data chunk
+     * @param {Uint8Array} chunk Data chunk
+     * @param {number} receivedLength Total bytes received so far
+     * @param {number} contentLength Total content length (if known)
+     */
+    async processChunk(chunk, receivedLength, contentLength) {
+      if (this._cancelled || !this._streamParser) return;
+      await this._streamParser.processChunk(chunk);
+    }
+
+    /**
+     * Cancel streaming loading
+     */
+    cancel() {
+      this._cancelled = true;
+      if (this._streamParser) {
+        this._streamParser.cancel();
+      }
+    }
+
+    /**
+     * Suspend parsing; chunks passed in meanwhile are buffered
+     */
+    pause() {
+      if (this._streamParser) {
+        this._streamParser.pause();
+      }
+    }
+
+    /**
+     * Continue parsing after pause()
+     */
+    resume() {
+      if (this._streamParser) {
+        this._streamParser.resume();
+      }
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Finalize streaming parsing, resolving once every face has been handed to the primitive
+     */
+    async finalizeStream() {
+      if (this._cancelled || !this._streamParser) return;
+      this._streamParser.finalize();
+      while (this._streamParser.isParsing() && !this._cancelled) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+    }
+
+    /**
+     * Get parsing progress; vertices and faces both count as parsed rows
+     */
+    getProgress() {
+      if (!this._header) {
+        return { processed: 0, total: 0, percentage: 0 };
+      }
+      const total = this._header.vertexCount + this._header.faceCount;
+      const processed = this._streamParser.getProgress().processed + this._facesParsed;
+      return {
+        processed,
+        total,
+        percentage: total > 0 ? (processed / total) * 100 : 0,
+      };
+    }
+
+    /**
+     * Check if parser is ready (header parsed)
+     */
+    verification() {
+      return this._headerParsed && !!this._primitive;
+    }
+  }
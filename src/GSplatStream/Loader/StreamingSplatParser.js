@@ -0,0 +1,187 @@
+/**
+ * Streaming .splat Parser
+ *
+ * Parses the antimatter15 .splat format: a headerless array of 32-byte rows
+ * (float32 position, float32 scale, RGBA8 color, uint8 quaternion w/x/y/z).
+ * The splat count is derived from Content-Length; without it the primitive
+ * grows as rows arrive.
+ */
+
+export const SPLAT_ROW_LENGTH = 32;
+
+const SH_C0 = 0.28209479177387814;
+
+/**
+ * Decode one .splat row into the splat data layout used by GSplatStreamPrimitive.setSplatData
+ * (log scales, logit opacity, SH DC color).
+ * @param {DataView} view Source view
+ * @param {number} offset Byte offset of the row
+ * @returns {object} Splat data
+ */
+export function decodeSplatRow(view, offset) {
+  const alpha = view.getUint8(offset + 27) / 255;
+  let opacity;
+  if (alpha >= 1) {
+    opacity = 20;
+  } else if (alpha <= 0) {
+    opacity = -20;
+  } else {
+    opacity = -Math.log(1 / alpha - 1);
+  }
+
+  const logScale = (s) => Math.log(Math.max(s, 1e-12));
+  const quat = (o) => (view.getUint8(offset + o) - 128) / 128;
+
+  return {
+    position: [
+      view.getFloat32(offset + 0, true),
+      view.getFloat32(offset + 4, true),
+      view.getFloat32(offset + 8, true),
+    ],
+    scale: [
+      logScale(view.getFloat32(offset + 12, true)),
+      logScale(view.getFloat32(offset + 16, true)),
+      logScale(view.getFloat32(offset + 20, true)),
+    ],
+    rotation: [quat(29), quat(30), quat(31), quat(28)],
+    opacity,
+    sh: {
+      order: 0,
+      coeffs: new Float32Array([
+        (view.getUint8(offset + 24) / 255 - 0.5) / SH_C0,
+        (view.getUint8(offset + 25) / 255 - 0.5) / SH_C0,
+        (view.getUint8(offset + 26) / 255 - 0.5) / SH_C0,
+      ]),
+    },
+  };
+}
+
+export class StreamingSplatParser {
+    constructor() {
+      this._primitive = null;
+      this._totalCount = 0;
+      this._processed = 0;
+      this._pending = new Uint8Array(SPLAT_ROW_LENGTH);
+      this._pendingLength = 0;
+      this._trailingBytes = 0; // Bytes after the last whole row, dropped when the stream ends
+      this._headerParsed = false;
+      this._cancelled = false;
+    }
+
+    /**
+     * Initialize streaming parser
+     * @param {number} contentLength Total content length; the format has no header, so without it
+     *   the primitive is made growable and sized as rows arrive
+     * @param {Function} onHeaderParsed Optional callback when the parser is ready
+     */
+    async initStream(contentLength, onHeaderParsed) {
+      this._totalCount = contentLength > 0 ? Math.floor(contentLength / SPLAT_ROW_LENGTH) : 0;
+      if (this._primitive) {
+        if (this._totalCount > 0) {
+          this._primitive.initCount(this._totalCount);
+        } else {
+          this._primitive.growable = true;
+        }
+      }
+      this._headerParsed = true;
+      if (onHeaderParsed) {
+        onHeaderParsed();
+      }
+    }
+
+    /**
+     * Set the primitive to receive parsed data
+     * @param {GSplatStreamPrimitive} primitive The primitive instance
+     */
+    setPrimitive(primitive) {
+      this._primitive = primitive;
+    }
+
+    /**
+     * Process incoming data chunk
+     * @param {Uint8Array} chunk Data chunk
+     * @param {number} receivedLength Total bytes received so far
+     * @param {number} contentLength Total content length (if known)
+     */
+    async processChunk(chunk, receivedLength, contentLength) {
+      if (this._cancelled || !this._primitive) return;
+
+      let offset = 0;
+
+      // Complete the row split across the previous chunk boundary
+      if (this._pendingLength > 0) {
+        const take = Math.min(SPLAT_ROW_LENGTH - this._pendingLength, chunk.length);
+        this._pending.set(chunk.subarray(0, take), this._pendingLength);
+        this._pendingLength += take;
+        offset = take;
+        if (this._pendingLength < SPLAT_ROW_LENGTH) return;
+        this._emit(new DataView(this._pending.buffer), 0);
+        this._pendingLength = 0;
+      }
+
+      const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      while (offset + SPLAT_ROW_LENGTH <= chunk.length && !this._cancelled) {
+        this._emit(view, offset);
+        offset += SPLAT_ROW_LENGTH;
+      }
+
+      if (offset < chunk.length) {
+        this._pending.set(chunk.subarray(offset), 0);
+        this._pendingLength = chunk.length - offset;
+      }
+    }
+
+    /**
+     * @private
+     */
+    _emit(view, offset) {
+      if (this._totalCount > 0 && this._processed >= this._totalCount) return;
+      this._primitive.setSplatData(this._processed, decodeSplatRow(view, offset));
+      this._processed++;
+    }
+
+    /**
+     * Cancel streaming loading
+     */
+    cancel() {
+      this._cancelled = true;
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Finalize streaming parsing. Bytes after the last whole row are dropped and
+     * reported as trailingBytes by getProgress().
+     */
+    async finalizeStream() {
+      this._trailingBytes = this._pendingLength;
+      this._pendingLength = 0;
+    }
+
+    /**
+     * Get parsing progress
+     * @returns {{processed: number, total: number, percentage: number, trailingBytes: number}}
+     */
+    getProgress() {
+      // Unknown length: the total grows with the rows received
+      const total = this._totalCount || this._processed;
+      return {
+        processed: this._processed,
+        total,
+        percentage: this._totalCount > 0 ? (this._processed / total) * 100 : 0,
+        trailingBytes: this._trailingBytes,
+      };
+    }
+
+    /**
+     * Check if parser is ready (splat count known)
+     */
+    verification() {
+      return this._headerParsed && !!this._primitive;
+    }
+  }
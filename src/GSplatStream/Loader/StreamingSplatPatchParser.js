@@ -0,0 +1,230 @@
+/**
+ * Streaming Splat Patch Parser
+ *
+ * Streams a patch into a scene already loaded in a GSplatStreamPrimitive, so a
+ * rescanned area can be corrected without reloading the whole file. A patch is
+ * a Gaussian splat (or point-cloud) PLY whose header says what to clear:
+ *
+ *   comment splat_patch
+ *   comment remove <start> <end>                                   [start, end) index range
+ *   comment remove_box <minX> <minY> <minZ> <maxX> <maxY> <maxZ>   splats centered in the box
+ *
+ * Box coordinates are in the primitive's local frame. The cleared splats disappear
+ * when the header arrives; the patch's splats then fill the cleared slots in
+ * ascending index order and are appended after the last slot once those run out.
+ * Every other splat keeps its index, so later patches can still address it.
+ */
+
+import { PlyMode, PlyStreamParser } from './PlyStreamParser';
+
+/**
+ * Read the clear instructions from the header comments of a patch.
+ * @param {string[]} comments Header comments without the `comment ` prefix
+ * @returns {{ranges: Array<number[]>, boxes: Array<{min: number[], max: number[]}>}}
+ */
+export function parsePatchComments(comments) {
+  if (!comments.some((comment) => comment === 'splat_patch')) {
+    throw new Error('PLY: Not a splat patch (missing "comment splat_patch")');
+  }
+
+  const ranges = [];
+  const boxes = [];
+  for (const comment of comments) {
+    const [keyword, ...args] = comment.split(/\s+/);
+    if (keyword !== 'remove' && keyword !== 'remove_box') continue;
+
+    const values = args.map(Number);
+    if (keyword === 'remove') {
+      if (values.length !== 2 || !values.every(Number.isInteger) || values[0] < 0 || values[1] < values[0]) {
+        throw new Error(`PLY: Invalid patch range: ${comment}`);
+      }
+      ranges.push(values);
+    } else {
+      if (values.length !== 6 || !values.every(Number.isFinite)) {
+        throw new Error(`PLY: Invalid patch box: ${comment}`);
+      }
+      boxes.push({ min: values.slice(0, 3), max: values.slice(3) });
+    }
+  }
+  return { ranges, boxes };
+}
+
+export class StreamingSplatPatchParser {
+    /**
+     * @param {Object} [options] Parser options
+     * @param {number} [options.pointSize] World-space point size for point-cloud patches; estimated when omitted
+     */
+    constructor(options = {}) {
+      this._pointSize = options.pointSize;
+      this._streamParser = null;
+      this._primitive = null;
+      this._header = null;
+      this._slots = null; // Cleared slots, filled first
+      this._appendStart = 0;
+      this._chunksPerBatch = 10000;
+      this._headerParsed = false;
+      this._onHeaderParsed = null;
+      this._cancelled = false;
+
+      /**
+       * Number of splats the patch removed.
+       * @type {number}
+       */
+      this.removedCount = 0;
+
+      /**
+       * Primitive index of each splat of the patch, filled as they arrive.
+       * @type {Uint32Array|null}
+       */
+      this.indices = null;
+    }
+
+    /**
+     * Initialize streaming parser
+     * @param {number} contentLength Total content length (if known)
+     * @param {Function} onHeaderParsed Optional callback when header is parsed (parser is ready)
+     */
+    async initStream(contentLength, onHeaderParsed) {
+      this._onHeaderParsed = onHeaderParsed || null;
+    }
+
+    /**
+     * Set the primitive holding the scene to patch; it is made growable
+     * @param {GSplatStreamPrimitive} primitive The primitive instance
+     */
+    setPrimitive(primitive) {
+      this._primitive = primitive;
+      primitive.growable = true;
+
+      this._streamParser = new PlyStreamParser(
+        (header) => this._onHeader(header),
+        (splatData, index) => {
+          const target = index < this._slots.length ? this._slots[index] : this._appendStart + index - this._slots.length;
+          this._primitive.setSplatData(target, splatData);
+          this.indices[index] = target;
+        },
+        this._chunksPerBatch,
+        null,
+        { pointSize: this._pointSize }
+      );
+    }
+
+    /**
+     * @private
+     */
+    _onHeader(header) {
+      if (header.mode === PlyMode.Mesh) {
+        throw new Error('PLY: A splat patch cannot contain faces');
+      }
+      const { ranges, boxes } = parsePatchComments(header.comments);
+      const primitive = this._primitive;
+      const total = primitive.totalCount;
+
+      // Every slot in a cleared range is free afterwards, including ones that were already empty
+      const cleared = new Set();
+      for (const [start, end] of ranges) {
+        for (let i = start; i < Math.min(end, total); i++) {
+          cleared.add(i);
+        }
+      }
+      for (const { min, max } of boxes) {
+        for (const index of primitive.findSplatsInBox(min, max)) {
+          cleared.add(index);
+        }
+      }
+      this._slots = Uint32Array.from(cleared).sort();
+      if (this._slots.length > 0) {
+        this.removedCount = primitive.removeSplats(this._slots);
+      }
+
+      this._appendStart = total;
+      if (header.vertexCount > this._slots.length) {
+        primitive.resize(total + header.vertexCount - this._slots.length);
+      }
+      this.indices = new Uint32Array(header.vertexCount);
+      this._header = header;
+
+      this._headerParsed = true;
+      if (this._onHeaderParsed) {
+        this._onHeaderParsed();
+      }
+    }
+
+    /**
+     * Process incoming data chunk
+     * @param {Uint8Array} chunk Data chunk
+     * @param {number} receivedLength Total bytes received so far
+     * @param {number} contentLength Total content length (if known)
+     */
+    async processChunk(chunk, receivedLength, contentLength) {
+      if (this._cancelled || !this._streamParser) return;
+      await this._streamParser.processChunk(chunk);
+    }
+
+    /**
+     * Cancel streaming loading. Splats already written stay in the primitive.
+     */
+    cancel() {
+      this._cancelled = true;
+      if (this._streamParser) {
+        this._streamParser.cancel();
+      }
+    }
+
+    /**
+     * Suspend parsing; chunks passed in meanwhile are buffered
+     */
+    pause() {
+      if (this._streamParser) {
+        this._streamParser.pause();
+      }
+    }
+
+    /**
+     * Continue parsing after pause()
+     */
+    resume() {
+      if (this._streamParser) {
+        this._streamParser.resume();
+      }
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Finalize streaming parsing, resolving once every splat of the patch is in the
+     * primitive and uploaded (which re-sorts it)
+     */
+    async finalizeStream() {
+      if (this._cancelled || !this._streamParser) return;
+      this._streamParser.finalize();
+      while (this._streamParser.isParsing() && !this._cancelled) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      if (!this._cancelled && !this._primitive.isDestroyed()) {
+        this._primitive.flushUpdates();
+      }
+    }
+
+    /**
+     * Get parsing progress
+     */
+    getProgress() {
+      if (!this._header) {
+        return { processed: 0, total: 0, percentage: 0 };
+      }
+      return this._streamParser.getProgress();
+    }
+
+    /**
+     * Check if parser is ready (header parsed)
+     */
+    verification() {
+      return this._headerParsed && !!this._primitive;
+    }
+  }
@@ -0,0 +1,352 @@
+/**
+ * Streaming .spz Parser
+ *
+ * Parses Niantic .spz compressed Gaussian splats (versions 2 and 3).
+ * The gzip stream is inflated with DecompressionStream as chunks arrive.
+ * Attributes are stored column by column (positions, alphas, colors, scales,
+ * rotations, SH), so a splat is emitted once its last column has arrived.
+ * spz stores right-up-back (RUB) coordinates; splats are converted to the
+ * right-down-forward (RDF) frame of PLY and .splat files by negating y and z.
+ */
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_HEADER_LENGTH = 16;
+const SPZ_COLOR_SCALE = 0.15;
+
+// Sign of each higher-order SH coefficient after negating y and z (RUB to RDF)
+const SPZ_SH_FLIP = [-1, -1, 1, -1, 1, 1, -1, 1, -1, 1, -1, -1, 1, -1, 1];
+
+/**
+ * Number of higher-order SH coefficients per channel for an spz SH degree.
+ */
+function shDimForDegree(degree) {
+  return (degree + 1) * (degree + 1) - 1;
+}
+
+export class StreamingSpzParser {
+    constructor() {
+      /**
+       * .spz is a gzip stream inflated here, so StreamLoader passes it through compressed.
+       * @type {string}
+       */
+      this.compression = 'gzip';
+
+      this._primitive = null;
+      this._onHeaderParsed = null;
+      this._header = null;
+      this._headerParsed = false;
+      this._cancelled = false;
+
+      this._writer = null;
+      this._pump = null;
+      this._error = null;
+
+      this._headerBuffer = new Uint8Array(SPZ_HEADER_LENGTH);
+      this._data = null; // Whole decompressed payload, allocated once the header is known
+      this._received = 0; // Decompressed bytes received
+      this._processed = 0;
+    }
+
+    /**
+     * Initialize streaming parser
+     * @param {number} contentLength Total (compressed) content length (if known)
+     * @param {Function} onHeaderParsed Optional callback when header is parsed (parser is ready)
+     */
+    async initStream(contentLength, onHeaderParsed) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('SPZ: DecompressionStream is not supported in this browser');
+      }
+      this._onHeaderParsed = onHeaderParsed || null;
+
+      const stream = new DecompressionStream('gzip');
+      this._writer = stream.writable.getWriter();
+      this._pump = this._readDecompressed(stream.readable.getReader());
+    }
+
+    /**
+     * Set the primitive to receive parsed data
+     * @param {GSplatStreamPrimitive} primitive The primitive instance
+     */
+    setPrimitive(primitive) {
+      this._primitive = primitive;
+    }
+
+    /**
+     * Process incoming (compressed) data chunk
+     * @param {Uint8Array} chunk Data chunk
+     * @param {number} receivedLength Total bytes received so far
+     * @param {number} contentLength Total content length (if known)
+     */
+    async processChunk(chunk, receivedLength, contentLength) {
+      if (this._error) throw this._error;
+      if (this._cancelled || !this._writer) return;
+      await this._writer.write(chunk);
+    }
+
+    /**
+     * @private
+     */
+    async _readDecompressed(reader) {
+      try {
+        while (!this._cancelled) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          this._onDecompressed(value);
+        }
+      } catch (e) {
+        if (!this._cancelled) {
+          this._error = e;
+          // Unblock pending writes so processChunk can surface the error
+          reader.cancel(e).catch(() => {});
+        }
+      }
+    }
+
+    /**
+     * @private
+     */
+    _onDecompressed(bytes) {
+      let offset = 0;
+
+      if (!this._header) {
+        const take = Math.min(SPZ_HEADER_LENGTH - this._received, bytes.length);
+        this._headerBuffer.set(bytes.subarray(0, take), this._received);
+        this._received += take;
+        offset = take;
+        if (this._received < SPZ_HEADER_LENGTH) return;
+        this._parseHeader();
+      }
+
+      const remaining = this._data.length - this._received;
+      const take = Math.min(remaining, bytes.length - offset);
+      if (take > 0) {
+        this._data.set(bytes.subarray(offset, offset + take), this._received);
+        this._received += take;
+      }
+
+      this._emitAvailable();
+    }
+
+    /**
+     * @private
+     */
+    _parseHeader() {
+      const view = new DataView(this._headerBuffer.buffer);
+      const magic = view.getUint32(0, true);
+      const version = view.getUint32(4, true);
+      const numPoints = view.getUint32(8, true);
+      const shDegree = view.getUint8(12);
+      const fractionalBits = view.getUint8(13);
+      const flags = view.getUint8(14);
+
+      if (magic !== SPZ_MAGIC) {
+        throw new Error('SPZ: Invalid magic number');
+      }
+      if (version !== 2 && version !== 3) {
+        throw new Error(`SPZ: Unsupported version: ${version}`);
+      }
+      if (shDegree > 3) {
+        throw new Error(`SPZ: Unsupported SH degree: ${shDegree}`);
+      }
+
+      const shDim = shDimForDegree(shDegree);
+      const rotationBytes = version >= 3 ? 4 : 3;
+
+      const positions = SPZ_HEADER_LENGTH;
+      const alphas = positions + numPoints * 9;
+      const colors = alphas + numPoints;
+      const scales = colors + numPoints * 3;
+      const rotations = scales + numPoints * 3;
+      const sh = rotations + numPoints * rotationBytes;
+      const end = sh + numPoints * shDim * 3;
+
+      this._header = {
+        version,
+        numPoints,
+        shDegree,
+        shDim,
+        fractionalBits,
+        antialiased: (flags & 0x1) !== 0,
+        rotationBytes,
+        offsets: { positions, alphas, colors, scales, rotations, sh, end },
+      };
+
+      this._data = new Uint8Array(end);
+      this._data.set(this._headerBuffer, 0);
+      this._view = new DataView(this._data.buffer);
+
+      if (this._primitive && numPoints > 0) {
+        this._primitive.initCount(numPoints, undefined, shDegree);
+      }
+      this._headerParsed = true;
+      if (this._onHeaderParsed) {
+        this._onHeaderParsed();
+      }
+    }
+
+    /**
+     * Emit every splat whose last column has fully arrived.
+     * @private
+     */
+    _emitAvailable() {
+      if (!this._primitive || this._cancelled) return;
+
+      const { numPoints, shDim, rotationBytes, offsets } = this._header;
+      const lastStart = shDim > 0 ? offsets.sh : offsets.rotations;
+      const lastStride = shDim > 0 ? shDim * 3 : rotationBytes;
+      const available = this._received >= lastStart
+        ? Math.min(numPoints, Math.floor((this._received - lastStart) / lastStride))
+        : 0;
+
+      while (this._processed < available && !this._cancelled) {
+        this._primitive.setSplatData(this._processed, this._decodeSplat(this._processed));
+        this._processed++;
+      }
+    }
+
+    /**
+     * Decode splat i into the layout used by GSplatStreamPrimitive.setSplatData.
+     * @private
+     */
+    _decodeSplat(i) {
+      const data = this._data;
+      const { shDim, fractionalBits, rotationBytes, offsets } = this._header;
+
+      const position = new Array(3);
+      const scale = new Array(3);
+      const fixedScale = 1 / (1 << fractionalBits);
+      for (let k = 0; k < 3; k++) {
+        const p = offsets.positions + i * 9 + k * 3;
+        let fixed32 = data[p] | (data[p + 1] << 8) | (data[p + 2] << 16);
+        if (fixed32 & 0x800000) fixed32 |= 0xff000000;
+        position[k] = k === 0 ? fixed32 * fixedScale : -fixed32 * fixedScale;
+        scale[k] = data[offsets.scales + i * 3 + k] / 16 - 10;
+      }
+
+      const alpha = data[offsets.alphas + i] / 255;
+      let opacity;
+      if (alpha >= 1) {
+        opacity = 20;
+      } else if (alpha <= 0) {
+        opacity = -20;
+      } else {
+        opacity = -Math.log(1 / alpha - 1);
+      }
+
+      const rotation = rotationBytes === 4
+        ? this._unpackSmallestThree(offsets.rotations + i * 4)
+        : this._unpackXYZ(offsets.rotations + i * 3);
+      rotation[1] = -rotation[1];
+      rotation[2] = -rotation[2];
+
+      // Channel-major [R0..Rn, G0..Gn, B0..Bn] with DC first; spz stores SH coefficient-major, RGB innermost
+      const coeffsPerColor = shDim + 1;
+      const coeffs = new Float32Array(coeffsPerColor * 3);
+      for (let c = 0; c < 3; c++) {
+        coeffs[c * coeffsPerColor] = (data[offsets.colors + i * 3 + c] / 255 - 0.5) / SPZ_COLOR_SCALE;
+        for (let k = 0; k < shDim; k++) {
+          coeffs[c * coeffsPerColor + 1 + k] = SPZ_SH_FLIP[k] * (data[offsets.sh + (i * shDim + k) * 3 + c] - 128) / 128;
+        }
+      }
+
+      return {
+        position,
+        scale,
+        rotation,
+        opacity,
+        sh: { order: this._header.shDegree, coeffs },
+      };
+    }
+
+    /**
+     * Version 2 rotations: xyz as uint8, w reconstructed.
+     * @private
+     */
+    _unpackXYZ(offset) {
+      const x = this._data[offset] / 127.5 - 1;
+      const y = this._data[offset + 1] / 127.5 - 1;
+      const z = this._data[offset + 2] / 127.5 - 1;
+      const w = Math.sqrt(Math.max(0, 1 - (x * x + y * y + z * z)));
+      return [x, y, z, w];
+    }
+
+    /**
+     * Version 3 rotations: smallest-three encoding in a uint32
+     * (2-bit index of the largest component, 3 x (9-bit magnitude + sign)).
+     * @private
+     */
+    _unpackSmallestThree(offset) {
+      let comp = this._view.getUint32(offset, true);
+      const mask = (1 << 9) - 1;
+      const largest = comp >>> 30;
+      const rotation = [0, 0, 0, 0];
+      let sumSquares = 0;
+      for (let i = 3; i >= 0; i--) {
+        if (i !== largest) {
+          const mag = comp & mask;
+          const negative = (comp >>> 9) & 0x1;
+          comp = comp >>> 10;
+          let value = Math.SQRT1_2 * mag / mask;
+          if (negative) value = -value;
+          rotation[i] = value;
+          sumSquares += value * value;
+        }
+      }
+      rotation[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+      return rotation;
+    }
+
+    /**
+     * Cancel streaming loading
+     */
+    cancel() {
+      this._cancelled = true;
+      if (this._writer) {
+        this._writer.abort().catch(() => {
+          // Ignore abort errors
+        });
+      }
+    }
+
+    /**
+     * Check if loading is cancelled
+     */
+    isCancelled() {
+      return this._cancelled;
+    }
+
+    /**
+     * Finalize streaming parsing
+     */
+    async finalizeStream() {
+      if (this._cancelled || !this._writer) return;
+      await this._writer.close();
+      await this._pump;
+      if (this._error) throw this._error;
+      if (!this._header) {
+        throw new Error('SPZ: Stream ended before the header');
+      }
+      if (this._processed < this._header.numPoints) {
+        throw new Error(`SPZ: Truncated data (${this._processed}/${this._header.numPoints} splats)`);
+      }
+    }
+
+    /**
+     * Get parsing progress
+     */
+    getProgress() {
+      const total = this._header?.numPoints || 0;
+      return {
+        processed: this._processed,
+        total,
+        percentage: total > 0 ? (this._processed / total) * 100 : 0,
+      };
+    }
+
+    /**
+     * Check if parser is ready (header parsed)
+     */
+    verification() {
+      return this._headerParsed && !!this._primitive;
+    }
+  }
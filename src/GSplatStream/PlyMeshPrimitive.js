@@ -0,0 +1,427 @@
+import * as Cesium from 'cesium';
+import PlyMeshVS from './Shaders/PlyMeshVS';
+import PlyMeshFS from './Shaders/PlyMeshFS';
+
+const DEFAULT_COLOR = [204, 204, 204, 255];
+
+/**
+ * A primitive that renders a triangle mesh streamed from a PLY file, with
+ * per-vertex colors and/or one texture. Vertex positions are in local space and
+ * placed with modelMatrix, like GSplatStreamPrimitive. Reconstruction meshes
+ * carry baked lighting, so the mesh is drawn unlit and double-sided.
+ *
+ * @constructor
+ * @param {object} [options] An object with the following properties:
+ * @param {Cesium.Scene} [options.scene] Scene to request renders from (requestRenderMode)
+ * @param {boolean} [options.show=true] Whether to show the primitive
+ * @param {boolean} [options.debugShowBoundingVolume=false] Whether to show the bounding volume
+ */
+class PlyMeshPrimitive {
+  constructor(options) {
+    options = options ?? Cesium.Frozen.EMPTY_OBJECT;
+
+    this._isDestroyed = false;
+
+    /**
+     * Whether to show the primitive.
+     * @type {boolean}
+     */
+    this.show = options.show ?? true;
+
+    /**
+     * Whether to show the bounding volume for debugging.
+     * @type {boolean}
+     */
+    this.debugShowBoundingVolume = options.debugShowBoundingVolume ?? false;
+
+    this.modelMatrix = Cesium.Matrix4.IDENTITY.clone();
+    this.boundingSphere = undefined; // Local space
+
+    this.vertexCount = 0;
+    this.indexCount = 0;
+    this._vertexCapacity = 0;
+    this._indexCapacity = 0;
+    this._positions = new Float32Array(0); // xyz per vertex
+    this._colors = new Uint8Array(0); // RGBA8 per vertex
+    this._st = new Float32Array(0); // uv per vertex
+    this._indices = new Uint32Array(0);
+    this._hasTexCoords = false;
+
+    // Pending GPU uploads; a capacity change recreates the buffers instead
+    this._vertexDirty = [Infinity, 0];
+    this._indexDirty = [Infinity, 0];
+    this._buffersDirty = true;
+
+    this._image = undefined;
+    this._texture = undefined;
+
+    this._scene = options.scene || undefined;
+    this._context = undefined;
+    this._buffers = [];
+    this._vertexArray = undefined;
+    this._shaderProgram = undefined;
+    this._drawCommand = undefined;
+    this._commandKey = '';
+    this._worldBoundingSphere = new Cesium.BoundingSphere();
+  }
+
+  /**
+   * Reserve room for a mesh; counts may be exceeded later, the buffers grow.
+   * @param {number} vertexCount Number of vertices
+   * @param {number} [triangleCount=0] Expected number of triangles
+   */
+  initCount(vertexCount, triangleCount = 0) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("PlyMeshPrimitive is destroyed.");
+    }
+    this._reserveVertices(vertexCount);
+    this._reserveIndices(triangleCount * 3);
+  }
+
+  /**
+   * Set one vertex.
+   * @param {number} index Vertex index
+   * @param {object} data Vertex data
+   * @param {number[]} data.position Position [x, y, z]
+   * @param {number[]} [data.color] Color [r, g, b] or [r, g, b, a] in 0-1 (default light gray)
+   * @param {number[]} [data.uv] Texture coordinates [u, v], v pointing up
+   */
+  setVertex(index, data) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("PlyMeshPrimitive is destroyed.");
+    }
+    if (index < 0) {
+      throw new Cesium.DeveloperError(`Vertex index ${index} out of range`);
+    }
+    this._reserveVertices(index + 1);
+
+    this._positions[index * 3] = data.position[0];
+    this._positions[index * 3 + 1] = data.position[1];
+    this._positions[index * 3 + 2] = data.position[2];
+    for (let k = 0; k < 4; k++) {
+      this._colors[index * 4 + k] = data.color && k < data.color.length
+        ? Math.max(0, Math.min(255, Math.round(data.color[k] * 255)))
+        : DEFAULT_COLOR[k];
+    }
+    if (data.uv) {
+      this._st[index * 2] = data.uv[0];
+      this._st[index * 2 + 1] = data.uv[1];
+      this._hasTexCoords = true;
+    }
+
+    if (!Cesium.defined(this.boundingSphere)) {
+      this.boundingSphere = new Cesium.BoundingSphere(Cesium.Cartesian3.unpack(data.position), 0.0);
+    } else {
+      Cesium.BoundingSphere.expand(this.boundingSphere, Cesium.Cartesian3.unpack(data.position), this.boundingSphere);
+    }
+
+    this.vertexCount = Math.max(this.vertexCount, index + 1);
+    this._markDirty(this._vertexDirty, index, index + 1);
+  }
+
+  /**
+   * Add a polygon face, triangulated as a fan.
+   * With per-corner texture coordinates (PLY `texcoord` lists) each corner gets its
+   * own copy of the vertex, so the referenced vertices must already be set.
+   * @param {ArrayLike<number>} indices Vertex indices of the polygon (3 or more)
+   * @param {ArrayLike<number>} [texcoords] u, v per corner
+   */
+  addFace(indices, texcoords) {
+    if (this.isDestroyed()) {
+      throw new Cesium.DeveloperError("PlyMeshPrimitive is destroyed.");
+    }
+    const corners = indices.length;
+    if (corners < 3) return;
+
+    let vertices = indices;
+    if (texcoords && texcoords.length >= corners * 2) {
+      vertices = new Array(corners);
+      const first = this.vertexCount;
+      this._reserveVertices(first + corners);
+      for (let i = 0; i < corners; i++) {
+        const source = indices[i];
+        const target = first + i;
+        this._positions.copyWithin(target * 3, source * 3, source * 3 + 3);
+        this._colors.copyWithin(target * 4, source * 4, source * 4 + 4);
+        this._st[target * 2] = texcoords[i * 2];
+        this._st[target * 2 + 1] = texcoords[i * 2 + 1];
+        vertices[i] = target;
+      }
+      this.vertexCount = first + corners;
+      this._hasTexCoords = true;
+      this._markDirty(this._vertexDirty, first, first + corners);
+    }
+
+    const start = this.indexCount;
+    const count = (corners - 2) * 3;
+    this._reserveIndices(start + count);
+    let n = start;
+    for (let i = 1; i < corners - 1; i++) {
+      this._indices[n++] = vertices[0];
+      this._indices[n++] = vertices[i];
+      this._indices[n++] = vertices[i + 1];
+    }
+    this.indexCount = n;
+    this._markDirty(this._indexDirty, start, n);
+
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
+  /**
+   * Texture the mesh (modulated with the vertex colors).
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image Texture image
+   */
+  setTexture(image) {
+    this._image = image;
+    if (Cesium.defined(this._texture)) {
+      this._texture.destroy();
+      this._texture = undefined;
+    }
+    if (Cesium.defined(this._scene)) {
+      this._scene.requestRender();
+    }
+  }
+
+  /**
+   * Load the texture image from a URL.
+   * @param {string|Cesium.Resource} url Image URL
+   * @returns {Promise<void>}
+   */
+  async loadTexture(url) {
+    const image = await Cesium.Resource.createIfNeeded(url).fetchImage();
+    if (!this.isDestroyed()) {
+      this.setTexture(image);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _markDirty(range, start, end) {
+    range[0] = Math.min(range[0], start);
+    range[1] = Math.max(range[1], end);
+  }
+
+  /**
+   * @private
+   */
+  _reserveVertices(count) {
+    if (count <= this._vertexCapacity) return;
+    const capacity = Math.max(count, this._vertexCapacity * 2);
+    const grow = (data, components) => {
+      const resized = new data.constructor(capacity * components);
+      resized.set(data);
+      return resized;
+    };
+    this._positions = grow(this._positions, 3);
+    this._colors = grow(this._colors, 4);
+    this._st = grow(this._st, 2);
+    this._vertexCapacity = capacity;
+    this._buffersDirty = true;
+  }
+
+  /**
+   * @private
+   */
+  _reserveIndices(count) {
+    if (count <= this._indexCapacity) return;
+    const capacity = Math.max(count, this._indexCapacity * 2);
+    const resized = new Uint32Array(capacity);
+    resized.set(this._indices);
+    this._indices = resized;
+    this._indexCapacity = capacity;
+    this._buffersDirty = true;
+  }
+
+  /**
+   * Recreate the buffers at the current capacity, or upload the pending ranges.
+   * @private
+   */
+  _updateBuffers(context) {
+    const vertexRange = this._vertexDirty;
+    const indexRange = this._indexDirty;
+
+    if (this._buffersDirty) {
+      this._destroyBuffers();
+      const vertexBuffer = (typedArray) => Cesium.Buffer.createVertexBuffer({
+        context: context,
+        typedArray: typedArray,
+        usage: Cesium.BufferUsage.DYNAMIC_DRAW,
+      });
+      const positionBuffer = vertexBuffer(this._positions);
+      const colorBuffer = vertexBuffer(this._colors);
+      const stBuffer = vertexBuffer(this._st);
+      const indexBuffer = Cesium.Buffer.createIndexBuffer({
+        context: context,
+        typedArray: this._indices,
+        usage: Cesium.BufferUsage.DYNAMIC_DRAW,
+        indexDatatype: Cesium.IndexDatatype.UNSIGNED_INT,
+      });
+      this._buffers = [positionBuffer, colorBuffer, stBuffer];
+
+      this._vertexArray = new Cesium.VertexArray({
+        context: context,
+        attributes: [
+          { index: 0, vertexBuffer: positionBuffer, componentsPerAttribute: 3, componentDatatype: Cesium.ComponentDatatype.FLOAT },
+          { index: 1, vertexBuffer: colorBuffer, componentsPerAttribute: 4, componentDatatype: Cesium.ComponentDatatype.UNSIGNED_BYTE, normalize: true },
+          { index: 2, vertexBuffer: stBuffer, componentsPerAttribute: 2, componentDatatype: Cesium.ComponentDatatype.FLOAT },
+        ],
+        indexBuffer: indexBuffer,
+      });
+      this._buffersDirty = false;
+    } else {
+      if (vertexRange[0] < vertexRange[1]) {
+        const [start, end] = vertexRange;
+        this._buffers[0].copyFromArrayView(this._positions.subarray(start * 3, end * 3), start * 12);
+        this._buffers[1].copyFromArrayView(this._colors.subarray(start * 4, end * 4), start * 4);
+        this._buffers[2].copyFromArrayView(this._st.subarray(start * 2, end * 2), start * 8);
+      }
+      if (indexRange[0] < indexRange[1]) {
+        const [start, end] = indexRange;
+        this._vertexArray.indexBuffer.copyFromArrayView(this._indices.subarray(start, end), start * 4);
+      }
+    }
+
+    vertexRange[0] = Infinity;
+    vertexRange[1] = 0;
+    indexRange[0] = Infinity;
+    indexRange[1] = 0;
+  }
+
+  /**
+   * Build the DrawCommand.
+   * @private
+   */
+  _buildDrawCommand(context, hasTexture) {
+    const shaderBuilder = new Cesium.ShaderBuilder();
+    shaderBuilder.setPositionAttribute("vec3", "a_position");
+    shaderBuilder.addAttribute("vec4", "a_color");
+    shaderBuilder.addVarying("vec4", "v_color");
+    if (hasTexture) {
+      shaderBuilder.addDefine("HAS_TEXTURE", undefined, Cesium.ShaderDestination.BOTH);
+      shaderBuilder.addAttribute("vec2", "a_st");
+      shaderBuilder.addVarying("vec2", "v_st");
+      shaderBuilder.addUniform("sampler2D", "u_texture", Cesium.ShaderDestination.FRAGMENT);
+    }
+    shaderBuilder.addVertexLines(PlyMeshVS);
+    shaderBuilder.addFragmentLines(PlyMeshFS);
+
+    if (Cesium.defined(this._shaderProgram)) {
+      this._shaderProgram.destroy();
+    }
+    // Locations follow declaration order and match the vertex array: position 0, color 1, st 2
+    this._shaderProgram = shaderBuilder.buildShaderProgram(context);
+
+    this._drawCommand = new Cesium.DrawCommand({
+      boundingVolume: this._worldBoundingSphere,
+      modelMatrix: this.modelMatrix,
+      uniformMap: {
+        u_texture: () => this._texture,
+      },
+      renderState: Cesium.RenderState.fromCache({
+        depthTest: {
+          enabled: true,
+        },
+        depthMask: true,
+        cull: {
+          enabled: false,
+        },
+      }),
+      vertexArray: this._vertexArray,
+      shaderProgram: this._shaderProgram,
+      pass: Cesium.Pass.OPAQUE,
+      owner: this,
+      primitiveType: Cesium.PrimitiveType.TRIANGLES,
+    });
+  }
+
+  /**
+   * Update the primitive for the current frame.
+   * @param {FrameState} frameState The frame state
+   */
+  update(frameState) {
+    if (this.isDestroyed() || !this.show || this.indexCount === 0) {
+      return;
+    }
+
+    const context = frameState.context;
+    this._context = context;
+
+    if (Cesium.defined(this._image) && !Cesium.defined(this._texture)) {
+      this._texture = new Cesium.Texture({
+        context: context,
+        source: this._image,
+        sampler: new Cesium.Sampler({
+          minificationFilter: Cesium.TextureMinificationFilter.LINEAR,
+          magnificationFilter: Cesium.TextureMagnificationFilter.LINEAR,
+        }),
+      });
+    }
+
+    const rebuild = this._buffersDirty;
+    this._updateBuffers(context);
+
+    const hasTexture = Cesium.defined(this._texture) && this._hasTexCoords;
+    const commandKey = `${hasTexture}`;
+    if (rebuild || commandKey !== this._commandKey || !Cesium.defined(this._drawCommand)) {
+      this._commandKey = commandKey;
+      this._buildDrawCommand(context, hasTexture);
+    }
+
+    const command = this._drawCommand;
+    command.count = this.indexCount;
+    command.modelMatrix = this.modelMatrix;
+    command.debugShowBoundingVolume = this.debugShowBoundingVolume;
+    Cesium.BoundingSphere.transform(this.boundingSphere, this.modelMatrix, this._worldBoundingSphere);
+
+    frameState.commandList.push(command);
+  }
+
+  /**
+   * @private
+   */
+  _destroyBuffers() {
+    if (Cesium.defined(this._vertexArray)) {
+      // Destroys the vertex and index buffers too
+      this._vertexArray.destroy();
+      this._vertexArray = undefined;
+    }
+    this._buffers = [];
+  }
+
+  /**
+   * Returns true if this object was destroyed; otherwise, false.
+   * @returns {boolean} True if destroyed
+   */
+  isDestroyed() {
+    return this._isDestroyed;
+  }
+
+  /**
+   * Destroys the primitive and releases its resources.
+   * @returns {undefined}
+   */
+  destroy() {
+    if (this.isDestroyed()) {
+      return undefined;
+    }
+    this._destroyBuffers();
+    if (Cesium.defined(this._texture)) {
+      this._texture.destroy();
+      this._texture = undefined;
+    }
+    if (Cesium.defined(this._shaderProgram)) {
+      this._shaderProgram.destroy();
+      this._shaderProgram = undefined;
+    }
+    this._positions = undefined;
+    this._colors = undefined;
+    this._st = undefined;
+    this._indices = undefined;
+    return Cesium.destroyObject(this);
+  }
+}
+
+export default PlyMeshPrimitive;
@@ -12,9 +12,17 @@ const GSplatStreamVS = `
 // - uniform usampler2D u_transformA
 // - uniform sampler2D u_transformB
 // - uniform usampler2D u_splatOrder
+// - uniform usampler2D u_shTexture0..3 // only when SH_DEGREE > 0
 // - uniform vec4 u_texParams      // [numSplats, texWidth, validCount, visBoost]
 // - uniform mat4 u_modelMatrix
 // - uniform vec4 u_pixelCull       // [minPixels, maxPixels, maxPixelCullDistance, batchSize]
+//
+// With SPLAT_MODEL_COUNT defined (GSplatRenderManager) the order texture holds
+// (model << 28 | splatId) and each model's splats occupy a band of rows:
+// - uniform mat4 u_modelViews[SPLAT_MODEL_COUNT]
+// - uniform vec4 u_modelParams[SPLAT_MODEL_COUNT]  // [texWidth, rowOffset, shDegree, visBoost]
+// - uniform vec4 u_modelCull[SPLAT_MODEL_COUNT]    // [minPixels, maxPixels, maxPixelCullDistance, 0]
+// - uniform vec4 u_modelCameras[SPLAT_MODEL_COUNT] // camera position in model space
 
 // Constants
 const float ALPHA_THRESHOLD = 0.00392156863; // 1.0 / 255.0
@@ -67,6 +75,89 @@ void getSplatData(ivec2 splatUV, out vec3 center, out vec3 covA, out vec3 covB)
     covB = vec3(tC.x, tC.y, tB.w);  // (cBx, cBy, cBz)
 }
 
+#if SH_DEGREE > 0
+const float SH_C1 = 0.4886025119029199;
+#if SH_DEGREE > 1
+const float SH_C2_0 = 1.0925484305920792;
+const float SH_C2_1 = -1.0925484305920792;
+const float SH_C2_2 = 0.31539156525252005;
+const float SH_C2_3 = -1.0925484305920792;
+const float SH_C2_4 = 0.5462742152960396;
+#endif
+#if SH_DEGREE > 2
+const float SH_C3_0 = -0.5900435899266435;
+const float SH_C3_1 = 2.890611442640554;
+const float SH_C3_2 = -0.4570457994644658;
+const float SH_C3_3 = 0.3731763325901154;
+const float SH_C3_4 = -0.4570457994644658;
+const float SH_C3_5 = 1.445305721320277;
+const float SH_C3_6 = -0.5900435899266435;
+#endif
+
+// Unpack an 11/10/11 quantized RGB coefficient
+vec3 unpackSH(uint v, float scale) {
+    return (vec3(
+        float((v >> 21u) & 0x7ffu) / 2047.0,
+        float((v >> 11u) & 0x3ffu) / 1023.0,
+        float(v & 0x7ffu) / 2047.0
+    ) * 2.0 - 1.0) * scale;
+}
+
+// Evaluate SH bands 1..min(shDegree, SH_DEGREE) for a model-space view direction
+// Texel layout: slot 0 = scale (float bits), slot k + 1 = coefficient k
+vec3 evalSH(ivec2 splatUV, vec3 dir, int shDegree) {
+    uvec4 t0 = texelFetch(u_shTexture0, splatUV, 0);
+    float scale = uintBitsToFloat(t0.x);
+    if (scale == 0.0) {
+        return vec3(0.0);
+    }
+
+    float x = dir.x;
+    float y = dir.y;
+    float z = dir.z;
+
+    vec3 result = SH_C1 * (-y * unpackSH(t0.y, scale) + z * unpackSH(t0.z, scale) - x * unpackSH(t0.w, scale));
+
+#if SH_DEGREE > 1
+    if (shDegree < 2) {
+        return result;
+    }
+    uvec4 t1 = texelFetch(u_shTexture1, splatUV, 0);
+    uvec4 t2 = texelFetch(u_shTexture2, splatUV, 0);
+    float xx = x * x;
+    float yy = y * y;
+    float zz = z * z;
+    float xy = x * y;
+    float yz = y * z;
+    float xz = x * z;
+
+    result +=
+        (SH_C2_0 * xy) * unpackSH(t1.x, scale) +
+        (SH_C2_1 * yz) * unpackSH(t1.y, scale) +
+        (SH_C2_2 * (2.0 * zz - xx - yy)) * unpackSH(t1.z, scale) +
+        (SH_C2_3 * xz) * unpackSH(t1.w, scale) +
+        (SH_C2_4 * (xx - yy)) * unpackSH(t2.x, scale);
+
+#if SH_DEGREE > 2
+    if (shDegree < 3) {
+        return result;
+    }
+    uvec4 t3 = texelFetch(u_shTexture3, splatUV, 0);
+    result +=
+        (SH_C3_0 * y * (3.0 * xx - yy)) * unpackSH(t2.y, scale) +
+        (SH_C3_1 * xy * z) * unpackSH(t2.z, scale) +
+        (SH_C3_2 * y * (4.0 * zz - xx - yy)) * unpackSH(t2.w, scale) +
+        (SH_C3_3 * z * (2.0 * zz - 3.0 * xx - 3.0 * yy)) * unpackSH(t3.x, scale) +
+        (SH_C3_4 * x * (4.0 * zz - xx - yy)) * unpackSH(t3.y, scale) +
+        (SH_C3_5 * z * (xx - yy)) * unpackSH(t3.z, scale) +
+        (SH_C3_6 * x * (xx - 3.0 * yy)) * unpackSH(t3.w, scale);
+#endif
+#endif
+
+    return result;
+}
+#endif
+
 // Calculate v1v2 (screen-space ellipse axes)
 vec4 calcV1V2(vec3 splat_cam, vec3 covA, vec3 covB, mat3 W, vec2 viewport, mat4 projMat) {
     // Construct symmetric covariance matrix
@@ -137,9 +228,30 @@ void main() {
     }
     
     uint splatId = getSplatId(orderId, textureWidth, numSplats);
-    
-    // Calculate splat UV and load all data
+
+#ifdef SPLAT_MODEL_COUNT
+    // Shared order across models: look up the model and its band of texture rows
+    int modelIndex = int(splatId >> 28u);
+    splatId &= 0x0fffffffu;
+    vec4 modelParams = u_modelParams[modelIndex];
+    uint modelWidth = uint(modelParams.x);
+    ivec2 splatUV = ivec2(
+        int(splatId % modelWidth),
+        int(splatId / modelWidth) + int(modelParams.y)
+    );
+    int shDegree = int(modelParams.z);
+    float visBoost = modelParams.w;
+    vec4 pixelCull = u_modelCull[modelIndex];
+    mat4 model_view = u_modelViews[modelIndex];
+#else
     ivec2 splatUV = calcSplatUV(splatId, textureWidth, numSplats);
+    int shDegree = SH_DEGREE;
+    float visBoost = u_texParams.w;
+    vec4 pixelCull = u_pixelCull;
+    mat4 model_view = czm_modelView;  // Cesium's modelView matrix (view * model)
+#endif
+
+    // Load all data
     vec3 splatCenter;
     vec3 covA;
     vec3 covB;
@@ -157,10 +269,8 @@ void main() {
     // Transform matrices
     // Note: splatCenter from texture is in local space (not transformed)
     // We need to transform: local -> world -> camera
-    // czm_modelView = view * model, which does both transformations in one step
-    mat4 matrix_model = u_modelMatrix;
+    // model_view = view * model, which does both transformations in one step
     mat4 matrix_projection = czm_projection;
-    mat4 model_view = czm_modelView;  // Cesium's modelView matrix (view * model)
     
     // Transform center from local space to camera space
     // splatCenter is in local space, so use modelView matrix (view * model)
@@ -202,7 +312,6 @@ void main() {
     float scale = min(1.0, sqrt(-log(1.0 / (255.0 * color.a))) / 2.0);
     
     // Apply visBoost (size multiplier)
-    float visBoost = u_texParams.w;
     float expt = exp(-1.0 / t);
     vec4 v1v2_scaled = v1v2 * (scale * visBoost * expt);
     
@@ -211,8 +320,8 @@ void main() {
     float v1_len_sq = v1v2_sq.x + v1v2_sq.y;
     float v2_len_sq = v1v2_sq.z + v1v2_sq.w;
     
-    float minPixels = u_pixelCull.x;
-    float maxPixels = u_pixelCull.y;
+    float minPixels = pixelCull.x;
+    float maxPixels = pixelCull.y;
     
     // Early out tiny splats
     if (v1_len_sq < minPixels && v2_len_sq < minPixels) {
@@ -224,7 +333,7 @@ void main() {
     
     // Cull oversized splats
     if (maxPixels > 0.0) {
-        float maxPixelCullDistance = u_pixelCull.z;
+        float maxPixelCullDistance = pixelCull.z;
         float splatDistance = length(splat_cam.xyz);
         if (maxPixelCullDistance <= 0.0 || splatDistance < maxPixelCullDistance) {
             float maxAxisSq = maxPixels * maxPixels;
@@ -247,6 +356,19 @@ void main() {
     gl_Position.z = clamp(gl_Position.z, -abs(gl_Position.w), abs(gl_Position.w));
     
     v_vertPos = vertex_pos * scale;
+
+#if SH_DEGREE > 0
+    // View direction in model space (SH coefficients are stored in the splat's local frame)
+#ifdef SPLAT_MODEL_COUNT
+    vec3 cameraModel = u_modelCameras[modelIndex].xyz;
+#else
+    vec3 cameraModel = (czm_inverseModelView * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+#endif
+    if (shDegree > 0) {
+        vec3 viewDir = normalize(splatCenter - cameraModel);
+        color.rgb = clamp(color.rgb + evalSH(splatUV, viewDir, shDegree), 0.0, 1.0);
+    }
+#endif
     v_splatColor = color;
 }
 `;
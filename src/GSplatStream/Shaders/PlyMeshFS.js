@@ -0,0 +1,21 @@
+//This file is automatically rebuilt by the Cesium build process.
+// Export shader code as global variable
+const PlyMeshFS = `
+// Fragment shader for PLY meshes
+//
+// Variables are declared via ShaderBuilder, not here:
+// - varying vec4 v_color
+// - varying vec2 v_st              // only with HAS_TEXTURE
+// - uniform sampler2D u_texture    // only with HAS_TEXTURE
+
+// Reconstructed meshes carry baked lighting: vertex color and texture are shown unlit
+void main() {
+    vec4 color = v_color;
+#ifdef HAS_TEXTURE
+    color *= texture(u_texture, v_st);
+#endif
+    out_FragColor = color;
+}
+`;
+
+export default PlyMeshFS;
@@ -0,0 +1,22 @@
+//This file is automatically rebuilt by the Cesium build process.
+// Export shader code as global variable
+const PlyMeshVS = `
+// Vertex shader for PLY meshes
+//
+// Variables are declared via ShaderBuilder, not here:
+// - attribute vec3 a_position
+// - attribute vec4 a_color
+// - attribute vec2 a_st            // only with HAS_TEXTURE
+// - varying vec4 v_color
+// - varying vec2 v_st              // only with HAS_TEXTURE
+
+void main() {
+    v_color = a_color;
+#ifdef HAS_TEXTURE
+    v_st = a_st;
+#endif
+    gl_Position = czm_modelViewProjection * vec4(a_position, 1.0);
+}
+`;
+
+export default PlyMeshVS;
@@ -1,11 +1,19 @@
 import * as Cesium from 'cesium';
 import './main.css';
 import GSplatStreamPrimitive from './GSplatStream/GSplatStreamPrimitive';
+import PlyMeshPrimitive from './GSplatStream/PlyMeshPrimitive';
 import { StreamLoader } from './GSplatStream/Loader/StreamLoader';
 import { StreamingGaussianSplatParser } from './GSplatStream/Loader/StreamingGaussianSplatParser';
-import { PlyStreamParser } from './GSplatStream/Loader/PlyStreamParser';
+import { StreamingSplatParser } from './GSplatStream/Loader/StreamingSplatParser';
+import { StreamingSpzParser } from './GSplatStream/Loader/StreamingSpzParser';
+import { StreamingKSplatParser } from './GSplatStream/Loader/StreamingKSplatParser';
+import { StreamingSplatPatchParser } from './GSplatStream/Loader/StreamingSplatPatchParser';
+import { GltfGaussianSplatLoader } from './GSplatStream/Loader/GltfGaussianSplatLoader';
+import { MultiSourceLoader } from './GSplatStream/Loader/MultiSourceLoader';
+import { SplatFormat, detectFormat } from './GSplatStream/Loader/SplatFormat';
+import { SplatCache } from './GSplatStream/Loader/SplatCache';
+import { LiveSplatFeed, LiveFeedState } from './GSplatStream/Loader/LiveSplatFeed';
 
-PlyStreamParser.sMaxProcessingTime = 16 * 60;
 // 创建 Cesium Viewer
 const viewer = new Cesium.Viewer('cesiumContainer', {
     msaaSamples: 1,
@@ -55,17 +63,156 @@ const entity = viewer.entities.add({
 // const PLY_FILE_URL = '../assets/merged_gs.ply';
 const PLY_FILE_URL = 'https://cc-store-dev.obs.cn-south-1.myhuaweicloud.com:443/404676969243742208/3D/model-gs-ply/merged_gs.ply';
 
+// 远程文件下载完成后缓存到 Cache Storage，再次加载时从本地流式读取
+// 可在控制台通过 splatCache.list() / size() / evict(url) / clear() 管理
+const splatCache = new SplatCache();
+window.splatCache = splatCache;
+
 let currentPrimitive = null;
 let currentCancelFn = null;
+let currentPauseHandle = null;
 let currentParser = null;
+let currentGltfPrimitives = [];
+let currentMultiLoader = null;
 
 const loadBtn = document.getElementById('loadBtn');
+const pauseBtn = document.getElementById('pauseBtn');
 const cancelBtn = document.getElementById('cancelBtn');
 const deleteBtn = document.getElementById('deleteBtn');
+const fileInput = document.getElementById('fileInput');
+const dropZone = document.getElementById('dropZone');
+
+// 暂停/继续按钮绑定到当前加载的句柄（含 pause/resume），加载结束或取消时传 null
+function setPauseHandle(handle) {
+    currentPauseHandle = handle;
+    pauseBtn.disabled = !handle;
+    pauseBtn.textContent = '暂停';
+}
+
+function createParser(format, onMesh) {
+    switch (format) {
+        case SplatFormat.Splat:
+            return new StreamingSplatParser();
+        case SplatFormat.Spz:
+            return new StreamingSpzParser();
+        case SplatFormat.KSplat:
+            return new StreamingKSplatParser();
+        default:
+            return new StreamingGaussianSplatParser({ onMesh });
+    }
+}
+
+async function loadGltfSplats(url) {
+    try {
+        if (currentPrimitive || currentGltfPrimitives.length > 0 || currentMultiLoader) {
+            deletePrimitive();
+        }
+
+        console.log("Starting glTF load...");
+
+        const transformMatrix = Cesium.Transforms.eastNorthUpToFixedFrame(
+            destPosition,
+            Cesium.Ellipsoid.WGS84
+        );
+
+        const loader = new GltfGaussianSplatLoader({
+            scene: viewer.scene,
+            modelMatrix: transformMatrix,
+            primitiveOptions: {
+                batchSize: 128,
+                show: true,
+                debugShowBoundingVolume: false,
+            },
+            onPrimitiveCreated: (primitive) => {
+                viewer.scene.primitives.add(primitive);
+                currentGltfPrimitives.push(primitive);
+                window.primitive = primitive;
+            },
+        });
+        currentParser = loader;
+
+        loadBtn.disabled = true;
+        cancelBtn.disabled = false;
+        deleteBtn.disabled = false;
+
+        await loader.load(url);
+
+        const progress = loader.getProgress();
+        console.log(`glTF load complete! (${progress.processed}/${progress.total} splats)`);
+    } catch (error) {
+        console.error('Load error:', error);
+    }
+
+    loadBtn.disabled = false;
+    cancelBtn.disabled = true;
+}
+
+// 多个文件（如分块瓦片）加载到同一个图元中，统一排序
+async function loadMultipleSources(files) {
+    if (currentPrimitive || currentGltfPrimitives.length > 0 || currentMultiLoader) {
+        deletePrimitive();
+    }
+
+    console.log(`Starting load of ${files.length} sources...`);
 
+    const transformMatrix = Cesium.Transforms.eastNorthUpToFixedFrame(
+        destPosition,
+        Cesium.Ellipsoid.WGS84
+    );
+
+    const loader = new MultiSourceLoader({
+        scene: viewer.scene,
+        modelMatrix: transformMatrix,
+        primitiveOptions: {
+            batchSize: 128,
+            show: true,
+            debugShowBoundingVolume: false,
+        },
+        onProgress: (source) => {
+            const progress = source.getProgress();
+            const name = source.url.name || source.url;
+            console.log(`${name}: ${progress.state} ${Math.floor(progress.percentage)}% (${progress.processed}/${progress.total} splats)`);
+        },
+    });
+    currentMultiLoader = loader;
+    window.primitive = loader.primitive;
+    window.multiLoader = loader;
+
+    loadBtn.disabled = true;
+    cancelBtn.disabled = false;
+    deleteBtn.disabled = false;
+
+    const sources = Array.from(files, (file) => loader.add(file));
+    await Promise.allSettled(sources.map((source) => source.loaded));
+
+    if (currentMultiLoader === loader) {
+        const failed = sources.filter((source) => source.state === 'failed');
+        for (const source of failed) {
+            console.error(`Load error (${source.url.name || source.url}):`, source.error);
+        }
+        console.log(`Multi-source load complete! (${sources.length - failed.length}/${sources.length} sources)`);
+        loadBtn.disabled = false;
+        cancelBtn.disabled = true;
+    }
+}
+
+// url 可以是远程地址，也可以是本地 File/Blob
 async function loadStreamingPLY(url) {
+    let format = null;
+    try {
+        format = await detectFormat(url);
+    } catch (error) {
+        console.error('Format detection error:', error);
+    }
+    if (format === SplatFormat.Gltf) {
+        return loadGltfSplats(url);
+    }
+    if (format === SplatFormat.PlyPatch) {
+        return applyPatch(url);
+    }
+
     try {
-        if (currentPrimitive) {
+        if (currentPrimitive || currentGltfPrimitives.length > 0 || currentMultiLoader) {
             deletePrimitive();
         }
 
@@ -93,11 +240,36 @@ async function loadStreamingPLY(url) {
         Cesium.Matrix4.clone(transformMatrix, primitive.modelMatrix);
         primitive._dirty = true;
 
-        const parser = new StreamingGaussianSplatParser();
+        // PLY 网格（带 face 元素）改用网格图元显示，替换掉已创建的 splat 图元
+        const onMesh = (header) => {
+            const meshPrimitive = new PlyMeshPrimitive({ scene: viewer.scene });
+            Cesium.Matrix4.clone(transformMatrix, meshPrimitive.modelMatrix);
+            viewer.scene.primitives.remove(primitive);
+            viewer.scene.primitives.add(meshPrimitive);
+            currentPrimitive = meshPrimitive;
+            window.primitive = meshPrimitive;
+
+            // 纹理路径相对于 PLY 文件，本地文件无法解析
+            if (header.textureFiles.length > 0) {
+                if (typeof url === 'string') {
+                    const textureUrl = new URL(header.textureFiles[0], new URL(url, window.location.href)).href;
+                    meshPrimitive.loadTexture(textureUrl).catch((error) => {
+                        console.error('Texture load error:', error);
+                    });
+                } else {
+                    console.warn(`Texture ${header.textureFiles[0]} is not loaded for a local file`);
+                }
+            }
+            console.log(`PLY mesh: ${header.vertexCount} vertices, ${header.faceCount} faces`);
+            return meshPrimitive;
+        };
+
+        const parser = createParser(format, onMesh);
         parser.setPrimitive(primitive);
         currentParser = parser;
 
         const loader = new StreamLoader();
+        let finished = false;
 
         loadBtn.disabled = true;
         cancelBtn.disabled = false;
@@ -107,36 +279,57 @@ async function loadStreamingPLY(url) {
             url,
             parser,
             {
-                onProgress: (receivedLength, contentLength, url, parser) => {
+                cache: typeof url === 'string' ? splatCache : undefined,
+                onProgress: (receivedLength, contentLength, url, parser, decodedLength) => {
                     const percentage = contentLength > 0 
                         ? Math.floor((receivedLength / contentLength) * 100) 
                         : 0;
                     
                     const progress = parser.getProgress();
-                    console.log(`Loading: ${percentage}% (${progress.processed}/${progress.total} splats)`);
+                    // 压缩文件同时显示解压后的字节数
+                    const decoded = decodedLength !== receivedLength ? `, ${decodedLength} bytes decompressed` : '';
+                    console.log(`Loading: ${percentage}% (${progress.processed}/${progress.total} splats${decoded})`);
+                },
+                onRetry: (attempt, receivedLength) => {
+                    console.log(`Connection lost at ${receivedLength} bytes, resuming (attempt ${attempt})...`);
+                },
+                onCacheError: (error) => {
+                    console.warn('Could not store the download in the cache:', error);
                 },
                 onComplete: (url) => {
                     console.log("Stream load complete!");
                     primitive._dirty = true;
+                    finished = true;
                     loadBtn.disabled = false;
                     cancelBtn.disabled = true;
                     currentCancelFn = null;
+                    setPauseHandle(null);
                 },
                 onError: (error) => {
                     console.error('Stream load error:', error);
                     // 加载出错，恢复按钮状态
+                    finished = true;
                     loadBtn.disabled = false;
                     cancelBtn.disabled = true;
                     currentCancelFn = null;
+                    setPauseHandle(null);
                 }
             }
         );
 
         const progress = parser.getProgress();
-        console.log(`Header parsed, streaming data... (${progress.total} splats total)`);
+        if (result.requestError) {
+            console.warn('Request failed, loading the cached copy instead:', result.requestError);
+        }
+        console.log(`Header parsed, streaming data${result.fromCache ? ' from cache' : ''}... (${progress.total} splats total)`);
         
         currentCancelFn = result.cancel;
         window.cancelLoad = result.cancel;
+        window.pauseLoad = result.pause;
+        window.resumeLoad = result.resume;
+        if (!finished) {
+            setPauseHandle(result);
+        }
 
     } catch (error) {
         console.error('Load error:', error);
@@ -145,6 +338,114 @@ async function loadStreamingPLY(url) {
     }
 }
 
+// 补丁文件（*.patch.ply）：只替换已加载场景中重新扫描的区域，不重新加载整个场景
+async function applyPatch(url) {
+    const primitive = currentPrimitive;
+    if (!(primitive instanceof GSplatStreamPrimitive) || primitive.isDestroyed()) {
+        console.warn('No splat scene loaded to apply the patch to');
+        return;
+    }
+
+    const parser = new StreamingSplatPatchParser();
+    parser.setPrimitive(primitive);
+    currentParser = parser;
+
+    const loader = new StreamLoader();
+    let finished = false;
+    loadBtn.disabled = true;
+    cancelBtn.disabled = false;
+
+    try {
+        const result = await loader.loadStream(url, parser, {
+            onComplete: () => {
+                console.log(`Patch applied: ${parser.removedCount} splats removed, ${parser.indices.length} written`);
+                finished = true;
+                loadBtn.disabled = false;
+                cancelBtn.disabled = true;
+                currentCancelFn = null;
+                setPauseHandle(null);
+            },
+            onError: (error) => {
+                console.error('Patch error:', error);
+                finished = true;
+                loadBtn.disabled = false;
+                cancelBtn.disabled = true;
+                currentCancelFn = null;
+                setPauseHandle(null);
+            }
+        });
+        currentCancelFn = result.cancel;
+        window.cancelLoad = result.cancel;
+        window.pauseLoad = result.pause;
+        window.resumeLoad = result.resume;
+        if (!finished) {
+            setPauseHandle(result);
+        }
+    } catch (error) {
+        console.error('Patch error:', error);
+        loadBtn.disabled = false;
+        cancelBtn.disabled = true;
+    }
+}
+window.applyPatch = applyPatch;
+
+// 实时重建：通过 WebSocket 接收服务端持续下发的 splat（新增 / 更新 / 删除），断线后自动重连续传
+function connectLiveFeed(url) {
+    if (currentPrimitive || currentGltfPrimitives.length > 0 || currentMultiLoader) {
+        deletePrimitive();
+    }
+
+    const primitive = new GSplatStreamPrimitive({
+        totalCount: 0,
+        batchSize: 128,
+        show: true,
+        debugShowBoundingVolume: false,
+        scene: viewer.scene,
+        growable: true,
+    });
+    viewer.scene.primitives.add(primitive);
+    currentPrimitive = primitive;
+    window.primitive = primitive;
+
+    // 服务端未下发变换矩阵时，放在基地位置的东北天坐标系下
+    const transformMatrix = Cesium.Transforms.eastNorthUpToFixedFrame(
+        destPosition,
+        Cesium.Ellipsoid.WGS84
+    );
+    Cesium.Matrix4.clone(transformMatrix, primitive.modelMatrix);
+    primitive._dirty = true;
+
+    const feed = new LiveSplatFeed({
+        url,
+        primitive,
+        onStateChange: (state) => {
+            console.log(`Live feed: ${state}`);
+            if (state === LiveFeedState.Ended || state === LiveFeedState.Closed) {
+                loadBtn.disabled = false;
+                cancelBtn.disabled = true;
+                currentCancelFn = null;
+            }
+        },
+        onScene: ({ sceneId, capacity }) => {
+            console.log(`Live scene ${sceneId} started (${capacity} splats expected)`);
+        },
+        onError: (error) => {
+            console.error('Live feed error:', error);
+        },
+    });
+    feed.connect();
+
+    currentCancelFn = () => feed.close();
+    window.cancelLoad = currentCancelFn;
+    window.liveFeed = feed;
+
+    loadBtn.disabled = true;
+    cancelBtn.disabled = false;
+    deleteBtn.disabled = false;
+    return feed;
+}
+window.connectLiveFeed = connectLiveFeed;
+
 function cancelLoad() {
     if (currentCancelFn) {
         try {
@@ -155,6 +456,7 @@ function cancelLoad() {
         }
         currentCancelFn = null;
     }
+    setPauseHandle(null);
     
     if (currentParser) {
         try {
@@ -163,22 +465,38 @@ function cancelLoad() {
             console.error('Cancel parser error:', error);
         }
     }
+
+    if (currentMultiLoader) {
+        for (const source of currentMultiLoader.getSources()) {
+            if (source.state === 'loading') {
+                currentMultiLoader.remove(source);
+            }
+        }
+    }
     
     loadBtn.disabled = false;
     cancelBtn.disabled = true;
 }
 
 function deletePrimitive() {
-    if (currentPrimitive) {
+    if (currentPrimitive || currentGltfPrimitives.length > 0 || currentMultiLoader) {
         try {
             cancelLoad();
-            
-            if (viewer.scene.primitives.contains(currentPrimitive)) {
-                viewer.scene.primitives.remove(currentPrimitive);
+
+            if (currentMultiLoader) {
+                currentMultiLoader.destroy();
             }
             
-            if (!currentPrimitive.isDestroyed()) {
-                currentPrimitive.destroy();
+            for (const primitive of [currentPrimitive, ...currentGltfPrimitives]) {
+                if (!primitive) continue;
+
+                if (viewer.scene.primitives.contains(primitive)) {
+                    viewer.scene.primitives.remove(primitive);
+                }
+                
+                if (!primitive.isDestroyed()) {
+                    primitive.destroy();
+                }
             }
             
             console.log("Primitive deleted");
@@ -187,10 +505,16 @@ function deletePrimitive() {
         }
         
         currentPrimitive = null;
+        currentGltfPrimitives = [];
+        currentMultiLoader = null;
         currentCancelFn = null;
         currentParser = null;
         window.primitive = null;
         window.cancelLoad = null;
+        window.pauseLoad = null;
+        window.resumeLoad = null;
+        window.multiLoader = null;
+        window.liveFeed = null;
         
         loadBtn.disabled = false;
         cancelBtn.disabled = true;
@@ -202,6 +526,67 @@ loadBtn.addEventListener('click', () => {
     loadStreamingPLY(PLY_FILE_URL);
 });
 
+fileInput.addEventListener('change', () => {
+    const files = fileInput.files;
+    if (files.length > 1) {
+        loadMultipleSources(files);
+    } else if (files.length === 1) {
+        loadStreamingPLY(files[0]);
+    }
+    // 允许重复选择同一个文件
+    fileInput.value = '';
+});
+
+// 拖放本地文件到页面任意位置加载
+let dragDepth = 0;
+
+window.addEventListener('dragenter', (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    dragDepth++;
+    dropZone.classList.add('active');
+});
+
+window.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+});
+
+window.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+        dropZone.classList.remove('active');
+    }
+});
+
+window.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dragDepth = 0;
+    dropZone.classList.remove('active');
+
+    const files = event.dataTransfer.files;
+    if (files.length > 1) {
+        loadMultipleSources(files);
+    } else if (files.length === 1) {
+        loadStreamingPLY(files[0]);
+    }
+});
+
+// 暂停后停止下载和解析，已显示的点保留；继续时从断点接着下载
+pauseBtn.addEventListener('click', () => {
+    if (!currentPauseHandle) return;
+    if (currentPauseHandle.isPaused()) {
+        currentPauseHandle.resume();
+        pauseBtn.textContent = '暂停';
+        console.log('Load resumed');
+    } else {
+        currentPauseHandle.pause();
+        pauseBtn.textContent = '继续';
+        console.log('Load paused');
+    }
+});
+
 cancelBtn.addEventListener('click', () => {
     cancelLoad();
 });
@@ -210,6 +595,12 @@ deleteBtn.addEventListener('click', () => {
     deletePrimitive();
 });
 
+// 页面地址带 ?live=ws://localhost:8090 时直接连接实时数据流
+const liveUrl = new URLSearchParams(window.location.search).get('live');
+if (liveUrl) {
+    connectLiveFeed(liveUrl);
+}
+
 if (!currentPrimitive) {
     deleteBtn.disabled = true;
 }